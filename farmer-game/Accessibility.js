@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Accessibility settings — colour-blind palettes, crop markers and reduced motion
+ *
+ * Purely how things look: nothing here changes the simulation, so replays are
+ * the same whatever the settings.
+ *
+ *   palette        recolours the crop heads (and unripe green) so the types stay
+ *                  apart with red–green or blue–yellow colour blindness, or in
+ *                  high contrast with dark outlines
+ *   markers        a shape on every pickable crop — bar = wheat, square = pumpkin,
+ *                  triangle = golden apple — filled once ripe, hollow while growing
+ *   reducedMotion  no crop sway, power-up pulsing, floating score text, particle
+ *                  bursts, rain streaks, screen shake or flashes. null (the
+ *                  default) follows the system's prefers-reduced-motion setting.
+ *   announce       read gameplay out through the screen reader live region (Announcer.js)
+ *
+ * Entities draw themselves without a handle on the Game, so the settings in
+ * effect are kept here at module level (like the sprite sheets in Sprites.js):
+ * AccessibilitySettings pushes them in, Crop / PowerUp / Game read
+ * displayOptions() when drawing. Settings are saved in localStorage.
+ */
+
+import { VersionedStore } from './Storage.js';
+
+/**
+ * Crop colours per palette: head colour by crop type, the unripe head colour,
+ * and an outline drawn around heads (null = none). Anything left out keeps the
+ * crop's own colours (CROP_DATA).
+ */
+export const PALETTES = Object.freeze({
+    standard: Object.freeze({ name: "Standard", heads: {}, unripe: null, outline: null }),
+    redGreen: Object.freeze({
+        name: "Red–green safe", heads: { wheat: "#f0e442", pumpkin: "#d55e00", goldenApple: "#0072b2" },
+        unripe: "#56b4e9", outline: null
+    }),
+    blueYellow: Object.freeze({
+        name: "Blue–yellow safe", heads: { wheat: "#f4a6b7", pumpkin: "#c62828", goldenApple: "#00838f" },
+        unripe: "#bdbdbd", outline: null
+    }),
+    highContrast: Object.freeze({
+        name: "High contrast", heads: { wheat: "#fff176", pumpkin: "#e65100", goldenApple: "#6a1b9a" },
+        unripe: "#ffffff", outline: "#000000"
+    })
+});
+
+// Marker shape per crop type; types not listed get a circle
+export const CROP_MARKERS = Object.freeze({
+    wheat: "bar",
+    pumpkin: "square",
+    goldenApple: "triangle"
+});
+
+export const DEFAULT_ACCESSIBILITY = Object.freeze({
+    palette: "standard",
+    markers: false,
+    reducedMotion: null,     // null = follow prefers-reduced-motion
+    announce: true
+});
+
+const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+
+/**
+ * The system's reduced motion preference (false where there's no matchMedia, e.g. Node)
+ */
+export function prefersReducedMotion() {
+    const match = globalThis.matchMedia && globalThis.matchMedia(REDUCED_MOTION_QUERY);
+    return !!(match && match.matches);
+}
+
+// What's in effect right now (see the file header)
+let active = Object.freeze({ palette: "standard", markers: false, reducedMotion: false });
+
+export const displayOptions = () => active;
+
+/**
+ * Colours to draw a crop with under the active palette: { head, unripe, outline }.
+ * `data` (its CROP_DATA entry) and `unripe` are the colours a palette doesn't change.
+ */
+export function cropColors(type, data, unripe) {
+    const palette = PALETTES[active.palette] || PALETTES.standard;
+    return {
+        head: palette.heads[type] || data.headColor,
+        unripe: palette.unripe || unripe,
+        outline: palette.outline
+    };
+}
+
+/**
+ * A crop's marker centred on (cx, cy): filled when `ripe`, hollow otherwise.
+ * Dark ink with a light rim so it reads on any head colour.
+ */
+export function drawCropMarker(ctx, type, cx, cy, ripe) {
+    const shape = CROP_MARKERS[type] || "circle";
+    const r = 4;
+    ctx.beginPath();
+    if (shape === "bar") {
+        ctx.rect(cx - r, cy - 1.5, r * 2, 3);
+    } else if (shape === "square") {
+        ctx.rect(cx - r + 0.5, cy - r + 0.5, r * 2 - 1, r * 2 - 1);
+    } else if (shape === "triangle") {
+        ctx.moveTo(cx, cy - r - 0.5);
+        ctx.lineTo(cx + r + 0.5, cy + r - 0.5);
+        ctx.lineTo(cx - r - 0.5, cy + r - 0.5);
+        ctx.closePath();
+    } else {
+        ctx.arc(cx, cy, r, 0, Math.PI * 2);
+    }
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = "#fff";
+    ctx.stroke();
+    ctx.lineWidth = 1.5;
+    ctx.strokeStyle = "#212121";
+    ctx.stroke();
+    if (ripe) {
+        ctx.fillStyle = "#212121";
+        ctx.fill();
+    }
+}
+
+const isValid = data => !!data && data.palette in PALETTES
+    && typeof data.markers === "boolean"
+    && (data.reducedMotion === null || typeof data.reducedMotion === "boolean")
+    && typeof data.announce === "boolean";
+
+/**
+ * The player's saved accessibility settings
+ */
+export class AccessibilitySettings {
+    /**
+     * @param {object} [options]
+     * @param {Storage} [options.storage] where settings are saved (localStorage by default)
+     */
+    constructor({ storage } = {}) {
+        this.store = new VersionedStore("farmerHarvest.accessibility", {
+            version: 1,
+            defaults: () => ({ ...DEFAULT_ACCESSIBILITY }),
+            validate: isValid,
+            storage
+        });
+        this.settings = this.store.load();
+        this.onChange = null; // called after every change (AccessibilityView re-renders)
+
+        // Following the system setting: keep up when it's switched while playing
+        this.media = globalThis.matchMedia ? globalThis.matchMedia(REDUCED_MOTION_QUERY) : null;
+        this._onMediaChange = () => {
+            if (this.settings.reducedMotion === null) this.apply();
+        };
+        if (this.media && this.media.addEventListener) this.media.addEventListener("change", this._onMediaChange);
+        this.apply();
+    }
+
+    /**
+     * Reduced motion as it actually applies (the saved choice, else the system's)
+     */
+    get reducedMotion() {
+        return this.settings.reducedMotion === null ? prefersReducedMotion() : this.settings.reducedMotion;
+    }
+
+    /**
+     * Change one setting (palette, markers, reducedMotion, announce) and save
+     */
+    set(key, value) {
+        const next = { ...this.settings, [key]: value };
+        if (!(key in DEFAULT_ACCESSIBILITY) || !isValid(next)) throw new Error(`Invalid accessibility setting ${key}: ${value}`);
+        this.settings = next;
+        this.store.save(this.settings);
+        this.apply();
+    }
+
+    /**
+     * Put the settings into effect for the drawing code
+     */
+    apply() {
+        active = Object.freeze({
+            palette: this.settings.palette,
+            markers: this.settings.markers,
+            reducedMotion: this.reducedMotion
+        });
+        if (this.onChange) this.onChange(this);
+    }
+
+    dispose() {
+        if (this.media && this.media.removeEventListener) this.media.removeEventListener("change", this._onMediaChange);
+    }
+}
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Accessibility panel — palette, crop markers, reduced motion and screen reader toggles
+ *
+ * AccessibilitySettings saves every change, so this view only fills in the
+ * palette list (names in the current language, see render) and keeps the
+ * inputs in sync. The reduced motion box shows what's in effect, so it starts
+ * ticked when the system asks for reduced motion.
+ */
+
+import { PALETTES } from './Accessibility.js';
+import { t } from './I18n.js';
+
+export class AccessibilityView {
+    /**
+     * @param {import('./Accessibility.js').AccessibilitySettings} access
+     */
+    constructor(access) {
+        this.access = access;
+
+        const get = id => document.getElementById(id) || console.error(`#${id} not found`);
+        this.el = {
+            palette: get("a11yPalette"),
+            markers: get("a11yMarkers"),
+            reducedMotion: get("a11yReducedMotion"),
+            announce: get("a11yAnnounce"),
+        };
+
+        const palette = this.el.palette;
+        if (palette) {
+            Object.keys(PALETTES).forEach(id => {
+                const option = document.createElement("option");
+                option.value = id;
+                palette.appendChild(option);
+            });
+            palette.addEventListener("change", () => {
+                this.access.set("palette", palette.value);
+                palette.blur(); // hand the arrow keys back to the farmers
+            });
+        }
+        ["markers", "reducedMotion", "announce"].forEach(key => {
+            const box = this.el[key];
+            if (box) box.addEventListener("change", () => this.access.set(key, box.checked));
+        });
+
+        this.access.onChange = () => this.render();
+        this.render();
+    }
+
+    render() {
+        const { settings } = this.access;
+        if (this.el.palette) {
+            [...this.el.palette.options].forEach(option => {
+                option.textContent = t(`palette.${option.value}`, {}, PALETTES[option.value].name);
+            });
+            this.el.palette.value = settings.palette;
+        }
+        if (this.el.markers) this.el.markers.checked = settings.markers;
+        if (this.el.reducedMotion) this.el.reducedMotion.checked = this.access.reducedMotion;
+        if (this.el.announce) this.el.announce.checked = settings.announce;
+    }
+}
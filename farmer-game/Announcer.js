@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Screen reader announcements — gameplay read out through an ARIA live region
+ *
+ * The canvas is a picture to assistive tech, so what matters during a round is
+ * put into words in a visually hidden `aria-live="polite"` element (#srAnnouncer):
+ *   - score milestones: a quarter, half and three quarters of the way to the goal
+ *   - power-ups starting and wearing off
+ *   - the clock at 10 and 5 seconds left
+ *   - state changes: round start (level, goal, time), pause, level cleared, game over, win
+ *   - nightfall / weather changes and barn deliveries
+ *
+ * Like the HUD and sound it listens on the gameplay event bus, so replays are
+ * read out too. Each message is added as its own line (screen readers read
+ * additions, even a repeat of the last text) and only the last few are kept.
+ * Turned off with the `announce` accessibility setting (Accessibility.js).
+ * Lines are read out in the game's language ("announce.*" in the locale bundles).
+ */
+
+import { GameEvent } from './Events.js';
+import { State, GameMode } from './World.js';
+import { powerUpName } from './PowerUps.js';
+import { t } from './I18n.js';
+
+// Fractions of the goal that get a "halfway there" line
+const MILESTONES = Object.freeze([
+    { at: 0.25, key: "announce.milestone.quarter" },
+    { at: 0.5, key: "announce.milestone.half" },
+    { at: 0.75, key: "announce.milestone.threeQuarters" }
+]);
+
+// Seconds left that get read out (the HUD's warning runs every second from 10)
+const ANNOUNCED_WARNINGS = Object.freeze([10, 5]);
+
+// Lines kept in the live region
+const MAX_LINES = 5;
+
+export class Announcer {
+    /**
+     * @param {HTMLElement} region the live region element
+     * @param {import('./Accessibility.js').AccessibilitySettings} settings
+     */
+    constructor(region, settings) {
+        this.region = region;
+        this.settings = settings;
+        this.milestones = new Map(); // farmer (versus) or world → milestones passed this round
+    }
+
+    /**
+     * Subscribe to a bus. `world()` returns the world being played or replayed
+     * (Game swaps it on mode changes and replays).
+     */
+    attach(events, world) {
+        const scored = () => this.checkMilestones(world());
+
+        events.on(GameEvent.CROP_HARVESTED, scored);
+        events.on(GameEvent.COMBO_BONUS, scored);
+        events.on(GameEvent.CROPS_DELIVERED, ({ farmer, count, points }) => {
+            this.say(this.who(world(), farmer, t("announce.delivered", { n: count, points })));
+            scored();
+        });
+        events.on(GameEvent.POWER_UP_COLLECTED, ({ farmer, effect }) => {
+            const line = t("announce.powerUp", { name: powerUpName(effect.data.type), n: Math.ceil(effect.timeLeft) });
+            this.say(this.who(world(), farmer, line));
+        });
+        events.on(GameEvent.POWER_UP_EXPIRED, ({ farmer, type }) => {
+            this.say(this.who(world(), farmer, t("announce.powerUpOver", { name: powerUpName(type) })));
+        });
+        events.on(GameEvent.TIME_WARNING, ({ secondsLeft }) => {
+            if (ANNOUNCED_WARNINGS.includes(secondsLeft)) this.say(t("announce.secondsLeft", { n: secondsLeft }));
+        });
+        events.on(GameEvent.STATE_CHANGED, ({ from, to }) => this.announceState(world(), from, to));
+        events.on(GameEvent.TIME_OF_DAY_CHANGED, ({ to }) => this.say(t(`announce.phase.${to}`)));
+        events.on(GameEvent.WEATHER_CHANGED, ({ to }) => this.say(t("announce.weather", { text: t(`weather.${to}.announce`) })));
+    }
+
+    /**
+     * Add a line to the live region (if announcements are on)
+     */
+    say(text) {
+        if (!this.region || !text || !this.settings.settings.announce) return;
+        const line = document.createElement("p");
+        line.textContent = text;
+        this.region.appendChild(line);
+        while (this.region.childElementCount > MAX_LINES) this.region.firstElementChild.remove();
+    }
+
+    /**
+     * "Player 2: <text>" with two farmers, just the text solo
+     */
+    who(world, farmer, text) {
+        return world && world.players.length > 1 ? t("announce.player", { n: farmer.id + 1, text }) : text;
+    }
+
+    announceState(world, from, to) {
+        if (!world) return;
+        const score = world.score, goal = world.goal;
+        if (to === State.PLAYING) {
+            if (from === State.PAUSED) {
+                this.say(t("announce.resumed"));
+                return;
+            }
+            this.milestones.clear();
+            this.say(t("announce.roundStart", { level: world.levelIndex + 1, total: world.levels.length, name: world.level.name,
+                goal, n: Math.ceil(world.timeLeft) }));
+        } else if (to === State.PAUSED) {
+            this.say(t("announce.paused"));
+        } else if (to === State.LEVEL_COMPLETE) {
+            this.say(world.winner ? t("announce.playerTakesLevel", { player: world.winner.id + 1, score })
+                : t("announce.levelCleared", { score }));
+        } else if (to === State.GAME_OVER) {
+            this.say(world.mode === GameMode.VERSUS ? t("announce.versusTimeUp") : t("announce.timeUp", { score, goal }));
+        } else if (to === State.WIN) {
+            this.say(world.winner ? t("announce.playerWins", { player: world.winner.id + 1 }) : t("announce.win", { score }));
+        }
+    }
+
+    /**
+     * Read out each milestone the first time it's passed in a round: per farmer
+     * in versus (each chases the goal alone), for the shared score otherwise
+     */
+    checkMilestones(world) {
+        if (!world || world.state !== State.PLAYING) return;
+        const versus = world.mode === GameMode.VERSUS;
+        (versus ? world.players : [world]).forEach(scorer => {
+            const passed = this.milestones.get(scorer) || 0;
+            const reached = MILESTONES.filter(m => scorer.score >= world.goal * m.at).length;
+            if (reached <= passed) return;
+            this.milestones.set(scorer, reached);
+            const line = t(MILESTONES[reached - 1].key, { score: scorer.score, goal: world.goal });
+            this.say(versus ? this.who(world, scorer, line) : line);
+        });
+    }
+}
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Farmer's basket for barn delivery rounds
+ *
+ * In a delivery round (World's `delivery` option) picked crops don't score
+ * straight away: they go into the farmer's basket, worth what they'd have
+ * scored then (double points, combo multiplier and sweep / streak bonuses
+ * included), and only count once the farmer walks them into the barn.
+ *
+ * A basket holds BASKET_CAPACITY crops. The fuller it is the slower the farmer
+ * walks — down to (1 - BASKET_SLOWDOWN) × speed when full — unless a speed
+ * boost helps carry it (see the farmer's `carryStrength`). A full basket picks
+ * nothing, not even unripe crops, and the scythe only cuts as many ripe crops
+ * as there's room for.
+ */
+
+export const BASKET_CAPACITY = 8;
+
+// Fraction of walking speed lost with a full basket
+export const BASKET_SLOWDOWN = 0.4;
+
+export class Basket {
+    constructor(capacity = BASKET_CAPACITY) {
+        this.capacity = capacity;
+        this.items = [];   // { type, points } per crop
+        this.bonus = 0;    // sweep / streak points riding along
+    }
+
+    get count() {
+        return this.items.length;
+    }
+
+    get space() {
+        return this.capacity - this.items.length;
+    }
+
+    get full() {
+        return this.items.length >= this.capacity;
+    }
+
+    /**
+     * What delivering it now would score
+     */
+    get points() {
+        return this.items.reduce((sum, item) => sum + item.points, this.bonus);
+    }
+
+    /**
+     * Crops in it by type, e.g. { wheat: 3, pumpkin: 1 }
+     */
+    get contents() {
+        const counts = {};
+        this.items.forEach(({ type }) => { counts[type] = (counts[type] || 0) + 1; });
+        return counts;
+    }
+
+    /**
+     * Put a picked crop in. False (and nothing added) when it's full.
+     */
+    add(type, points) {
+        if (this.full) return false;
+        this.items.push({ type, points });
+        return true;
+    }
+
+    /**
+     * Sweep / streak bonus points, paid out with the crops
+     */
+    addBonus(points) {
+        this.bonus += points;
+    }
+
+    /**
+     * Walking speed factor for the load. `strength` 2 carries it half as heavy.
+     */
+    speedFactor(strength = 1) {
+        return 1 - BASKET_SLOWDOWN * (this.items.length / this.capacity) / strength;
+    }
+
+    /**
+     * Tip everything out (at the barn). Returns { count, points } delivered.
+     */
+    empty() {
+        const delivered = { count: this.items.length, points: this.points };
+        this.items = [];
+        this.bonus = 0;
+        return delivered;
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Broad-phase benchmark: brute-force scans vs SpatialHash
+ *
+ * Fills a field with thousands of crops, power-ups and obstacles, then walks a
+ * farmer-sized probe around it doing the same three checks World does every
+ * frame (touch harvest, scythe radius, obstacle overlap) both ways.
+ *
+ * No DOM in here — benchmark.html draws the scene and shows the numbers, and
+ * it can also be run from Node.
+ */
+
+import { aabb } from './Farmer.js';
+import { Crop, PowerUp, Scarecrow } from './Crop.js';
+import { Random } from './Random.js';
+import { SpatialHash } from './SpatialHash.js';
+import { TILE } from './World.js';
+
+const SCYTHE_RANGE = 80;
+
+/**
+ * Random field of entities, same every time for the same seed
+ */
+export function buildScene({ width = 3000, height = 3000, crops = 5000, powerUps = 500, obstacles = 1000, seed = 1 } = {}) {
+    const rng = new Random(seed);
+    const cell = () => ({ x: rng.int(width / TILE) * TILE, y: rng.int(height / TILE) * TILE });
+    const scene = { width, height, crops: [], powerUps: [], obstacles: [] };
+
+    for (let i = 0; i < crops; i++) { const { x, y } = cell(); scene.crops.push(new Crop(x, y, rng.pick(["wheat", "pumpkin", "goldenApple"]), rng)); }
+    for (let i = 0; i < powerUps; i++) { const { x, y } = cell(); scene.powerUps.push(new PowerUp(x, y, rng.pick(["speed", "scythe"]))); }
+    for (let i = 0; i < obstacles; i++) { const { x, y } = cell(); scene.obstacles.push(new Scarecrow(x, y)); }
+    return scene;
+}
+
+/**
+ * Farmer-sized boxes along a deterministic wandering path
+ */
+function probePath(scene, frames) {
+    const probes = [];
+    for (let i = 0; i < frames; i++) {
+        const t = i / frames;
+        probes.push({
+            x: (scene.width - 34) * (0.5 + 0.45 * Math.sin(t * Math.PI * 6)),
+            y: (scene.height - 34) * (0.5 + 0.45 * Math.cos(t * Math.PI * 4)),
+            w: 34, h: 34
+        });
+    }
+    return probes;
+}
+
+const centerDist = (a, b) => Math.hypot((a.x + a.w / 2) - (b.x + b.w / 2), (a.y + a.h / 2) - (b.y + b.h / 2));
+
+/**
+ * Time both approaches. Returns milliseconds for each plus a hit count so
+ * we can check they found the same things.
+ */
+export function runBenchmark(options = {}) {
+    const { frames = 2000 } = options;
+    const scene = buildScene(options);
+    const probes = probePath(scene, frames);
+    const now = () => (typeof performance !== "undefined" ? performance.now() : Date.now());
+
+    // Brute force: what World did before SpatialHash
+    let bruteHits = 0;
+    let start = now();
+    probes.forEach(p => {
+        bruteHits += scene.crops.filter(c => aabb(p, c)).length;
+        bruteHits += scene.crops.filter(c => centerDist(p, c) <= SCYTHE_RANGE).length;
+        bruteHits += scene.powerUps.filter(u => aabb(p, u)).length;
+        bruteHits += scene.obstacles.some(o => aabb(p, o)) ? 1 : 0;
+    });
+    const bruteMs = now() - start;
+
+    // Spatial hash (building the index is counted too)
+    let hashHits = 0;
+    start = now();
+    const crops = new SpatialHash(TILE), powerUps = new SpatialHash(TILE), obstacles = new SpatialHash(TILE);
+    scene.crops.forEach(c => crops.insert(c));
+    scene.powerUps.forEach(u => powerUps.insert(u));
+    scene.obstacles.forEach(o => obstacles.insert(o));
+    probes.forEach(p => {
+        hashHits += crops.query(p).filter(c => aabb(p, c)).length;
+        hashHits += crops.queryRadius(p.x + p.w / 2, p.y + p.h / 2, SCYTHE_RANGE).filter(c => centerDist(p, c) <= SCYTHE_RANGE).length;
+        hashHits += powerUps.query(p).filter(u => aabb(p, u)).length;
+        hashHits += obstacles.query(p).some(o => aabb(p, o)) ? 1 : 0;
+    });
+    const hashMs = now() - start;
+
+    return {
+        scene,
+        probes,
+        entities: scene.crops.length + scene.powerUps.length + scene.obstacles.length,
+        frames,
+        bruteMs,
+        hashMs,
+        speedup: bruteMs / Math.max(hashMs, 0.001),
+        matches: bruteHits === hashHits
+    };
+}
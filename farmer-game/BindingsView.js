@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Key rebinding panel
+ *
+ * One row per action with a button for each of its two key slots. Clicking a
+ * slot waits for the next key press and binds it (Esc cancels).
+ */
+
+import { Action, keyLabel } from './Controls.js';
+import { t } from './I18n.js';
+
+export class BindingsView {
+    /**
+     * @param {import('./Controls.js').Controls} controls
+     */
+    constructor(controls) {
+        this.controls = controls;
+        this.listening = null; // { action, slot } while waiting for a key
+
+        const get = id => document.getElementById(id) || console.error(`#${id} not found`);
+        this.el = {
+            table: get("bindingsTable"),
+            reset: get("btnResetBindings"),
+        };
+
+        // Bound so the one-shot capture listener can be removed again
+        this._onCapture = this.onCapture.bind(this);
+
+        if (this.el.reset) this.el.reset.addEventListener("click", () => {
+            this.controls.bindings.resetDefaults();
+            this.render();
+        });
+
+        this.render();
+    }
+
+    listen(action, slot) {
+        this.stopListening();
+        this.listening = { action, slot };
+        this.controls.keyboard.enabled = false;
+        window.addEventListener("keydown", this._onCapture, true);
+        this.render();
+    }
+
+    stopListening() {
+        if (!this.listening) return;
+        this.listening = null;
+        this.controls.keyboard.enabled = true;
+        window.removeEventListener("keydown", this._onCapture, true);
+    }
+
+    onCapture(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        const { action, slot } = this.listening;
+        if (e.key !== "Escape") this.controls.bindings.rebind(action, slot, e.key);
+        this.stopListening();
+        this.render();
+    }
+
+    render() {
+        const table = this.el.table;
+        if (!table) return;
+        table.replaceChildren();
+
+        Object.values(Action).forEach(action => {
+            const row = document.createElement("tr");
+            const label = document.createElement("th");
+            label.scope = "row";
+            label.textContent = t(`action.${action}`);
+            row.appendChild(label);
+
+            [0, 1].forEach(slot => {
+                const cell = document.createElement("td");
+                const button = document.createElement("button");
+                const waiting = this.listening && this.listening.action === action && this.listening.slot === slot;
+                button.type = "button";
+                button.textContent = waiting ? t("controls.pressKey") : keyLabel(this.controls.bindings.keysFor(action)[slot]);
+                button.setAttribute("aria-label", t("controls.keyLabel", { action: label.textContent, n: slot + 1 }));
+                button.addEventListener("click", () => this.listen(action, slot));
+                cell.appendChild(button);
+                row.appendChild(cell);
+            });
+            table.appendChild(row);
+        });
+    }
+}
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Camera — which part of the field is on screen
+ *
+ * Everything in the World lives in world coordinates (pixels on the field).
+ * The camera is a view-sized window onto that field: `x`/`y` is the world
+ * point at the top-left of the screen. Game draws the field translated by
+ * (-x, -y), and HUD-style text on top without the camera.
+ */
+
+export class Camera {
+    /**
+     * @param {number} width view width in world pixels
+     * @param {number} height view height in world pixels
+     */
+    constructor(width, height) {
+        this.x = 0;
+        this.y = 0;
+        this.width = width;
+        this.height = height;
+    }
+
+    /**
+     * Centre on a world point without showing anything past the field's edges.
+     * A field smaller than the view is centred instead.
+     */
+    follow(point, fieldWidth, fieldHeight) {
+        this.x = Camera.axis(point.x, this.width, fieldWidth);
+        this.y = Camera.axis(point.y, this.height, fieldHeight);
+    }
+
+    static axis(center, view, field) {
+        if (field <= view) return (field - view) / 2;
+        return Math.min(field - view, Math.max(0, center - view / 2));
+    }
+
+    /**
+     * Is any part of a box (plus `margin` around it) on screen?
+     */
+    sees(box, margin = 0) {
+        return box.x + box.w + margin > this.x && box.x - margin < this.x + this.width &&
+            box.y + box.h + margin > this.y && box.y - margin < this.y + this.height;
+    }
+
+    worldToScreen(x, y) {
+        return { x: x - this.x, y: y - this.y };
+    }
+
+    screenToWorld(x, y) {
+        return { x: x + this.x, y: y + this.y };
+    }
+}
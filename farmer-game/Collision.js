@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Collision shapes + a move-and-slide resolver any entity can use
+ *
+ * Obstacles describe their solid parts with getShapes():
+ *   { type: "box", x, y, w, h }      axis-aligned rectangle
+ *   { type: "circle", cx, cy, r }    circle
+ * Movers are always treated as their bounding box.
+ *
+ * moveAndSlide() moves X and Y separately, so pushing diagonally into a wall
+ * stops the blocked axis but keeps sliding along the other. Long moves are cut
+ * into sub-steps no bigger than half the mover, so a speed boost can't skip
+ * through a thin obstacle. A mover that starts out inside something (it spawned
+ * there, or the wind shoved it in) is first pushed out the shortest way.
+ */
+
+/**
+ * Does a box overlap one collision shape?
+ */
+export function boxHitsShape(box, shape) {
+    if (shape.type === "circle") {
+        // closest point on the box to the circle centre
+        const nx = Math.max(box.x, Math.min(shape.cx, box.x + box.w));
+        const ny = Math.max(box.y, Math.min(shape.cy, box.y + box.h));
+        const dx = shape.cx - nx, dy = shape.cy - ny;
+        return dx * dx + dy * dy < shape.r * shape.r;
+    }
+    return box.x < shape.x + shape.w &&
+        box.x + box.w > shape.x &&
+        box.y < shape.y + shape.h &&
+        box.y + box.h > shape.y;
+}
+
+/**
+ * Does a box overlap any solid part of an entity?
+ * Entities without getShapes() are solid over their whole bounding box.
+ */
+export function boxHitsEntity(box, entity) {
+    const shapes = entity.getShapes ? entity.getShapes() : [{ type: "box", x: entity.x, y: entity.y, w: entity.w, h: entity.h }];
+    return shapes.some(shape => boxHitsShape(box, shape));
+}
+
+// How many halvings to find the exact contact point along a blocked axis
+const CONTACT_ITERATIONS = 6;
+
+// How far to look for a way out of something a mover starts inside (× its larger side)
+const PUSH_OUT_REACH = 2;
+
+/**
+ * Move one axis as far as possible (up to `delta`) without hitting anything.
+ * Returns true if something was in the way.
+ */
+function moveAxis(entity, axis, delta, blocked, min, max) {
+    const start = entity[axis];
+    const target = Math.min(max, Math.max(min, start + delta));
+    entity[axis] = target;
+    if (!blocked(entity)) return target !== start + delta;
+
+    // Blocked: binary search for the furthest free spot between start and target
+    let free = 0, hit = 1;
+    for (let i = 0; i < CONTACT_ITERATIONS; i++) {
+        const mid = (free + hit) / 2;
+        entity[axis] = start + (target - start) * mid;
+        if (blocked(entity)) hit = mid;
+        else free = mid;
+    }
+    entity[axis] = start + (target - start) * free;
+    return true;
+}
+
+/**
+ * Nudge an entity that's inside something to the nearest free spot straight
+ * left, right, up or down, 1 px at a time and staying within min / max.
+ * Returns false (leaving it where it was) if there's none within reach.
+ */
+function pushOut(entity, blocked, minX, maxX, minY, maxY) {
+    const { x, y } = entity;
+    const reach = Math.ceil(Math.max(entity.w, entity.h) * PUSH_OUT_REACH);
+    for (let d = 1; d <= reach; d++) {
+        for (const [axis, start, min, max] of [["x", x, minX, maxX], ["y", y, minY, maxY]]) {
+            for (const to of [start - d, start + d]) {
+                if (to < min || to > max) continue;
+                entity[axis] = to;
+                if (!blocked(entity)) return true;
+            }
+            entity[axis] = start;
+        }
+    }
+    return false;
+}
+
+/**
+ * Move an entity by (dx, dy), sliding along whatever blocks it.
+ *
+ * @param {{x: number, y: number, w: number, h: number}} entity moved in place
+ * @param {number} dx
+ * @param {number} dy
+ * @param {object} options
+ * @param {Function} options.blocked box => true if that spot is solid
+ * @param {{x: number, y: number, w: number, h: number}} [options.bounds] area to stay inside
+ * @returns {{hitX: boolean, hitY: boolean}} which axes were stopped
+ */
+export function moveAndSlide(entity, dx, dy, { blocked, bounds = null }) {
+    const minX = bounds ? bounds.x : -Infinity, maxX = bounds ? bounds.x + bounds.w - entity.w : Infinity;
+    const minY = bounds ? bounds.y : -Infinity, maxY = bounds ? bounds.y + bounds.h - entity.h : Infinity;
+
+    // Already stuck inside something? Step out first, so everything else still blocks us.
+    // Only when it's wedged too deep for that is it let walk free, rather than stuck for good.
+    if (blocked(entity) && !pushOut(entity, blocked, minX, maxX, minY, maxY)) blocked = () => false;
+
+    // Sub-steps small enough that nothing thinner than half the mover gets skipped
+    const maxStep = Math.max(1, Math.min(entity.w, entity.h) / 2);
+    const steps = Math.max(1, Math.ceil(Math.max(Math.abs(dx), Math.abs(dy)) / maxStep));
+    const stepX = dx / steps, stepY = dy / steps;
+
+    let hitX = false, hitY = false;
+    for (let i = 0; i < steps; i++) {
+        if (!hitX && stepX !== 0) hitX = moveAxis(entity, "x", stepX, blocked, minX, maxX);
+        if (!hitY && stepY !== 0) hitY = moveAxis(entity, "y", stepY, blocked, minY, maxY);
+        if ((hitX || stepX === 0) && (hitY || stepY === 0)) break;
+    }
+    return { hitX, hitY };
+}
@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Move-and-slide checks — run with `node --test` in this folder
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { moveAndSlide, boxHitsShape } from './Collision.js';
+
+/**
+ * `blocked` for a handful of solid boxes
+ */
+const solid = (...boxes) => box => boxes.some(shape => boxHitsShape(box, { type: "box", ...shape }));
+
+test("pushing diagonally into a wall stops one axis and slides along the other", () => {
+    const mover = { x: 0, y: 0, w: 20, h: 20 };
+    const { hitX, hitY } = moveAndSlide(mover, 50, 30, { blocked: solid({ x: 40, y: -100, w: 10, h: 300 }) });
+    assert.ok(hitX && !hitY);
+    assert.ok(mover.x <= 20 && mover.x > 19);
+    assert.equal(mover.y, 30);
+});
+
+test("a fast move can't skip through a thin obstacle", () => {
+    const mover = { x: 0, y: 0, w: 20, h: 20 };
+    moveAndSlide(mover, 300, 0, { blocked: solid({ x: 100, y: 0, w: 2, h: 20 }) });
+    assert.ok(mover.x + mover.w <= 100);
+});
+
+test("stays inside the bounds", () => {
+    const mover = { x: 10, y: 10, w: 20, h: 20 };
+    moveAndSlide(mover, -50, 500, { blocked: () => false, bounds: { x: 0, y: 0, w: 100, h: 100 } });
+    assert.deepEqual([mover.x, mover.y], [0, 80]);
+});
+
+test("a mover that starts inside something is pushed out, and everything else still blocks it", () => {
+    const wall = { x: 100, y: 0, w: 30, h: 300 }, post = { x: 200, y: 0, w: 10, h: 300 };
+    const mover = { x: 110, y: 50, w: 34, h: 34 };
+    moveAndSlide(mover, 200, 0, { blocked: solid(wall, post) });
+    assert.ok(mover.x >= wall.x + wall.w);       // out the near side of the wall...
+    assert.ok(mover.x + mover.w <= post.x);      // ...and stopped by the post, not walked through it
+});
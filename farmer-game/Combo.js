@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Combo chains — quick successive harvests raise a score multiplier
+ *
+ * Each ripe crop a farmer picks within COMBO_WINDOW seconds of the previous
+ * one adds a link to their chain, and the chain's length sets the multiplier
+ * (COMBO_TIERS). The chain ends when the window runs out or a crop is picked
+ * unripe. On top of the multiplier there are flat bonuses:
+ *   sweep   one scythe pass that cuts SWEEP_MIN or more ripe crops
+ *   streak  every STREAK_LENGTH ripe crops of the same type in a row (within one chain)
+ *
+ * Combos are part of the World simulation, so replays score exactly the same.
+ */
+
+// Seconds allowed between harvests before the chain drops
+export const COMBO_WINDOW = 2;
+
+// [chain length, multiplier], lowest first: ×2 from the 5th crop in a chain, ×3 from the 10th
+export const COMBO_TIERS = Object.freeze([[0, 1], [5, 2], [10, 3]]);
+
+// Scythe sweep: points per crop once a single pass cuts at least SWEEP_MIN
+export const SWEEP_MIN = 3;
+export const SWEEP_BONUS = 1;
+
+// Same-type streak: bonus points for every STREAK_LENGTH in a row
+export const STREAK_LENGTH = 3;
+export const STREAK_BONUS = 2;
+
+/**
+ * Bonus for one scythe pass that cut `count` ripe crops (0 if it wasn't a sweep)
+ */
+export const sweepBonus = count => (count >= SWEEP_MIN ? count * SWEEP_BONUS : 0);
+
+/**
+ * One farmer's chain
+ */
+export class Combo {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.chain = 0;          // ripe crops in the current chain
+        this.timeLeft = 0;       // seconds until it drops
+        this.streakType = null;  // crop type of the current same-type streak
+        this.streak = 0;
+    }
+
+    get active() {
+        return this.chain > 0;
+    }
+
+    get multiplier() {
+        let multiplier = 1;
+        COMBO_TIERS.forEach(([length, m]) => {
+            if (this.chain >= length) multiplier = m;
+        });
+        return multiplier;
+    }
+
+    /**
+     * How much of the window is left (1 = just harvested, 0 = dropped), for the HUD meter
+     */
+    get progress() {
+        return this.active ? this.timeLeft / COMBO_WINDOW : 0;
+    }
+
+    /**
+     * A ripe crop was picked: extend the chain. Returns the streak bonus it earned (usually 0).
+     */
+    add(type) {
+        this.chain++;
+        this.timeLeft = COMBO_WINDOW;
+        if (type === this.streakType) {
+            this.streak++;
+        } else {
+            this.streakType = type;
+            this.streak = 1;
+        }
+        return this.streak % STREAK_LENGTH === 0 ? STREAK_BONUS : 0;
+    }
+
+    /**
+     * End the chain (window ran out, or an unripe pick)
+     */
+    break() {
+        this.reset();
+    }
+
+    update(dt) {
+        if (!this.active) return;
+        this.timeLeft -= dt;
+        if (this.timeLeft <= 0) this.break();
+    }
+}
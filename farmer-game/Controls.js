@@ -0,0 +1,353 @@
+/**
+ * @fileoverview Input layer — keyboard, gamepad and touch mapped onto actions
+ *
+ * The simulation never sees raw keys. It reads one thing from each farmer's input source:
+ *   input.move = { x, y }   each axis in [-1, 1] (analog sticks give in-between values)
+ * Controls builds those every frame from all devices (`players[0]` and `players[1]`),
+ * and fires the one-shot actions (pause, start) through callbacks.
+ *
+ * Player 1 moves with WASD, the first gamepad and the touch joystick; player 2
+ * with the arrow keys and the second gamepad. In one-player games both sets
+ * steer the one farmer.
+ *
+ * Keyboard bindings are remappable and saved in localStorage.
+ */
+
+import { VersionedStore } from './Storage.js';
+
+export const Action = Object.freeze({
+    LEFT: "left",
+    RIGHT: "right",
+    UP: "up",
+    DOWN: "down",
+    P2_LEFT: "p2left",
+    P2_RIGHT: "p2right",
+    P2_UP: "p2up",
+    P2_DOWN: "p2down",
+    PAUSE: "pause",
+    START: "start"
+});
+
+// Two keys per action: WASD for player 1, arrows for player 2 by default
+export const DEFAULT_BINDINGS = Object.freeze({
+    [Action.LEFT]: ["a", null],
+    [Action.RIGHT]: ["d", null],
+    [Action.UP]: ["w", null],
+    [Action.DOWN]: ["s", null],
+    [Action.P2_LEFT]: ["ArrowLeft", null],
+    [Action.P2_RIGHT]: ["ArrowRight", null],
+    [Action.P2_UP]: ["ArrowUp", null],
+    [Action.P2_DOWN]: ["ArrowDown", null],
+    [Action.PAUSE]: ["p", "Escape"],
+    [Action.START]: ["Enter", null]
+});
+
+// Movement actions per player (index 0 = P1)
+const MOVE_ACTIONS = Object.freeze([
+    { left: Action.LEFT, right: Action.RIGHT, up: Action.UP, down: Action.DOWN },
+    { left: Action.P2_LEFT, right: Action.P2_RIGHT, up: Action.P2_UP, down: Action.P2_DOWN }
+]);
+
+// Analog values are rounded to this step so replays stay small and exact
+const AXIS_STEP = 100;
+const STICK_DEADZONE = 0.2;
+
+const clampAxis = v => Math.max(-1, Math.min(1, v));
+const quantizeAxis = v => Math.round(clampAxis(v) * AXIS_STEP) / AXIS_STEP;
+
+/**
+ * Letters are matched case-insensitively ("P" and "p" are the same key)
+ */
+export const normalizeKey = key => (key && key.length === 1 ? key.toLowerCase() : key);
+
+/**
+ * Friendly label for a key name
+ */
+export const keyLabel = key => {
+    const names = { ArrowLeft: "←", ArrowRight: "→", ArrowUp: "↑", ArrowDown: "↓", " ": "Space", Escape: "Esc" };
+    if (!key) return "—";
+    return names[key] || (key.length === 1 ? key.toUpperCase() : key);
+};
+
+/**
+ * Saved, remappable keyboard bindings: action → [key, key]
+ */
+export class KeyBindings {
+    constructor({ storage } = {}) {
+        this.store = new VersionedStore("farmerHarvest.keyBindings", {
+            version: 2,
+            defaults: () => KeyBindings.defaults(),
+            migrations: {
+                // v1 had no player 2: hand it the default P2 keys, taking them off P1
+                1: data => {
+                    const p2 = [Action.P2_LEFT, Action.P2_RIGHT, Action.P2_UP, Action.P2_DOWN];
+                    const taken = new Set(p2.flatMap(a => DEFAULT_BINDINGS[a]).filter(Boolean));
+                    const map = Object.fromEntries(Object.entries(data).map(([action, keys]) => {
+                        const kept = keys.filter(k => k && !taken.has(k));
+                        return [action, [kept[0] || null, kept[1] || null]];
+                    }));
+                    p2.forEach(a => { map[a] = [...DEFAULT_BINDINGS[a]]; });
+                    return map;
+                }
+            },
+            validate: data => data && Object.values(Action).every(a => Array.isArray(data[a])),
+            storage
+        });
+        this.map = this.store.load();
+    }
+
+    static defaults() {
+        return Object.fromEntries(Object.entries(DEFAULT_BINDINGS).map(([action, keys]) => [action, [...keys]]));
+    }
+
+    keysFor(action) {
+        return this.map[action] || [];
+    }
+
+    /**
+     * Which action (if any) a key is bound to
+     */
+    actionFor(key) {
+        const k = normalizeKey(key);
+        return Object.values(Action).find(a => this.keysFor(a).includes(k)) || null;
+    }
+
+    /**
+     * Put `key` in slot 0/1 of an action. A key can only do one thing,
+     * so it's taken off whatever action had it before.
+     */
+    rebind(action, slot, key) {
+        const k = normalizeKey(key);
+        Object.values(Action).forEach(a => {
+            this.map[a] = this.keysFor(a).map(existing => (existing === k ? null : existing));
+        });
+        this.map[action][slot] = k;
+        this.store.save(this.map);
+    }
+
+    resetDefaults() {
+        this.map = KeyBindings.defaults();
+        this.store.save(this.map);
+    }
+}
+
+/**
+ * Input handler - keeps track of pressed keys
+ *
+ * 👆 This is a good example of why `.bind(this)` is sometimes necessary.
+ * - We bind the methods once in the constructor and keep references.
+ * - That way, we can *remove* the same listeners later in dispose().
+ * - If we used arrow functions directly in addEventListener, every call would
+ *   create a new function object.
+ */
+export class Input {
+    /**
+     * @param {KeyBindings} bindings
+     * @param {Function} onAction called with an Action when a pause/start key goes down
+     */
+    constructor(bindings, onAction) {
+        this.bindings = bindings;
+        this.onAction = onAction;
+        this.keys = new Set();
+        this.enabled = true; // off while the bindings screen is listening for a key
+
+        // Bound once so we can remove them later
+        this._onKeyDown = this.onKeyDown.bind(this);
+        this._onKeyUp = this.onKeyUp.bind(this);
+        this._onBlur = this.onBlur.bind(this);
+
+        window.addEventListener("keydown", this._onKeyDown);
+        window.addEventListener("keyup", this._onKeyUp);
+        window.addEventListener("blur", this._onBlur);
+    }
+
+    onKeyDown(e) {
+        if (!this.enabled) return;
+        // Typing in a text box (e.g. high-score initials) shouldn't move the farmer
+        const tag = e.target && e.target.tagName;
+        if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") return;
+        // Enter / Space on a focused button press that button (keyboard navigation), not Start
+        if (tag === "BUTTON" && (e.key === "Enter" || e.key === " ")) return;
+
+        const action = this.bindings.actionFor(e.key);
+        if (!action) return;
+        e.preventDefault(); // keep arrows/space from scrolling the page
+
+        if ((action === Action.PAUSE || action === Action.START) && !e.repeat) this.onAction(action);
+        this.keys.add(normalizeKey(e.key));
+    }
+
+    onKeyUp(e) {
+        this.keys.delete(normalizeKey(e.key));
+    }
+
+    // Keys released while the tab was in the background never send keyup
+    onBlur() {
+        this.keys.clear();
+    }
+
+    isDown(action) {
+        return this.bindings.keysFor(action).some(k => k && this.keys.has(k));
+    }
+
+    dispose() {
+        // removing works only because we saved bound refs
+        window.removeEventListener("keydown", this._onKeyDown);
+        window.removeEventListener("keyup", this._onKeyUp);
+        window.removeEventListener("blur", this._onBlur);
+    }
+}
+
+/**
+ * Gamepad API: left stick (analog) or d-pad to move, Start = pause, A = start.
+ * `slot` picks which of the connected pads this reads (0 = first one plugged in).
+ */
+export class GamepadInput {
+    constructor(onAction, slot = 0) {
+        this.onAction = onAction;
+        this.slot = slot;
+        this.move = { x: 0, y: 0 };
+        this._wasPressed = {};
+    }
+
+    poll() {
+        this.move.x = 0;
+        this.move.y = 0;
+        const pads = typeof navigator !== "undefined" && navigator.getGamepads ? navigator.getGamepads() : [];
+        const pad = Array.from(pads || []).filter(p => p && p.connected)[this.slot];
+        if (!pad) return;
+
+        const pressed = i => !!(pad.buttons[i] && pad.buttons[i].pressed);
+        const deadzone = v => (Math.abs(v) < STICK_DEADZONE ? 0 : (v - Math.sign(v) * STICK_DEADZONE) / (1 - STICK_DEADZONE));
+
+        // Standard mapping: axes 0/1 = left stick, buttons 12-15 = d-pad
+        this.move.x = clampAxis(deadzone(pad.axes[0] || 0) + (pressed(15) - pressed(14)));
+        this.move.y = clampAxis(deadzone(pad.axes[1] || 0) + (pressed(13) - pressed(12)));
+
+        // One-shot buttons fire on press, not while held
+        [[9, Action.PAUSE], [0, Action.START]].forEach(([button, action]) => {
+            const now = pressed(button);
+            if (now && !this._wasPressed[button]) this.onAction(action);
+            this._wasPressed[button] = now;
+        });
+    }
+}
+
+/**
+ * On-screen virtual joystick for touch screens.
+ * `base` is the ring element, its first child is the knob.
+ */
+export class TouchJoystick {
+    constructor(base) {
+        this.base = base;
+        this.knob = base ? base.firstElementChild : null;
+        this.move = { x: 0, y: 0 };
+        this.pointerId = null;
+
+        this._onDown = this.onPointerDown.bind(this);
+        this._onMove = this.onPointerMove.bind(this);
+        this._onUp = this.onPointerUp.bind(this);
+        if (!base) return;
+
+        base.addEventListener("pointerdown", this._onDown);
+        base.addEventListener("pointermove", this._onMove);
+        base.addEventListener("pointerup", this._onUp);
+        base.addEventListener("pointercancel", this._onUp);
+    }
+
+    onPointerDown(e) {
+        this.pointerId = e.pointerId;
+        this.base.setPointerCapture(e.pointerId);
+        this.onPointerMove(e);
+    }
+
+    onPointerMove(e) {
+        if (e.pointerId !== this.pointerId) return;
+        const rect = this.base.getBoundingClientRect();
+        const radius = rect.width / 2;
+        let dx = (e.clientX - (rect.left + radius)) / radius;
+        let dy = (e.clientY - (rect.top + radius)) / radius;
+        const len = Math.hypot(dx, dy);
+        if (len > 1) { dx /= len; dy /= len; }
+        this.move.x = dx;
+        this.move.y = dy;
+        if (this.knob) this.knob.style.transform = `translate(${dx * radius * 0.6}px, ${dy * radius * 0.6}px)`;
+    }
+
+    onPointerUp(e) {
+        if (e.pointerId !== this.pointerId) return;
+        this.pointerId = null;
+        this.move.x = 0;
+        this.move.y = 0;
+        if (this.knob) this.knob.style.transform = "";
+    }
+
+    dispose() {
+        if (!this.base) return;
+        this.base.removeEventListener("pointerdown", this._onDown);
+        this.base.removeEventListener("pointermove", this._onMove);
+        this.base.removeEventListener("pointerup", this._onUp);
+        this.base.removeEventListener("pointercancel", this._onUp);
+    }
+}
+
+/**
+ * All devices combined into one `move` vector per player, which the World reads
+ * (pass `players` as its `inputs`). Call poll() once per frame before World.update.
+ */
+export class Controls {
+    /**
+     * @param {object} options
+     * @param {Function} options.onAction called with Action.PAUSE / Action.START
+     * @param {HTMLElement} [options.joystick] virtual joystick element
+     * @param {KeyBindings} [options.bindings]
+     */
+    constructor({ onAction, joystick = null, bindings = new KeyBindings() }) {
+        this.bindings = bindings;
+        this.keyboard = new Input(bindings, onAction);
+        this.gamepads = MOVE_ACTIONS.map((_, slot) => new GamepadInput(onAction, slot));
+        this.touch = new TouchJoystick(joystick);
+        this.players = MOVE_ACTIONS.map(() => ({ move: { x: 0, y: 0 } }));
+        this.playerCount = 1;   // 1 = everything steers player 1
+    }
+
+    /**
+     * Player 1's move vector (the only one in one-player games)
+     */
+    get move() {
+        return this.players[0].move;
+    }
+
+    poll() {
+        const kb = this.keyboard;
+        const moves = MOVE_ACTIONS.map((keys, i) => {
+            const pad = this.gamepads[i];
+            pad.poll();
+            return {
+                x: kb.isDown(keys.right) - kb.isDown(keys.left) + pad.move.x,
+                y: kb.isDown(keys.down) - kb.isDown(keys.up) + pad.move.y
+            };
+        });
+        moves[0].x += this.touch.move.x;
+        moves[0].y += this.touch.move.y;
+
+        // One player: player 2's keys and pad steer the same farmer
+        if (this.playerCount === 1) {
+            moves.slice(1).forEach(m => {
+                moves[0].x += m.x;
+                moves[0].y += m.y;
+                m.x = m.y = 0;
+            });
+        }
+
+        moves.forEach((m, i) => {
+            this.players[i].move.x = quantizeAxis(m.x);
+            this.players[i].move.y = quantizeAxis(m.y);
+        });
+    }
+
+    dispose() {
+        this.keyboard.dispose();
+        this.touch.dispose();
+    }
+}
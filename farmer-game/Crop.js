@@ -1,107 +1,255 @@
 /**
- * @fileoverview Crop, PowerUp, Scarecrow, and Input classes
+ * @fileoverview Crop, PowerUp, Scarecrow and Barn classes
 
  */
 
 import { Entity } from './Farmer.js';
+import { getPowerUp } from './PowerUps.js';
+import { drawSprite } from './Sprites.js';
+import { displayOptions, cropColors, drawCropMarker } from './Accessibility.js';
+import { t } from './I18n.js';
+
+/**
+ * Growth stages every crop goes through, in order
+ */
+export const GrowthStage = Object.freeze({
+    SEEDLING: "seedling",   // just planted — can't be picked
+    GROWING: "growing",     // picking it now costs a point
+    RIPE: "ripe",           // full value
+    WITHERED: "withered"    // too late — fades away, can't be picked
+});
+
+const STAGE_ORDER = [GrowthStage.SEEDLING, GrowthStage.GROWING, GrowthStage.RIPE, GrowthStage.WITHERED];
+
+// Points for picking a crop before it's ripe
+const UNRIPE_PENALTY = -1;
+
+/**
+ * What each crop is worth + how it looks + how long each growth stage lasts (seconds).
+ * Also the list of valid crop types for level files.
+ */
+export const CROP_DATA = Object.freeze({
+    wheat: {
+        name: "Wheat", value: 1, size: 8, stemColor: "#2f7d32", headColor: "#d9a441",
+        growth: { seedling: 1, growing: 1.5, ripe: 8, withered: 1.5 }
+    },
+    pumpkin: {
+        name: "Pumpkin", value: 3, size: 12, stemColor: "#4a7c59", headColor: "#ff6f00",
+        growth: { seedling: 1.5, growing: 2.5, ripe: 7, withered: 1.5 }
+    },
+    goldenApple: {
+        name: "Golden Apple", value: 5, size: 10, stemColor: "#2f7d32", headColor: "#ffd700",
+        growth: { seedling: 2, growing: 3, ripe: 4, withered: 1.5 }
+    }
+});
+
+/**
+ * A crop type's name in the current language (`name` above is the English fallback)
+ */
+export const cropName = type => t(`crop.${type}`, {}, CROP_DATA[type] ? CROP_DATA[type].name : type);
+
+// Colours used before/after the ripe stage (same for every crop)
+const UNRIPE_COLOR = "#9ccc65";
+const WITHERED_STEM = "#8d6e63";
+const WITHERED_HEAD = "#a1887f";
 
 /**
  * Crop class - collectible items (wheat, pumpkin, golden apple)
+ * Grows seedling → growing → ripe → withered, then disappears.
  */
 export class Crop extends Entity {
-    constructor(x, y, type = "wheat") {
+    /**
+     * `rng` is anything with a random() method — the world's seeded Random,
+     * or plain Math when determinism doesn't matter.
+     */
+    constructor(x, y, type = "wheat", rng = Math) {
         super(x, y, 20, 26);
         this.type = type;
-        this.sway = Math.random() * Math.PI * 2; // makes crops wiggle a little
-
-        // What each crop is worth + how it looks
-        this.cropData = {
-            wheat: { value: 1, size: 8, stemColor: "#2f7d32", headColor: "#d9a441" },
-            pumpkin: { value: 3, size: 12, stemColor: "#4a7c59", headColor: "#ff6f00" },
-            goldenApple: { value: 5, size: 10, stemColor: "#2f7d32", headColor: "#ffd700" }
-        };
+        this.sway = rng.random() * Math.PI * 2; // makes crops wiggle a little
 
+        // What each crop is worth + how it looks (shared table, see CROP_DATA)
+        this.cropData = CROP_DATA;
         this.data = this.cropData[type] || this.cropData.wheat;
-        this.value = this.data.value;
+
+        // Growth
+        this.stage = GrowthStage.SEEDLING;
+        this.stageTime = 0; // seconds spent in the current stage
+    }
+
+    /**
+     * 0 → 1 through the current stage
+     */
+    get stageProgress() {
+        return Math.min(1, this.stageTime / this.data.growth[this.stage]);
+    }
+
+    /**
+     * Whether touching it does anything at all
+     */
+    get harvestable() {
+        return this.stage === GrowthStage.GROWING || this.stage === GrowthStage.RIPE;
+    }
+
+    /**
+     * Points for picking it right now (negative = penalty)
+     */
+    get value() {
+        if (this.stage === GrowthStage.RIPE) return this.data.value;
+        if (this.stage === GrowthStage.GROWING) return UNRIPE_PENALTY;
+        return 0;
     }
 
     update(dt, game) {
         // make the crop sway over time
         this.sway += dt * 2;
+
+        // move through the growth stages; gone once fully withered
+        this.stageTime += dt;
+        while (!this.dead && this.stageTime >= this.data.growth[this.stage]) {
+            this.stageTime -= this.data.growth[this.stage];
+            const next = STAGE_ORDER[STAGE_ORDER.indexOf(this.stage) + 1];
+            if (next) this.stage = next;
+            else this.dead = true;
+        }
     }
 
     draw(ctx) {
+        // withered crops fade out over their last stage
+        if (this.stage === GrowthStage.WITHERED) ctx.globalAlpha = 1 - this.stageProgress * 0.8;
+        if (!drawSprite(ctx, "crops", `${this.type}-${this.stage}`, this.stageTime, this)) this.drawShape(ctx);
+        ctx.globalAlpha = 1;
+
+        // type marker (see Accessibility.js), over sprites too
+        if (displayOptions().markers && this.harvestable) {
+            drawCropMarker(ctx, this.type, this.x + this.w / 2, this.y + this.h / 2 + 2, this.stage === GrowthStage.RIPE);
+        }
+    }
+
+    /**
+     * Procedural look: stem + a head shaped by crop type
+     */
+    drawShape(ctx) {
+        if (this.stage === GrowthStage.SEEDLING) {
+            this.drawSeedling(ctx);
+            return;
+        }
+
         const { x, y, w, h } = this;
         const data = this.data;
+        const withered = this.stage === GrowthStage.WITHERED;
+        const growing = this.stage === GrowthStage.GROWING;
+        const colors = cropColors(this.type, data, UNRIPE_COLOR);
+        const sway = displayOptions().reducedMotion ? 0 : Math.sin(this.sway) * 3;
 
-        // stem
-        ctx.strokeStyle = data.stemColor;
+        // stem (droops to the side once withered)
+        const tipX = withered ? x + w / 2 + 6 : x + w / 2;
+        const tipY = withered ? y + 6 : y;
+        ctx.strokeStyle = withered ? WITHERED_STEM : data.stemColor;
         ctx.lineWidth = 3;
         ctx.beginPath();
         ctx.moveTo(x + w / 2, y + h);
-        ctx.quadraticCurveTo(x + w / 2 + Math.sin(this.sway) * 3, y + h / 2, x + w / 2, y);
+        ctx.quadraticCurveTo(x + w / 2 + sway, y + h / 2, tipX, tipY);
         ctx.stroke();
 
-        // head depends on type
+        // head: small + green while growing, brown when withered
+        const size = growing ? data.size * (0.4 + 0.6 * this.stageProgress) : data.size;
+        const color = withered ? WITHERED_HEAD : growing ? colors.unripe : colors.head;
+        this.drawHead(ctx, tipX, tipY, size, color, this.stage === GrowthStage.RIPE, colors.outline);
+    }
+
+    /**
+     * Two little leaves poking out of the ground
+     */
+    drawSeedling(ctx) {
+        const { x, y, w, h } = this;
+        const grow = 0.5 + 0.5 * this.stageProgress;
+
+        ctx.fillStyle = "#8d6e63"; // soil mound
+        ctx.beginPath();
+        ctx.ellipse(x + w / 2, y + h, 7, 3, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.fillStyle = this.data.stemColor;
+        [-1, 1].forEach(side => {
+            ctx.beginPath();
+            ctx.ellipse(x + w / 2 + side * 3, y + h - 5 * grow, 4 * grow, 2 * grow, side * Math.PI / 5, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+
+    /**
+     * Head shape depends on crop type; `ripe` adds the finishing details and
+     * `outline` (high contrast palette) rings the head
+     */
+    drawHead(ctx, cx, top, size, color, ripe, outline = null) {
+        const ring = () => {
+            if (!outline) return;
+            ctx.strokeStyle = outline;
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        };
         if (this.type === "pumpkin") {
             // pumpkin = orange circle with little ridges
-            ctx.fillStyle = data.headColor;
+            ctx.fillStyle = color;
             ctx.beginPath();
-            ctx.arc(x + w / 2, y + 4, data.size, 0, Math.PI * 2);
+            ctx.arc(cx, top + 4, size, 0, Math.PI * 2);
             ctx.fill();
+            ring();
 
-            ctx.strokeStyle = "#e65100";
-            ctx.lineWidth = 2;
-            for (let i = 0; i < 4; i++) {
-                const angle = (i * Math.PI) / 2;
-                ctx.beginPath();
-                ctx.arc(x + w / 2, y + 4, data.size - 2, angle - 0.2, angle + 0.2);
-                ctx.stroke();
+            if (ripe) {
+                ctx.strokeStyle = "#e65100";
+                ctx.lineWidth = 2;
+                for (let i = 0; i < 4; i++) {
+                    const angle = (i * Math.PI) / 2;
+                    ctx.beginPath();
+                    ctx.arc(cx, top + 4, size - 2, angle - 0.2, angle + 0.2);
+                    ctx.stroke();
+                }
             }
         } else if (this.type === "goldenApple") {
             // shiny golden apple with a leaf
-            ctx.fillStyle = data.headColor;
+            ctx.fillStyle = color;
             ctx.beginPath();
-            ctx.arc(x + w / 2, y + 2, data.size, 0, Math.PI * 2);
+            ctx.arc(cx, top + 2, size, 0, Math.PI * 2);
             ctx.fill();
+            ring();
 
-            // shimmer
-            ctx.fillStyle = "#ffef3d";
-            ctx.beginPath();
-            ctx.arc(x + w / 2 - 3, y - 1, 3, 0, Math.PI * 2);
-            ctx.fill();
+            if (ripe) {
+                // shimmer
+                ctx.fillStyle = "#ffef3d";
+                ctx.beginPath();
+                ctx.arc(cx - 3, top - 1, 3, 0, Math.PI * 2);
+                ctx.fill();
+            }
 
             // leaf
             ctx.fillStyle = "#4caf50";
             ctx.beginPath();
-            ctx.ellipse(x + w / 2 + 4, y - 4, 3, 6, Math.PI / 4, 0, Math.PI * 2);
+            ctx.ellipse(cx + 4, top - 4, 3, 6, Math.PI / 4, 0, Math.PI * 2);
             ctx.fill();
         } else {
             // wheat (default)
-            ctx.fillStyle = data.headColor;
+            ctx.fillStyle = color;
             ctx.beginPath();
-            ctx.ellipse(x + w / 2, y, data.size, 6, 0, 0, Math.PI * 2);
+            ctx.ellipse(cx, top, size, 6 * (size / this.data.size), 0, 0, Math.PI * 2);
             ctx.fill();
+            ring();
         }
     }
 }
 
 /**
- * PowerUps → temporary buffs (speed boost, scythe)
+ * PowerUps → temporary buffs. What each type looks like + does lives in
+ * the registry (PowerUps.js).
  */
 export class PowerUp extends Entity {
     constructor(x, y, type = "speed") {
         super(x, y, 24, 24);
+        this.data = getPowerUp(type);
+        if (!this.data) throw new Error(`Unknown power-up type: ${type}`);
         this.type = type;
-        this.duration = 8; // seconds
+        this.duration = this.data.duration; // seconds
         this.pulse = 0;    // visual pulse effect
-
-        this.powerData = {
-            speed: { color: "#00bcd4", effect: "Speed Boost", multiplier: 1.8 },
-            scythe: { color: "#ff5722", effect: "Scythe", range: 80 }
-        };
-
-        this.data = this.powerData[type] || this.powerData.speed;
     }
 
     update(dt, game) {
@@ -111,7 +259,8 @@ export class PowerUp extends Entity {
     draw(ctx) {
         const { x, y, w, h } = this;
         const data = this.data;
-        const pulseIntensity = (Math.sin(this.pulse) + 1) * 0.3 + 0.4;
+        const still = displayOptions().reducedMotion;
+        const pulseIntensity = still ? 0.7 : (Math.sin(this.pulse) + 1) * 0.3 + 0.4;
 
         // glowing aura
         ctx.fillStyle = data.color;
@@ -122,44 +271,35 @@ export class PowerUp extends Entity {
         ctx.globalAlpha = 1;
 
         // icon inside
+        if (drawSprite(ctx, "powerUps", this.type, still ? 0 : this.pulse / 4, this)) return;
         ctx.fillStyle = data.color;
-        if (this.type === "speed") {
-            // lightning bolt
-            ctx.beginPath();
-            ctx.moveTo(x + w / 2 - 4, y + 4);
-            ctx.lineTo(x + w / 2 + 2, y + h / 2 - 2);
-            ctx.lineTo(x + w / 2 - 2, y + h / 2);
-            ctx.lineTo(x + w / 2 + 4, y + h - 4);
-            ctx.lineTo(x + w / 2 - 2, y + h / 2 + 2);
-            ctx.lineTo(x + w / 2 + 2, y + h / 2);
-            ctx.closePath();
-            ctx.fill();
-        } else if (this.type === "scythe") {
-            // scythe blade
-            ctx.strokeStyle = data.color;
-            ctx.lineWidth = 3;
-            ctx.beginPath();
-            ctx.arc(x + w / 2, y + h / 2 - 3, 6, 0, Math.PI, false);
-            ctx.stroke();
-
-            // handle
-            ctx.beginPath();
-            ctx.moveTo(x + w / 2, y + h / 2 + 3);
-            ctx.lineTo(x + w / 2, y + h - 2);
-            ctx.stroke();
-        }
+        data.drawIcon(ctx, this);
     }
 }
 
 /**
- * Scarecrow - static obstacle
+ * Scarecrow - static obstacle (and crows won't come near it, see Crow.js)
  */
 export class Scarecrow extends Entity {
     constructor(x, y) {
         super(x, y, 26, 46);
+        this.scareRadius = 60; // px from its centre that sends crows flying
+    }
+
+    /**
+     * Solid parts: pole, arms and the round head (see Collision.js)
+     */
+    getShapes() {
+        const { x, y, w, h } = this;
+        return [
+            { type: "box", x: x + w / 2 - 3, y, w: 6, h },
+            { type: "box", x, y: y + 16, w, h: 4 },
+            { type: "circle", cx: x + w / 2, cy: y + 10, r: 10 }
+        ];
     }
 
     draw(ctx) {
+        if (drawSprite(ctx, "scarecrow", "idle", 0, this)) return;
         const { x, y, w, h } = this;
 
         // pole
@@ -182,40 +322,38 @@ export class Scarecrow extends Entity {
     }
 }
 
+// Barn footprint (Levels.js places it, World only adds one in delivery rounds)
+export const BARN_SIZE = Object.freeze({ w: 70, h: 60 });
+
 /**
- * Input handler -  keeps track of pressed keys
- * 
- * 👆 This is a good example of why `.bind(this)` is sometimes necessary.
- * - We bind the methods once in the constructor and keep references.  
- * - That way, we can *remove* the same listeners later in dispose().  
- * - If we used arrow functions directly in addEventListener, every call would
- *   create a new function object.
+ * Barn - where farmers tip out their baskets in barn delivery rounds
+ * (see Basket.js). Not solid: farmers walk in through the door.
  */
-export class Input {
-    constructor(game) {
-        this.game = game;
-        this.keys = new Set();
-
-        // Bound once so we can remove them later
-        this._onKeyDown = this.onKeyDown.bind(this);
-        this._onKeyUp = this.onKeyUp.bind(this);
-
-        window.addEventListener("keydown", this._onKeyDown);
-        window.addEventListener("keyup", this._onKeyUp);
+export class Barn extends Entity {
+    constructor(x, y) {
+        super(x, y, BARN_SIZE.w, BARN_SIZE.h);
     }
 
-    onKeyDown(e) {
-        if (e.key === "p" || e.key === "P") this.game.togglePause();
-        this.keys.add(e.key);
-    }
+    draw(ctx) {
+        if (drawSprite(ctx, "barn", "idle", 0, this)) return;
+        const { x, y, w, h } = this;
 
-    onKeyUp(e) {
-        this.keys.delete(e.key);
-    }
+        // walls + roof
+        ctx.fillStyle = "#b23a2e";
+        ctx.fillRect(x + 4, y + 20, w - 8, h - 20);
+        ctx.fillStyle = "#6d2a22";
+        ctx.beginPath();
+        ctx.moveTo(x, y + 22);
+        ctx.lineTo(x + w / 2, y);
+        ctx.lineTo(x + w, y + 22);
+        ctx.closePath();
+        ctx.fill();
 
-    dispose() {
-        // removing works only because we saved bound refs
-        window.removeEventListener("keydown", this._onKeyDown);
-        window.removeEventListener("keyup", this._onKeyUp);
+        // open door with a white cross-brace frame
+        ctx.fillStyle = "#3e2723";
+        ctx.fillRect(x + w / 2 - 12, y + h - 26, 24, 26);
+        ctx.strokeStyle = "#fff";
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x + w / 2 - 12, y + h - 26, 24, 26);
     }
 }
@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Crow enemy — walks to a crop with A* and eats it
+ *
+ * Life of a crow:
+ *   SEEKING → picks the nearest crop nobody else is after, follows an A* path
+ *             to it across the TILE grid (around obstacles, keeping clear of
+ *             scarecrows where it can)
+ *   EATING  → pecks for a moment; if no farmer grabs the crop first,
+ *             it's gone
+ *   FLEEING → a farmer came too close, or it wandered near a scarecrow:
+ *             flies off the field and disappears
+ */
+
+import { Entity, aabb } from './Farmer.js';
+import { GrowthStage } from './Crop.js';
+
+export const CrowState = Object.freeze({
+    SEEKING: "SEEKING",
+    EATING: "EATING",
+    FLEEING: "FLEEING"
+});
+
+const WALK_SPEED = 90;        // px/s — a lot slower than the farmer
+const FLY_SPEED = 260;
+const EAT_TIME = 1.2;         // seconds of pecking before the crop is gone
+const FARMER_SCARE = 100;     // px from the farmer that sends a crow off
+const GIVE_UP_AFTER = 5;      // seconds with nothing to eat before leaving
+const PATH_TRIES = 3;         // how many of the nearest crops to try pathing to
+
+const center = e => ({ x: e.x + e.w / 2, y: e.y + e.h / 2 });
+
+export class Crow extends Entity {
+    constructor(x, y) {
+        super(x, y, 22, 18);
+        this.state = CrowState.SEEKING;
+        this.target = null;   // crop it's after
+        this.path = [];       // remaining cells to walk through
+        this.eatTime = 0;
+        this.idleTime = 0;
+        this.flap = 0;        // wing animation
+        this.facing = 1;      // 1 = right, -1 = left
+        this.vx = 0;
+        this.vy = 0;
+    }
+
+    update(dt, world) {
+        this.flap += dt * (this.state === CrowState.FLEEING ? 20 : 8);
+
+        if (this.state === CrowState.FLEEING) {
+            this.x += this.vx * dt;
+            this.y += this.vy * dt;
+            if (this.x + this.w < 0 || this.y + this.h < 0 || this.x > world.width || this.y > world.height) this.dead = true;
+            return;
+        }
+
+        const threat = this.findThreat(world);
+        if (threat) {
+            this.flee(threat, world);
+            return;
+        }
+
+        if (this.state === CrowState.EATING) {
+            if (!this.target || this.target.dead || this.target.stage === GrowthStage.WITHERED) {
+                // farmer got there first, or it withered while we ate
+                this.state = CrowState.SEEKING;
+                this.target = null;
+            } else {
+                this.eatTime -= dt;
+                if (this.eatTime <= 0) {
+                    world.cropEaten(this.target);
+                    this.target = null;
+                    this.state = CrowState.SEEKING;
+                }
+                return;
+            }
+        }
+
+        // SEEKING
+        if (!this.target || this.target.dead || this.target.stage === GrowthStage.WITHERED) this.pickTarget(world);
+        if (!this.target) {
+            this.idleTime += dt;
+            if (this.idleTime >= GIVE_UP_AFTER) this.flee(center(this), world, false);
+            return;
+        }
+        this.idleTime = 0;
+
+        if (aabb(this, this.target)) {
+            this.state = CrowState.EATING;
+            this.eatTime = EAT_TIME;
+            return;
+        }
+        this.walk(dt, world);
+    }
+
+    /**
+     * A farmer or scarecrow close enough to scare it. Returns the point to flee from.
+     */
+    findThreat(world) {
+        const me = center(this);
+        for (const player of world.players) {
+            const farmer = center(player);
+            if (Math.hypot(farmer.x - me.x, farmer.y - me.y) < FARMER_SCARE) return farmer;
+        }
+
+        const scary = world.obstacleIndex.queryRadius(me.x, me.y, world.maxScareRadius)
+            .filter(o => o.scareRadius)
+            .find(o => {
+                const c = center(o);
+                return Math.hypot(c.x - me.x, c.y - me.y) < o.scareRadius;
+            });
+        return scary ? center(scary) : null;
+    }
+
+    /**
+     * Take off, heading directly away from `from`
+     */
+    flee(from, world, scared = true) {
+        const me = center(this);
+        let dx = me.x - from.x, dy = me.y - from.y;
+        const len = Math.hypot(dx, dy);
+        if (len < 1) { dx = 0; dy = -1; } // right on top of it: just go up
+        else { dx /= len; dy /= len; }
+
+        this.state = CrowState.FLEEING;
+        this.target = null;
+        this.path = [];
+        this.vx = dx * FLY_SPEED;
+        this.vy = dy * FLY_SPEED;
+        if (dx) this.facing = Math.sign(dx);
+        if (scared) world.stats.crowsScared++;
+    }
+
+    /**
+     * Nearest crop no other crow is after, that we can actually walk to
+     */
+    pickTarget(world) {
+        this.target = null;
+        this.path = [];
+
+        const me = center(this);
+        const claimed = new Set(world.crows.filter(c => c !== this && c.target).map(c => c.target));
+        const candidates = world.crops
+            .filter(c => !c.dead && c.stage !== GrowthStage.WITHERED && !claimed.has(c))
+            .map(c => ({ crop: c, dist: Math.hypot(c.x + c.w / 2 - me.x, c.y + c.h / 2 - me.y) }))
+            .sort((a, b) => a.dist - b.dist)
+            .slice(0, PATH_TRIES);
+
+        const nav = world.navGrid;
+        const from = nav.cellAt(me.x, me.y);
+        for (const { crop } of candidates) {
+            const c = center(crop);
+            const path = nav.findPath(from, nav.cellAt(c.x, c.y));
+            if (path) {
+                this.target = crop;
+                this.path = path;
+                return;
+            }
+        }
+    }
+
+    /**
+     * Follow the path cell by cell, then home in on the crop itself
+     */
+    walk(dt, world) {
+        const me = center(this);
+        let goal;
+        if (this.path.length) {
+            const cell = this.path[0];
+            goal = world.navGrid.cellCenter(cell.col, cell.row);
+        } else {
+            goal = center(this.target);
+        }
+
+        const dx = goal.x - me.x, dy = goal.y - me.y;
+        const dist = Math.hypot(dx, dy);
+        const stepLen = WALK_SPEED * dt;
+        if (dist <= stepLen) {
+            this.x += dx;
+            this.y += dy;
+            if (this.path.length) this.path.shift();
+        } else {
+            this.x += (dx / dist) * stepLen;
+            this.y += (dy / dist) * stepLen;
+        }
+        if (Math.abs(dx) > 0.5) this.facing = Math.sign(dx);
+    }
+
+    draw(ctx) {
+        const { x, y, w, h } = this;
+        const cx = x + w / 2, cy = y + h / 2;
+        const f = this.facing;
+        const flying = this.state === CrowState.FLEEING;
+        const wing = Math.sin(this.flap) * (flying ? 0.9 : 0.25);
+
+        // body
+        ctx.fillStyle = "#222";
+        ctx.beginPath();
+        ctx.ellipse(cx, cy + 2, w / 2 - 2, h / 2 - 3, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // head
+        ctx.beginPath();
+        ctx.arc(cx + f * 8, cy - 3, 5, 0, Math.PI * 2);
+        ctx.fill();
+
+        // beak
+        ctx.fillStyle = "#f9a825";
+        ctx.beginPath();
+        ctx.moveTo(cx + f * 12, cy - 4);
+        ctx.lineTo(cx + f * 17, cy - 2);
+        ctx.lineTo(cx + f * 12, cy);
+        ctx.closePath();
+        ctx.fill();
+
+        // eye
+        ctx.fillStyle = "#fff";
+        ctx.fillRect(cx + f * 9 - 1, cy - 5, 2, 2);
+
+        // wing (flaps hard when flying off)
+        ctx.fillStyle = "#444";
+        ctx.beginPath();
+        ctx.ellipse(cx - f * 2, cy - 1, 7, 3, -f * wing, 0, Math.PI * 2);
+        ctx.fill();
+
+        // pecking: little bob of the head shown as crumbs
+        if (this.state === CrowState.EATING) {
+            ctx.fillStyle = "#d9a441";
+            ctx.fillRect(cx + f * 14, cy + 4 + Math.sin(this.flap * 2) * 2, 2, 2);
+        }
+    }
+}
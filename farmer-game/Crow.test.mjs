@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Crow checks — run with `node --test` in this folder
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { World } from './World.js';
+import { Crop, GrowthStage } from './Crop.js';
+import { Crow, CrowState } from './Crow.js';
+
+const DT = 1 / 60;
+
+/**
+ * A crow already pecking at a ripe crop in the top-left corner, far from the farmer
+ */
+function crowAtCrop() {
+    const world = new World({ seed: 1 });
+    world.start(1);
+    const crop = new Crop(45, 45, "wheat", world.rng);
+    crop.stage = GrowthStage.RIPE;
+    world.addCrop(crop);
+    const crow = new Crow(crop.x, crop.y);
+    crow.state = CrowState.EATING;
+    crow.target = crop;
+    crow.eatTime = 1;
+    return { world, crop, crow };
+}
+
+test("a crow left to eat takes the crop", () => {
+    const { world, crop, crow } = crowAtCrop();
+    for (let i = 0; i < 90; i++) crow.update(DT, world);
+    assert.ok(crop.dead);
+    assert.equal(world.stats.cropsLostToCrows, 1);
+});
+
+test("a crop that withers while a crow eats it isn't counted as eaten", () => {
+    const { world, crop, crow } = crowAtCrop();
+    for (let i = 0; i < 30; i++) crow.update(DT, world);
+    crop.stage = GrowthStage.WITHERED;
+    for (let i = 0; i < 60; i++) crow.update(DT, world);
+    assert.ok(!crop.dead);
+    assert.equal(world.stats.cropsLostToCrows, 0);
+    assert.notEqual(crow.target, crop);
+});
@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Difficulty presets (Easy / Normal / Hard / Custom) and the saved choice
+ *
+ * A difficulty scales every level rather than replacing it, so each field keeps
+ * its own character:
+ *   time        × the level's round length
+ *   goal        × the level's goal (never below 1)
+ *   cropSpawn   × how often crops spawn
+ *   speed       × the farmers' walking speed
+ *   powerUps    false = no power-ups spawn at all
+ *   scarecrows  share of the level's scarecrows that are put up (0 = none, 1 = all),
+ *               picked evenly along the level's list
+ *
+ * It changes the simulation, so World takes it as its `difficulty` option — a
+ * plain { preset, ...values } object — and replays record it next to the
+ * upgrades. The settings menu (SettingsView.js) picks one; the choice and the
+ * Custom values are saved in localStorage.
+ */
+
+import { VersionedStore } from './Storage.js';
+
+export const DIFFICULTY_PRESETS = Object.freeze({
+    easy: Object.freeze({ name: "Easy", time: 1.25, goal: 0.8, cropSpawn: 1.2, speed: 1.1, powerUps: true, scarecrows: 0.5 }),
+    normal: Object.freeze({ name: "Normal", time: 1, goal: 1, cropSpawn: 1, speed: 1, powerUps: true, scarecrows: 1 }),
+    hard: Object.freeze({ name: "Hard", time: 0.85, goal: 1.25, cropSpawn: 0.85, speed: 0.95, powerUps: false, scarecrows: 1 })
+});
+
+export const CUSTOM = "custom";
+
+/**
+ * Allowed range of each scale (also the Custom sliders' range)
+ */
+export const DIFFICULTY_LIMITS = Object.freeze({
+    time: Object.freeze({ min: 0.5, max: 2 }),
+    goal: Object.freeze({ min: 0.5, max: 2 }),
+    cropSpawn: Object.freeze({ min: 0.5, max: 2 }),
+    speed: Object.freeze({ min: 0.7, max: 1.5 }),
+    scarecrows: Object.freeze({ min: 0, max: 1 })
+});
+
+const VALUE_KEYS = ["time", "goal", "cropSpawn", "speed", "powerUps", "scarecrows"];
+
+const valuesOf = (preset, values) => ({ preset, ...Object.fromEntries(VALUE_KEYS.map(k => [k, values[k]])) });
+
+/**
+ * World-ready settings for a preset: { preset, time, goal, cropSpawn, speed, powerUps, scarecrows }
+ */
+export function presetDifficulty(id) {
+    const preset = DIFFICULTY_PRESETS[id];
+    if (!preset) throw new Error(`Unknown difficulty "${id}" (known: ${Object.keys(DIFFICULTY_PRESETS).join(", ")})`);
+    return valuesOf(id, preset);
+}
+
+export const NORMAL_DIFFICULTY = Object.freeze(presetDifficulty("normal"));
+
+/**
+ * "Easy", "Normal", "Hard" or "Custom" — in English, as saved with high scores
+ * (the HUD and menus show "difficulty.<preset>" from the locale bundles)
+ */
+export const difficultyName = difficulty =>
+    (DIFFICULTY_PRESETS[difficulty.preset] ? DIFFICULTY_PRESETS[difficulty.preset].name : "Custom");
+
+/**
+ * Throw if a difficulty object isn't one the settings menu could have made
+ */
+export function checkDifficulty(difficulty) {
+    if (!difficulty || typeof difficulty !== "object" || Array.isArray(difficulty)) throw new Error("Difficulty must be an object");
+    if (difficulty.preset !== CUSTOM && !DIFFICULTY_PRESETS[difficulty.preset]) {
+        throw new Error(`Unknown difficulty preset "${difficulty.preset}" (known: ${[...Object.keys(DIFFICULTY_PRESETS), CUSTOM].join(", ")})`);
+    }
+    Object.entries(DIFFICULTY_LIMITS).forEach(([key, { min, max }]) => {
+        const value = difficulty[key];
+        if (typeof value !== "number" || !(value >= min && value <= max)) throw new Error(`Difficulty ${key} must be ${min}–${max}`);
+    });
+    if (typeof difficulty.powerUps !== "boolean") throw new Error("Difficulty powerUps must be true or false");
+    return difficulty;
+}
+
+/**
+ * The level's obstacles with only `share` of its scarecrows, spread evenly
+ * (0.5 of four keeps the 2nd and 4th)
+ */
+export function keptObstacles(obstacles, share) {
+    let seen = 0;
+    return obstacles.filter(o => {
+        if (o.type !== "scarecrow") return true;
+        seen++;
+        return Math.floor(seen * share + 1e-9) > Math.floor((seen - 1) * share + 1e-9);
+    });
+}
+
+const isValidSave = data => {
+    if (!data || (data.preset !== CUSTOM && !DIFFICULTY_PRESETS[data.preset])) return false;
+    try {
+        checkDifficulty({ ...data.custom, preset: CUSTOM });
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+/**
+ * The player's saved difficulty: the chosen preset, and the Custom values
+ * (kept while another preset is picked, so switching back doesn't lose them)
+ */
+export class DifficultySettings {
+    constructor({ storage } = {}) {
+        this.store = new VersionedStore("farmerHarvest.difficulty", {
+            version: 1,
+            defaults: () => ({ preset: "normal", custom: valuesOf(CUSTOM, DIFFICULTY_PRESETS.normal) }),
+            validate: isValidSave,
+            storage
+        });
+        this.data = this.store.load();
+    }
+
+    get preset() {
+        return this.data.preset;
+    }
+
+    /**
+     * What World plays with right now (a copy, so later changes don't leak into a round)
+     */
+    get difficulty() {
+        return this.data.preset === CUSTOM ? { ...this.data.custom } : presetDifficulty(this.data.preset);
+    }
+
+    /**
+     * Pick Easy / Normal / Hard / Custom
+     */
+    setPreset(id) {
+        if (id !== CUSTOM) presetDifficulty(id); // throws for unknown ids
+        this.data = { ...this.data, preset: id };
+        this.store.save(this.data);
+    }
+
+    /**
+     * Change one value. Switches to Custom, starting from whatever was in effect.
+     */
+    setValue(key, value) {
+        if (!VALUE_KEYS.includes(key)) throw new Error(`Unknown difficulty setting "${key}"`);
+        const custom = checkDifficulty({ ...this.difficulty, preset: CUSTOM, [key]: value });
+        this.data = { preset: CUSTOM, custom };
+        this.store.save(this.data);
+    }
+}
@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Visual effects — pooled particles, emitters, screen shake and flash
+ *
+ * Purely cosmetic: nothing here touches the World or its seeded Random, so
+ * effects can use Math.random freely without breaking replays.
+ *
+ *   const particles = new ParticleSystem();
+ *   EMITTERS.chaff.burst(particles, x, y, { colors: ["#d9a441"] });
+ *   particles.spawn({ x, y, vy: -30, life: 0.5, text: "+3", color: "#ff6f00" });
+ *   // every step: particles.update(dt); every frame: particles.draw(ctx)
+ *
+ * Dead particles go back to a pool and are reused by the next spawn(), so a
+ * busy field doesn't churn out garbage. Past `max` live particles new ones are
+ * dropped rather than slowing the game down.
+ */
+
+const DEFAULT_MAX_PARTICLES = 600;
+
+// What a particle starts as before spawn()'s props are applied
+const PARTICLE_DEFAULTS = Object.freeze({
+    x: 0, y: 0,
+    vx: 0, vy: 0,          // px/s
+    gravity: 0,            // px/s² added to vy
+    drag: 0,               // fraction of velocity lost per second (0..1)
+    life: 1,               // seconds
+    size: 3,               // radius (circle), half side (square), font px (text)
+    shrink: false,         // size → 0 over its life
+    fade: true,            // alpha → 0 over its life
+    color: "#fff",
+    shape: "circle",       // circle | square | spark (a short streak along the velocity) | text
+    text: null             // for shape "text" (set automatically when text is given)
+});
+
+const randomIn = ([lo, hi]) => lo + Math.random() * (hi - lo);
+const pick = list => list[Math.floor(Math.random() * list.length)];
+
+export class ParticleSystem {
+    constructor(max = DEFAULT_MAX_PARTICLES) {
+        this.max = max;
+        this.live = [];
+        this.pool = [];
+    }
+
+    get count() {
+        return this.live.length;
+    }
+
+    /**
+     * One particle (see PARTICLE_DEFAULTS for the props). Returns it, or null when full.
+     */
+    spawn(props) {
+        if (this.live.length >= this.max) return null;
+        const p = Object.assign(this.pool.pop() || {}, PARTICLE_DEFAULTS, props);
+        if (p.text !== null && !props.shape) p.shape = "text";
+        p.age = 0;
+        this.live.push(p);
+        return p;
+    }
+
+    update(dt) {
+        // Swap-remove finished particles into the pool (draw order doesn't matter)
+        for (let i = this.live.length - 1; i >= 0; i--) {
+            const p = this.live[i];
+            p.age += dt;
+            if (p.age >= p.life) {
+                this.live[i] = this.live[this.live.length - 1];
+                this.live.pop();
+                this.pool.push(p);
+                continue;
+            }
+            p.vy += p.gravity * dt;
+            if (p.drag) {
+                const keep = Math.max(0, 1 - p.drag * dt);
+                p.vx *= keep;
+                p.vy *= keep;
+            }
+            p.x += p.vx * dt;
+            p.y += p.vy * dt;
+        }
+    }
+
+    draw(ctx) {
+        this.live.forEach(p => {
+            const left = 1 - p.age / p.life;
+            const size = p.shrink ? p.size * left : p.size;
+            ctx.globalAlpha = p.fade ? left : 1;
+            ctx.fillStyle = p.color;
+            ctx.strokeStyle = p.color;
+
+            if (p.shape === "text") {
+                ctx.font = `bold ${p.size}px system-ui, sans-serif`;
+                ctx.textAlign = "center";
+                ctx.fillText(p.text, p.x, p.y);
+                ctx.textAlign = "left";
+            } else if (p.shape === "square") {
+                ctx.fillRect(p.x - size, p.y - size, size * 2, size * 2);
+            } else if (p.shape === "spark") {
+                ctx.lineWidth = Math.max(1, size / 2);
+                ctx.beginPath();
+                ctx.moveTo(p.x, p.y);
+                ctx.lineTo(p.x - p.vx * 0.05, p.y - p.vy * 0.05);
+                ctx.stroke();
+            } else {
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, Math.max(0.5, size), 0, Math.PI * 2);
+                ctx.fill();
+            }
+        });
+        ctx.globalAlpha = 1;
+    }
+
+    clear() {
+        this.pool.push(...this.live);
+        this.live.length = 0;
+    }
+}
+
+/**
+ * A recipe for a burst of particles. Ranges are [min, max] and picked per
+ * particle; `angle` is the centre direction (radians, 0 = right, -π/2 = up)
+ * and `spread` how far either side of it they may go.
+ */
+export class Emitter {
+    constructor({
+        count = 10, angle = -Math.PI / 2, spread = Math.PI, speed = [40, 120], life = [0.4, 0.8],
+        size = [2, 3], colors = ["#fff"], gravity = 0, drag = 0, shape = "circle", shrink = false, fade = true
+    } = {}) {
+        Object.assign(this, { count, angle, spread, speed, life, size, colors, gravity, drag, shape, shrink, fade });
+    }
+
+    /**
+     * Spawn `count` particles at (x, y). `overrides` replace this emitter's
+     * settings for this burst only (e.g. { colors, count }).
+     */
+    burst(system, x, y, overrides = {}) {
+        const o = { ...this, ...overrides };
+        for (let i = 0; i < o.count; i++) {
+            const angle = o.angle + (Math.random() * 2 - 1) * o.spread;
+            const speed = randomIn(o.speed);
+            system.spawn({
+                x, y,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                gravity: o.gravity,
+                drag: o.drag,
+                life: randomIn(o.life),
+                size: randomIn(o.size),
+                color: pick(o.colors),
+                shape: o.shape,
+                shrink: o.shrink,
+                fade: o.fade
+            });
+        }
+    }
+}
+
+/**
+ * The game's effects
+ */
+export const EMITTERS = Object.freeze({
+    // bits of straw thrown up and falling back on harvest (colours from the crop)
+    chaff: new Emitter({ count: 10, spread: Math.PI / 3, speed: [60, 160], life: [0.4, 0.7], size: [1.5, 3], gravity: 420, shape: "square" }),
+    // golden apple glints
+    sparkle: new Emitter({ count: 8, spread: Math.PI, speed: [20, 70], life: [0.5, 0.9], size: [2, 4], drag: 2, shape: "spark",
+        colors: ["#fff8c4", "#ffd700", "#ffffff"] }),
+    // dust puffs behind a speed-boosted farmer
+    trail: new Emitter({ count: 1, spread: Math.PI, speed: [5, 20], life: [0.25, 0.4], size: [3, 5], shrink: true, drag: 3 })
+});
+
+/**
+ * Whole-screen effects: shake (offsets the camera) and flash (a fading colour wash)
+ */
+export class ScreenEffects {
+    constructor() {
+        this.shakeTime = 0;
+        this.shakeDuration = 0;
+        this.shakeStrength = 0;
+        this.flashTime = 0;
+        this.flashDuration = 0;
+        this.flashColor = "#fff";
+        this.flashAlpha = 0;
+        this.offset = { x: 0, y: 0 };
+    }
+
+    /**
+     * @param {number} strength max offset in px
+     * @param {number} duration seconds (eases out over it)
+     */
+    shake(strength, duration = 0.3) {
+        // A stronger shake takes over; a weaker one doesn't cut a big one short
+        if (this.shakeTime > 0 && strength * duration < this.shakeStrength * this.shakeTime) return;
+        this.shakeStrength = strength;
+        this.shakeDuration = this.shakeTime = duration;
+    }
+
+    /**
+     * @param {string} color
+     * @param {number} duration seconds
+     * @param {number} alpha starting opacity
+     */
+    flash(color, duration = 0.25, alpha = 0.35) {
+        this.flashColor = color;
+        this.flashDuration = this.flashTime = duration;
+        this.flashAlpha = alpha;
+    }
+
+    update(dt) {
+        this.shakeTime = Math.max(0, this.shakeTime - dt);
+        this.flashTime = Math.max(0, this.flashTime - dt);
+        const strength = this.shakeTime > 0 ? this.shakeStrength * (this.shakeTime / this.shakeDuration) : 0;
+        this.offset.x = (Math.random() * 2 - 1) * strength;
+        this.offset.y = (Math.random() * 2 - 1) * strength;
+    }
+
+    /**
+     * Colour wash over the whole view (call in view space, after everything else)
+     */
+    drawFlash(ctx, width, height) {
+        if (this.flashTime <= 0) return;
+        ctx.globalAlpha = this.flashAlpha * (this.flashTime / this.flashDuration);
+        ctx.fillStyle = this.flashColor;
+        ctx.fillRect(0, 0, width, height);
+        ctx.globalAlpha = 1;
+    }
+
+    clear() {
+        this.shakeTime = 0;
+        this.flashTime = 0;
+        this.offset.x = this.offset.y = 0;
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Gameplay events — a small typed pub/sub bus
+ *
+ * World emits what happens; the HUD, floating score text (and later audio,
+ * analytics...) subscribe instead of being wired into the update loop.
+ *
+ *   const off = events.on(GameEvent.CROP_HARVESTED, ({ crop, points }) => ...);
+ *   events.once(GameEvent.STATE_CHANGED, ({ to }) => ...);
+ *   off(); // or events.off(type, listener)
+ *
+ * The bus only accepts the event names it was created with, so a typo throws
+ * instead of silently never firing. A listener that throws is logged and the
+ * rest still run — a broken subscriber can't stop the game.
+ */
+
+/**
+ * Events World emits, with their payloads:
+ *   cropHarvested     { farmer, crop, points,       points after multipliers (negative = penalty)
+ *                       combo, multiplier }         the farmer's chain length and combo multiplier (Combo.js)
+ *   comboBonus        { farmer, kind, points }      kind "sweep" (scythe pass) or "streak" (same crop type)
+ *   cropsDelivered    { farmer, count, points }     delivery rounds: a basket tipped out at the barn
+ *   powerUpCollected  { farmer, type, effect }      effect = the farmer's active record for it
+ *   powerUpExpired    { farmer, type }
+ *   stateChanged      { from, to }                  State values
+ *   timeWarning       { secondsLeft }               clock just passed 10, 9, ... or 1 seconds
+ *   timeOfDayChanged  { from, to }                  DayPhase values (see Weather.js)
+ *   weatherChanged    { from, to, wind }            WEATHER keys; wind = push in px/s { x, y }
+ */
+export const GameEvent = Object.freeze({
+    CROP_HARVESTED: "cropHarvested",
+    COMBO_BONUS: "comboBonus",
+    CROPS_DELIVERED: "cropsDelivered",
+    POWER_UP_COLLECTED: "powerUpCollected",
+    POWER_UP_EXPIRED: "powerUpExpired",
+    STATE_CHANGED: "stateChanged",
+    TIME_WARNING: "timeWarning",
+    TIME_OF_DAY_CHANGED: "timeOfDayChanged",
+    WEATHER_CHANGED: "weatherChanged"
+});
+
+export class EventBus {
+    /**
+     * @param {string[]} [types] event names this bus accepts (GameEvent by default)
+     */
+    constructor(types = Object.values(GameEvent)) {
+        this.listeners = new Map(types.map(type => [type, []]));
+    }
+
+    _listFor(type) {
+        const list = this.listeners.get(type);
+        if (!list) throw new Error(`Unknown event "${type}" (known: ${[...this.listeners.keys()].join(", ")})`);
+        return list;
+    }
+
+    /**
+     * Subscribe. Returns a function that unsubscribes again.
+     */
+    on(type, listener) {
+        this._listFor(type).push({ listener, once: false });
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Subscribe for the next event of this type only
+     */
+    once(type, listener) {
+        this._listFor(type).push({ listener, once: true });
+        return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+        const list = this._listFor(type);
+        const i = list.findIndex(entry => entry.listener === listener);
+        if (i !== -1) list.splice(i, 1);
+    }
+
+    emit(type, payload) {
+        const list = this._listFor(type);
+        // Copy first: listeners may (un)subscribe while we're calling them
+        [...list].forEach(entry => {
+            if (!list.includes(entry)) return; // unsubscribed by an earlier listener
+            if (entry.once) list.splice(list.indexOf(entry), 1);
+            try {
+                entry.listener(payload);
+            } catch (err) {
+                console.error(`"${type}" listener failed:`, err);
+            }
+        });
+    }
+
+    /**
+     * Drop every listener (of one type, or all of them)
+     */
+    clear(type) {
+        if (type) this._listFor(type).length = 0;
+        else this.listeners.forEach(list => { list.length = 0; });
+    }
+}
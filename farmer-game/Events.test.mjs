@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Event bus checks — run with `node --test` in this folder
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EventBus, GameEvent } from './Events.js';
+
+test("on() listens until unsubscribed, once() only for the next event", () => {
+    const bus = new EventBus();
+    const seen = [];
+    const off = bus.on(GameEvent.TIME_WARNING, e => seen.push(["on", e.secondsLeft]));
+    bus.once(GameEvent.TIME_WARNING, e => seen.push(["once", e.secondsLeft]));
+    bus.emit(GameEvent.TIME_WARNING, { secondsLeft: 10 });
+    bus.emit(GameEvent.TIME_WARNING, { secondsLeft: 5 });
+    off();
+    bus.emit(GameEvent.TIME_WARNING, { secondsLeft: 1 });
+    assert.deepEqual(seen, [["on", 10], ["once", 10], ["on", 5]]);
+});
+
+test("unknown event names throw", () => {
+    const bus = new EventBus();
+    assert.throws(() => bus.on("cropHarvest", () => {}), /Unknown event "cropHarvest"/);
+    assert.throws(() => bus.emit("nope"), /Unknown event/);
+});
+
+test("a listener that throws doesn't stop the others", () => {
+    const bus = new EventBus();
+    let called = false;
+    bus.on(GameEvent.STATE_CHANGED, () => { throw new Error("boom"); });
+    bus.on(GameEvent.STATE_CHANGED, () => { called = true; });
+    const error = console.error;
+    console.error = () => {};
+    try {
+        bus.emit(GameEvent.STATE_CHANGED, {});
+    } finally {
+        console.error = error;
+    }
+    assert.ok(called);
+});
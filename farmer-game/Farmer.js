@@ -2,8 +2,11 @@
  * Farmer class - main player character with movement and power-up system
  */
 
-// Game area size (shared with other files)
-const WIDTH = 900, HEIGHT = 540;
+import { moveAndSlide } from './Collision.js';
+import { addEffect } from './PowerUps.js';
+import { GameEvent } from './Events.js';
+import { Animator, drawSprite } from './Sprites.js';
+import { Combo } from './Combo.js';
 
 /**
  * Keep a number within a range.
@@ -36,91 +39,166 @@ class Entity {
     
     update(dt, game) { }
     draw(ctx) { }
+
+    /**
+     * Solid parts for collision — the whole box unless a subclass says otherwise
+     */
+    getShapes() {
+        return [{ type: "box", x: this.x, y: this.y, w: this.w, h: this.h }];
+    }
 }
 
+// Body colour per player (P1 brown, P2 blue)
+const FARMER_COLORS = ["#8b5a2b", "#3b6ea5"];
+
+// Seconds the harvest swing plays after picking something
+const SWING_TIME = 0.3;
+
 /**
  * Farmer = the player.
  * Handles movement, bumping into obstacles, and active power-ups.
+ * `id` is the player number from 0 (two-player games have a P1 and a P2).
  */
 export class Farmer extends Entity {
-    constructor(x, y) {
+    constructor(x, y, id = 0) {
         super(x, y, 34, 34);
+        this.id = id;
         this.baseSpeed = 260;
         this.speed = this.baseSpeed;
         this.vx = 0; 
         this.vy = 0;
-        this.color = "#8b5a2b";  // farmer’s body
+        this.color = FARMER_COLORS[id % FARMER_COLORS.length];  // farmer’s body
+        this.label = null;       // "P1" / "P2" tag drawn above the hat in two-player games
+        this.score = 0;
+        this.combo = new Combo(); // harvest chain → score multiplier (see Combo.js)
+        this.basket = null;       // Basket in barn delivery rounds (see Basket.js), else crops score at once
+
+        // Permanent shop upgrades (set by applyUpgrades, see Progression.js)
+        this.powerUpTimeScale = 1;  // power-up durations are multiplied by this
+        this.scytheBonus = 0;       // px added to the scythe's range
         
-        // Power-ups (speed boost, scythe, etc.)
-        this.activePowerUps = new Map(); // type - { timeLeft, data }
+        // Power-ups (speed boost, scythe, etc. — see PowerUps.js)
+        this.activePowerUps = new Map(); // type - { timeLeft, duration, stacks, data }
+        this.resetModifiers();
+
+        // Looks only (sprite animations, see Sprites.js) — never affects the simulation
+        this.facing = "down";
+        this.swingTime = 0;
+        this.animator = new Animator("idle");
+    }
+
+    /**
+     * Everything power-ups can change, back to normal.
+     * Active power-ups set these again every frame.
+     */
+    resetModifiers() {
+        this.speed = this.baseSpeed;
         this.hasScythe = false;
+        this.scytheRange = 0;
+        this.scoreMultiplier = 1;   // applies to positive crop values only
+        this.timeFrozen = false;    // stops the round clock
+        this.carryStrength = 1;     // how lightly a full basket weighs (2 = half the slowdown)
     }
     
     /**
-     * Move farmer based on keyboard input
+     * Move farmer based on the input's move axes (-1..1 each, see Controls.js)
      */
     handleInput(input) {
-        const L = input.keys.has("ArrowLeft"), R = input.keys.has("ArrowRight");
-        const U = input.keys.has("ArrowUp"), D = input.keys.has("ArrowDown");
-        this.vx = (R - L) * this.speed;
-        this.vy = (D - U) * this.speed;
+        this.vx = input.move.x * this.speed;
+        this.vy = input.move.y * this.speed;
     }
     
     /**
      * Update farmer each frame:
      * - Check power-ups
-     * - Move with collision detection
+     * - Move with collision detection (slides along obstacles, see Collision.js),
+     *   staying inside the field (game.width × game.height); mud, rain and a
+     *   loaded basket slow the step, wind pushes it along (see Weather.js)
      */
     update(dt, game) {
-        this.updatePowerUps(dt);
-        
-        const oldX = this.x, oldY = this.y;
-        this.x = clamp(this.x + this.vx * dt, 0, WIDTH - this.w);
-        this.y = clamp(this.y + this.vy * dt, 0, HEIGHT - this.h);
+        this.updatePowerUps(dt, game);
+        this.combo.update(dt);
         
-        // Stop movement if bumping into an obstacle
-        if (game.obstacles.some(o => aabb(this, o))) {
-            this.x = oldX; 
-            this.y = oldY;
-        }
+        const { weather } = game;
+        const slow = game.tileMap.speedFactor(this) * weather.speedFactor
+            * (this.basket ? this.basket.speedFactor(this.carryStrength) : 1);
+        moveAndSlide(this, (this.vx * slow + weather.wind.x) * dt, (this.vy * slow + weather.wind.y) * dt, {
+            blocked: box => game.hitsObstacle(box),
+            bounds: { x: 0, y: 0, w: game.width, h: game.height }
+        });
+        this.animate(dt);
+    }
+
+    /**
+     * Pick the animation: harvest swing, else walking the way we're going, else idle
+     */
+    animate(dt) {
+        if (Math.abs(this.vx) > Math.abs(this.vy)) this.facing = this.vx > 0 ? "right" : "left";
+        else if (this.vy) this.facing = this.vy > 0 ? "down" : "up";
+
+        this.swingTime = Math.max(0, this.swingTime - dt);
+        this.animator.update(dt);
+        this.animator.play(this.swingTime > 0 ? "harvest"
+            : this.vx || this.vy ? `walk-${this.facing}` : "idle");
+    }
+
+    /**
+     * Start the harvest swing (World.harvest calls this)
+     */
+    swing() {
+        this.swingTime = SWING_TIME;
+        this.animator.play("harvest");
+        this.animator.time = 0;
     }
     
     /**
-     * Tick down timers and apply power-up effects
+     * Tick down timers and apply power-up effects (each type's apply/expire hooks)
      */
-    updatePowerUps(dt) {
-        this.speed = this.baseSpeed;
-        this.hasScythe = false;
+    updatePowerUps(dt, game) {
+        this.resetModifiers();
         
         // Arrow function keeps `this` pointing to Farmer
         this.activePowerUps.forEach((powerUp, type) => {
             powerUp.timeLeft -= dt;
             if (powerUp.timeLeft <= 0) {
                 this.activePowerUps.delete(type);
+                powerUp.data.expire(this, powerUp, game);
+                game.events.emit(GameEvent.POWER_UP_EXPIRED, { farmer: this, type });
             } else {
-                if (type === "speed") {
-                    this.speed = this.baseSpeed * powerUp.data.multiplier;
-                } else if (type === "scythe") {
-                    this.hasScythe = true;
-                }
+                powerUp.data.apply(this, powerUp, dt, game);
             }
         });
     }
     
     /**
-     * Add a new power-up
+     * Pick up a power-up (refreshes, extends or stacks one that's already active)
      */
     addPowerUp(powerUp) {
-        this.activePowerUps.set(powerUp.type, {
-            timeLeft: powerUp.duration,
-            data: powerUp.data
-        });
+        addEffect(this.activePowerUps, powerUp.data, powerUp.data.duration * this.powerUpTimeScale);
     }
     
     /**
-     * Draw farmer + visual effects for power-ups
+     * Draw farmer (sprite if loaded, else shapes) + label + visual effects for power-ups
      */
     draw(ctx) {
+        if (!drawSprite(ctx, "farmer", this.animator.name, this.animator.time, this)) this.drawShape(ctx);
+
+        if (this.label) {
+            ctx.fillStyle = this.color;
+            ctx.font = "bold 12px system-ui, sans-serif";
+            ctx.textAlign = "center";
+            ctx.fillText(this.label, this.x + this.w / 2, this.y - 22);
+            ctx.textAlign = "left";
+        }
+        
+        // Power-up indicators
+        this.activePowerUps.forEach(powerUp => powerUp.data.drawActive(ctx, this, powerUp));
+    }
+
+    /**
+     * Procedural look: brown square with a yellow hat
+     */
+    drawShape(ctx) {
         // Body
         ctx.fillStyle = this.color;
         ctx.fillRect(this.x, this.y, this.w, this.h);
@@ -129,25 +207,6 @@ export class Farmer extends Entity {
         ctx.fillStyle = "#c28e0e";
         ctx.fillRect(this.x + 4, this.y - 6, this.w - 8, 8);        // brim
         ctx.fillRect(this.x + 10, this.y - 18, this.w - 20, 12);    // top
-        
-        // Power-up indicators
-        if (this.hasScythe) {
-            ctx.strokeStyle = "#ff5722";
-            ctx.lineWidth = 2;
-            ctx.globalAlpha = 0.6;
-            ctx.beginPath();
-            ctx.arc(this.x + this.w / 2, this.y + this.h / 2, 40, 0, Math.PI * 2);
-            ctx.stroke();
-            ctx.globalAlpha = 1;
-        }
-        
-        if (this.activePowerUps.has("speed")) {
-            ctx.fillStyle = "#00bcd4";
-            ctx.globalAlpha = 0.4;
-            ctx.fillRect(this.x - 2, this.y + 8, 4, 18);
-            ctx.fillRect(this.x + this.w - 2, this.y + 8, 4, 18);
-            ctx.globalAlpha = 1;
-        }
     }
 }
 
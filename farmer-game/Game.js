@@ -10,17 +10,17 @@
  * (a) ARROW FUNCTIONS - All anonymous callbacks converted to arrow functions:
  *     - Lexically capture `this` from enclosing scope at definition time
  *     - Used in: RAF loop, UI event listeners, array method callbacks (filter, forEach, map)
- *     - Example: this.tick = (ts) => { ... } preserves Game instance as `this`
+ *     - Example: this.tick = (ts) => { ... } in GameLoop.js preserves the loop as `this`
  *     - Example: this.crops.forEach(c => c.update(dt, this)) preserves Game `this`
  * 
  * (b) .BIND() REQUIRED CONTEXTS - Two places where .bind(this) is necessary:
- *     1. Event listeners that require cleanup via removeEventListener (Game._onResize, Input._onKeyDown/_onKeyUp)
+ *     1. Event listeners that require cleanup via removeEventListener (Game._onResize, Input._onKeyDown/_onKeyUp in Controls.js)
  *     2. Must use same function reference for add/remove operations
  *     - Arrow functions would create new instances, preventing proper cleanup
  *     - Example: this._onResize = this.onResize.bind(this)
  * 
  * (c) THREE EXPLICIT `this` BINDING CONTEXTS:
- *     1. RAF LOOP: Arrow function preserves Game instance as `this` 
+ *     1. RAF LOOP: Arrow function preserves the GameLoop instance as `this` 
  *        - requestAnimationFrame would otherwise bind `this` to window
  *     2. EVENT LISTENERS: Arrow functions vs .bind() patterns
  *        - UI buttons use arrows for lexical capture
@@ -30,23 +30,51 @@
  *        - Each entity's draw/update methods get the entity as `this`
  */
 
-import { Farmer, clamp, aabb } from './Farmer.js';
-import { Crop, PowerUp, Scarecrow, Input } from './Crop.js';
-
-// Game constants
-const WIDTH = 900, HEIGHT = 540;
-const TILE = 30;           // grid spacing
-const GAME_LEN = 60;       // seconds per round
-const GOAL = 15;           // points needed to win
-
-const State = Object.freeze({ 
-    MENU: "MENU", 
-    PLAYING: "PLAYING", 
-    PAUSED: "PAUSED", 
-    GAME_OVER: "GAME_OVER", 
-    WIN: "WIN" 
-});
+import { Controls, Action } from './Controls.js';
+import { BindingsView } from './BindingsView.js';
+import { World, State, GameMode, playerCount, WIDTH, HEIGHT, TILE, isRoundOver } from './World.js';
+import { LEVELS, loadLevels } from './Levels.js';
+import { randomSeed } from './Random.js';
+import { ReplayRecorder, ReplayPlayer } from './Replay.js';
+import { HighScoreTable } from './HighScores.js';
+import { LeaderboardView } from './LeaderboardView.js';
+import { GameLoop } from './GameLoop.js';
+import { EventBus, GameEvent } from './Events.js';
+import { Hud } from './Hud.js';
+import { Camera } from './Camera.js';
+import { SPRITE_SHEETS, loadSprites } from './Sprites.js';
+import { SoundSystem } from './Sound.js';
+import { SoundView } from './SoundView.js';
+import { ParticleSystem, ScreenEffects, EMITTERS } from './Effects.js';
+import { getPowerUp } from './PowerUps.js';
+import { Progression } from './Progression.js';
+import { ShopView } from './ShopView.js';
+import { AccessibilitySettings, displayOptions, cropColors } from './Accessibility.js';
+import { AccessibilityView } from './AccessibilityView.js';
+import { Announcer } from './Announcer.js';
+import { DifficultySettings, difficultyName } from './Difficulty.js';
+import { SettingsView } from './SettingsView.js';
+import { LanguageSettings, LOCALES, t, translatePage, textDirection, fillTextWrapped } from './I18n.js';
+
+// Logical size of the screen view in world pixels (a default-size field fits exactly)
+const VIEW_WIDTH = WIDTH, VIEW_HEIGHT = HEIGHT;
+// Room kept free around the canvas when fitting it to the window (margins + border)
+const PAGE_MARGIN = 40;
+
+// Night: how dark the view gets, and the pools of light around farmers / power-ups (px)
+const NIGHT_ALPHA = 0.82;
+const FARMER_LIGHT = 150, POWER_UP_LIGHT = 45;
+// The night overlay is drawn this many times smaller and scaled up (soft edges, less work)
+const LIGHT_MAP_SCALE = 4;
+// Rain streaks spawned per step over the view
+const RAIN_PER_STEP = 6;
+// State labels at the top of the view: distance from the edge, and line spacing once they wrap (px)
+const LABEL_MARGIN = 20, LABEL_LINE_HEIGHT = 20;
 
+/**
+ * Browser layer on top of the headless World: canvas drawing, DOM HUD,
+ * buttons and the RAF loop. All the actual rules live in World.js.
+ */
 export class Game {
     constructor(canvas) {
         if (!canvas) {
@@ -55,291 +83,744 @@ export class Game {
         }
         this.canvas = canvas;
         this.ctx = canvas.getContext("2d");
-        this.state = State.MENU;
-
-        // World entities
-        this.player = new Farmer(WIDTH / 2 - 17, HEIGHT - 80);
-        this.crops = [];
-        this.powerUps = [];
-        this.obstacles = [];
-        this.pointTexts = []; // floating +score effects
-
-        // Timing
-        this.lastTime = 0;
-        this.timeLeft = GAME_LEN;
-        this.spawnEvery = 0.8;
-        this.powerUpSpawnEvery = 12;
-        this._accumSpawn = 0;
-        this._accumPowerUpSpawn = 0;
-
-        // Score & goal
-        this.score = 0;
-        this.goal = GOAL;
-
-        // Input & resize
-        this.input = new Input(this);
+
+        // Language (saved in localStorage; the browser's until one is picked) for the page and everything drawn
+        this.language = new LanguageSettings();
+        translatePage();
+
+        // Input (keyboard + gamepad + touch → move axes / actions) & resize
+        this.controls = new Controls({
+            onAction: (action) => this.onAction(action),
+            joystick: document.getElementById("joystick")
+        });
         // Bound handler so we can later remove it in dispose()
         this._onResize = this.onResize.bind(this);
         window.addEventListener("resize", this._onResize);
 
-        // UI
+        // What part of the field is on screen, and world pixels → device pixels
+        this.camera = new Camera(VIEW_WIDTH, VIEW_HEIGHT);
+        this.pixelScale = 1;
+        this.dpr = 1;
+        this.onResize();
+
+        // Levels are checked once at startup so a bad definition fails loudly
+        try {
+            this.levels = loadLevels(LEVELS);
+        } catch (err) {
+            console.error(err.message);
+            const status = document.getElementById("status");
+            if (status) status.textContent = t("ui.levelsInvalid");
+            return;
+        }
+
+        // Gameplay events: every World this page creates (live or replay) emits on this one bus
+        this.events = new EventBus();
+        this.events.on(GameEvent.STATE_CHANGED, ({ to }) => {
+            if (isRoundOver(to) && !this.replay) this.onRoundOver();
+            this.syncShop();
+        });
+
+        // Palettes, crop markers, reduced motion and screen reader settings (saved in localStorage)
+        this.access = new AccessibilitySettings();
+
+        // Cosmetic effects (floating +points, chaff, sparkles, shake, flash), driven by the same events;
+        // reduced motion keeps the text still and drops the rest
+        this.particles = new ParticleSystem();
+        this.screenEffects = new ScreenEffects();
+        this.events.on(GameEvent.CROP_HARVESTED, (e) => this.harvestEffects(e));
+        this.events.on(GameEvent.COMBO_BONUS, (e) => this.bonusEffects(e));
+        this.events.on(GameEvent.CROPS_DELIVERED, (e) => this.deliveryEffects(e));
+        this.events.on(GameEvent.POWER_UP_COLLECTED, ({ effect }) => {
+            if (!this.reducedMotion) this.screenEffects.flash(effect.data.color, 0.25, 0.25);
+        });
+        this.events.on(GameEvent.STATE_CHANGED, ({ to }) => {
+            if ((to === State.LEVEL_COMPLETE || to === State.WIN) && !this.reducedMotion) this.screenEffects.flash("#fff", 0.4, 0.5);
+        });
+
+        // Simulation (Controls fed in as the input source, one per farmer)
+        this.mode = GameMode.SOLO;
+        this.delivery = false;   // barn delivery rounds (see Basket.js)
+        this.difficultySettings = new DifficultySettings();   // saved preset / custom values (see Difficulty.js)
+        this.world = this.createWorld();
+        this.prevPositions = new Map(); // entity → { x, y } before the last step (for interpolation)
+
+        // Replays: the round being recorded, the last finished one, and playback
+        this.recorder = null;
+        this.lastReplay = null;
+        this.replay = null;
+
+        // UI (the HUD labels update themselves from the events)
+        this.hud = new Hud(this.events);
+        this.hud.show(this.world);
         const get = id => document.getElementById(id) || console.error(`#${id} not found`);
         this.ui = {
-            score: get("score"),
-            time: get("time"),
-            goal: get("goal"),
-            status: get("status"),
-            powerUpStatus: get("powerUpStatus"),
+            mode: get("mode"),
+            delivery: get("delivery"),
+            language: get("language"),
             start: get("btnStart"),
             reset: get("btnReset"),
+            exportReplay: get("btnExportReplay"),
+            replayFile: get("replayFile"),
+            replayPause: get("btnReplayPause"),
+            replaySpeed: get("btnReplaySpeed"),
+            replayStep: get("btnReplayStep"),
+            touchPause: get("btnTouchPause"),
         };
-        if (this.ui.goal) this.ui.goal.textContent = String(this.goal);
+
+        // High scores + last-run stats (saved in localStorage)
+        this.leaderboard = new LeaderboardView(new HighScoreTable());
+
+        // Coins + upgrade shop between rounds (saved in localStorage)
+        this.progression = new Progression();
+        this.shopView = new ShopView(this.progression);
+
+        // Sound effects + music, played from the gameplay events. Browsers only
+        // allow audio after a user gesture, so it's unlocked by clicking Start.
+        this.sound = new SoundSystem();
+        this.sound.attach(this.events);
+        this.soundView = new SoundView(this.sound);
+
+        // Accessibility panel, and gameplay read out to screen readers from the same events
+        this.accessView = new AccessibilityView(this.access);
+        this.announcer = new Announcer(document.getElementById("srAnnouncer"), this.access);
+        this.announcer.attach(this.events, () => this.world);
 
         // Buttons use arrows so they keep `this` as the Game
-        if (this.ui.start) this.ui.start.addEventListener("click", () => this.start());
+        if (this.ui.start) this.ui.start.addEventListener("click", () => {
+            this.sound.unlock();
+            this.start();
+        });
         if (this.ui.reset) this.ui.reset.addEventListener("click", () => this.reset());
+        if (this.ui.mode) this.ui.mode.addEventListener("change", () => {
+            this.setMode(this.ui.mode.value);
+            this.ui.mode.blur(); // hand the arrow keys back to the farmers
+        });
+        if (this.ui.delivery) this.ui.delivery.addEventListener("change", () => {
+            this.setDelivery(this.ui.delivery.checked);
+            this.ui.delivery.blur();
+        });
+        if (this.ui.language) {
+            Object.entries(LOCALES).forEach(([code, { name }]) => {
+                const option = document.createElement("option");
+                option.value = code;
+                option.lang = code;
+                option.textContent = name;
+                this.ui.language.appendChild(option);
+            });
+            this.ui.language.value = this.language.locale;
+            this.ui.language.addEventListener("change", () => {
+                this.setLanguage(this.ui.language.value);
+                this.ui.language.blur();
+            });
+        }
+        if (this.ui.exportReplay) this.ui.exportReplay.addEventListener("click", () => this.exportReplay());
+        if (this.ui.replayFile) this.ui.replayFile.addEventListener("change", () => this.importReplay());
+        if (this.ui.replayPause) this.ui.replayPause.addEventListener("click", () => this.togglePause());
+        if (this.ui.replaySpeed) this.ui.replaySpeed.addEventListener("click", () => this.cycleReplaySpeed());
+        if (this.ui.replayStep) this.ui.replayStep.addEventListener("click", () => this.stepReplay());
+        if (this.ui.touchPause) this.ui.touchPause.addEventListener("click", () => this.togglePause());
+        this.syncReplayUI();
+
+        // Remappable keys panel
+        this.bindingsView = new BindingsView(this.controls);
+
+        // Difficulty menu (between rounds only, see syncShop)
+        this.settingsView = new SettingsView(this.difficultySettings, this.controls, () => this.applyDifficulty());
+        this.syncShop();
+
+        // Main game loop: fixed 60 Hz simulation steps, drawing every frame in between
+        this.loop = new GameLoop({
+            update: (dt) => this.update(dt),
+            render: (alpha) => this.render(alpha)
+        });
+        // Loop runs from the menu on so gamepad buttons work before the first round
+        this.loop.start();
+
+        // Art: a loading screen until the sprite sheets are in (or have failed —
+        // then those entities are drawn procedurally); none at all without any sheets
+        const sheets = Object.keys(SPRITE_SHEETS).length;
+        this.loading = sheets ? { done: 0, total: sheets } : null;
+        this.syncStatus();
+        if (sheets) loadSprites(SPRITE_SHEETS, (done) => { this.loading.done = done; }).then(() => {
+            this.loading = null;
+            this.syncStatus();
+        });
+    }
 
-        // Main game loop (arrow keeps `this` bound to the Game)
-        this.tick = (ts) => {
-            const dt = Math.min((ts - this.lastTime) / 1000, 0.033); // cap ~30ms
-            this.lastTime = ts;
-            this.update(dt);
-            this.render();
-            requestAnimationFrame(this.tick);
-        };
+    // Shortcuts so the rest of the page code can keep saying game.state / game.player
+    get state() { return this.world.state; }
+    get player() { return this.world.player; }
+    get reducedMotion() { return displayOptions().reducedMotion; }
+
+    createWorld() {
+        this.particles.clear();
+        this.screenEffects.clear();
+        this.controls.playerCount = playerCount(this.mode);
+        return new World({ inputs: this.controls.players, levels: this.levels, mode: this.mode, delivery: this.delivery,
+            difficulty: this.difficultySettings.difficulty, events: this.events });
     }
 
+    /**
+     * Switch between one player, co-op and versus. Starts over from the menu.
+     */
+    setMode(mode) {
+        if (!Object.values(GameMode).includes(mode)) return;
+        this.stopReplay();
+        this.leaderboard.dismiss();
+        this.recorder = null;
+        this.mode = mode;
+        this.world = this.createWorld();
+        this.syncUI();
+    }
+
+    /**
+     * Turn barn delivery rounds on or off. Starts over from the menu, like setMode.
+     */
+    setDelivery(on) {
+        this.stopReplay();
+        this.leaderboard.dismiss();
+        this.recorder = null;
+        this.delivery = !!on;
+        this.world = this.createWorld();
+        this.syncUI();
+    }
+
+    /**
+     * The settings menu changed the difficulty. Starts over from the menu, like setMode.
+     */
+    applyDifficulty() {
+        this.stopReplay();
+        this.leaderboard.dismiss();
+        this.recorder = null;
+        this.world = this.createWorld();
+        this.syncUI();
+    }
+
+    /**
+     * Switch the page, HUD, panels and canvas labels to another language.
+     * Unlike the settings above it leaves the round alone.
+     */
+    setLanguage(code) {
+        this.language.set(code);
+        translatePage();
+        this.hud.show(this.world);
+        this.syncStatus();
+        this.syncReplayUI();
+        [this.leaderboard, this.shopView, this.bindingsView, this.settingsView, this.accessView].forEach(view => view.render());
+    }
+
+    /**
+     * One-shot actions from any device (keyboard, gamepad button)
+     */
+    onAction(action) {
+        if (action === Action.PAUSE) this.togglePause();
+        else if (action === Action.START && this.state !== State.PLAYING) this.start();
+    }
+
+    /**
+     * Fit the canvas to the window, letterboxed so the view keeps its aspect
+     * ratio, with a backing store sized for the screen's pixel density so
+     * drawing stays sharp on high-DPI displays
+     */
     onResize() {
-        // Keeping canvas fixed size for now
-        // (could add scaling for high-DPI here)
+        this.dpr = window.devicePixelRatio || 1;
+        const fit = Math.min((window.innerWidth - PAGE_MARGIN) / VIEW_WIDTH, (window.innerHeight - PAGE_MARGIN) / VIEW_HEIGHT);
+        const scale = Math.max(0.25, fit || 1);
+        const cssWidth = Math.floor(VIEW_WIDTH * scale), cssHeight = Math.floor(VIEW_HEIGHT * scale);
+
+        this.canvas.style.width = `${cssWidth}px`;
+        this.canvas.style.height = `${cssHeight}px`;
+        this.canvas.width = Math.round(cssWidth * this.dpr);
+        this.canvas.height = Math.round(cssHeight * this.dpr);
+        this.pixelScale = this.canvas.width / VIEW_WIDTH;
+    }
+
+    /**
+     * Slow motion / fast forward for debugging (1 = normal speed)
+     */
+    setTimeScale(scale) {
+        this.loop.setTimeScale(scale);
     }
 
     start() {
-        if (this.state === State.MENU || this.state === State.GAME_OVER || this.state === State.WIN) {
-            this.reset();
-            this.state = State.PLAYING;
-            if (this.ui.status) this.ui.status.textContent = "Playing…";
-            requestAnimationFrame(this.tick);
-        } else if (this.state === State.PAUSED) {
-            this.state = State.PLAYING;
-            if (this.ui.status) this.ui.status.textContent = "Playing…";
+        if (this.loading) return;
+        this.stopReplay();
+        this.leaderboard.dismiss();
+        const newRound = this.state !== State.PLAYING && this.state !== State.PAUSED;
+        // Each new round gets its own seed; resuming from pause keeps the current one
+        const seed = randomSeed();
+        if (newRound) this.world.upgrades = this.progression.upgrades; // whatever was bought since last round
+        this.world.start(seed);
+        if (newRound) {
+            this.recorder = new ReplayRecorder(seed, this.world.levelIndex, this.world.mode, this.world.upgrades, this.world.delivery,
+                this.world.difficulty);
         }
+        this.syncUI();
     }
 
     reset() {
-        this.state = State.MENU;
-        this.player = new Farmer(WIDTH / 2 - 17, HEIGHT - 80);
-        this.crops.length = 0;
-        this.powerUps.length = 0;
-        this.obstacles.length = 0;
-        this.pointTexts.length = 0;
-        this.score = 0;
-        this.timeLeft = GAME_LEN;
-        this._accumSpawn = 0;
-        this._accumPowerUpSpawn = 0;
-        this.lastTime = performance.now();
-
-        // Add some obstacles
-        this.obstacles.push(new Scarecrow(200, 220), new Scarecrow(650, 160));
-
+        this.stopReplay();
+        this.leaderboard.dismiss();
+        this.recorder = null;
+        this.world.goToLevel(0);
         this.syncUI();
-        if (this.ui.status) this.ui.status.textContent = "Menu";
     }
 
     togglePause() {
-        if (this.state === State.PLAYING) {
-            this.state = State.PAUSED;
-            if (this.ui.status) this.ui.status.textContent = "Paused";
-        } else if (this.state === State.PAUSED) {
-            this.state = State.PLAYING;
-            if (this.ui.status) this.ui.status.textContent = "Playing…";
-        }
+        if (this.replay) this.replay.togglePause();
+        else this.world.togglePause();
+        this.syncStatus();
+        this.syncReplayUI();
     }
 
-    syncUI() {
-        if (this.ui.score) this.ui.score.textContent = String(this.score);
-        if (this.ui.time) this.ui.time.textContent = Math.ceil(this.timeLeft);
-        if (this.ui.goal) this.ui.goal.textContent = String(this.goal);
-        this.updatePowerUpUI();
-    }
-
-    updatePowerUpUI() {
-        if (!this.ui.powerUpStatus) return;
-        
-        const activePowerUps = Array.from(this.player.activePowerUps.entries());
-        if (activePowerUps.length === 0) {
-            this.ui.powerUpStatus.textContent = "";
-            this.ui.powerUpStatus.className = "power-up-status";
-        } else {
-            const statusText = activePowerUps.map(([type, powerUp]) => {
-                const timeLeft = Math.ceil(powerUp.timeLeft);
-                return `${powerUp.data.effect}: ${timeLeft}s`;
-            }).join(" | ");
-            
-            this.ui.powerUpStatus.textContent = statusText;
-            this.ui.powerUpStatus.className = "power-up-status active";
+    /**
+     * Loading / replay status in #status while there is one, the world's own state otherwise
+     */
+    syncStatus() {
+        const r = this.replay;
+        this.hud.setStatus(this.loading ? t("status.loading")
+            : !r ? null
+            : r.done ? t("status.replayDone")
+            : r.paused ? t("status.replayPaused") : t("status.replaySpeed", { speed: r.speed }));
+    }
+
+    /**
+     * Enable/disable the replay buttons to match what's possible right now
+     */
+    syncReplayUI() {
+        if (this.ui.exportReplay) this.ui.exportReplay.disabled = !this.lastReplay;
+        if (this.ui.replayPause) {
+            this.ui.replayPause.disabled = !this.replay;
+            this.ui.replayPause.textContent = this.replay && this.replay.paused ? t("ui.play") : t("ui.pause");
         }
+        if (this.ui.replaySpeed) {
+            this.ui.replaySpeed.disabled = !this.replay;
+            this.ui.replaySpeed.textContent = `${this.replay ? this.replay.speed : 1}×`;
+        }
+        if (this.ui.replayStep) this.ui.replayStep.disabled = !this.replay;
     }
 
-    spawnCrop() {
-        const gx = Math.floor(Math.random() * ((WIDTH - 2 * TILE) / TILE)) * TILE + TILE;
-        const gy = Math.floor(Math.random() * ((HEIGHT - 2 * TILE) / TILE)) * TILE + TILE;
-        
-        // Random rarity
-        const rand = Math.random();
-        let cropType = rand < 0.7 ? "wheat" : rand < 0.9 ? "pumpkin" : "goldenApple";
-        
-        this.crops.push(new Crop(gx, gy, cropType));
+    /**
+     * Watch a recorded round (JSON text or parsed log).
+     * The live world is swapped out for the replay's own world until Start/Reset.
+     */
+    playReplay(log) {
+        this.replay = new ReplayPlayer(log, { levels: this.levels, events: this.events });
+        this.recorder = null;
+        this.world = this.replay.world;
+        this.syncUI();
+        this.syncReplayUI();
     }
-    
-    spawnPowerUp() {
-        const gx = Math.floor(Math.random() * ((WIDTH - 2 * TILE) / TILE)) * TILE + TILE;
-        const gy = Math.floor(Math.random() * ((HEIGHT - 2 * TILE) / TILE)) * TILE + TILE;
-        const types = ["speed", "scythe"];
-        const type = types[Math.floor(Math.random() * types.length)];
-        this.powerUps.push(new PowerUp(gx, gy, type));
+
+    stopReplay() {
+        if (!this.replay) return;
+        this.replay = null;
+        this.world = this.createWorld();
+        this.syncReplayUI();
     }
 
-    update(dt) {
-        if (this.state !== State.PLAYING) return;
-
-        // Countdown timer
-        this.timeLeft = clamp(this.timeLeft - dt, 0, GAME_LEN);
-        if (this.timeLeft <= 0) {
-            this.state = (this.score >= this.goal) ? State.WIN : State.GAME_OVER;
-            if (this.ui.status) this.ui.status.textContent = 
-                (this.state === State.WIN) ? "You Win!" : "Game Over";
-            this.syncUI();
+    cycleReplaySpeed() {
+        if (!this.replay) return;
+        const speeds = [1, 2, 4];
+        const next = speeds[(speeds.indexOf(this.replay.speed) + 1) % speeds.length];
+        this.replay.setSpeed(next);
+        this.syncStatus();
+        this.syncReplayUI();
+    }
+
+    /**
+     * Pause (if needed) and move the replay on by a single frame
+     */
+    stepReplay() {
+        if (!this.replay) return;
+        this.replay.paused = true;
+        this.replay.step();
+        this.syncUI();
+        this.syncReplayUI();
+    }
+
+    /**
+     * Download the last finished round as a .json replay file
+     */
+    exportReplay() {
+        if (!this.lastReplay) return;
+        const blob = new Blob([JSON.stringify(this.lastReplay)], { type: "application/json" });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `farmer-replay-${this.lastReplay.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Load a replay file picked in #replayFile and start watching it
+     */
+    importReplay() {
+        const file = this.ui.replayFile && this.ui.replayFile.files[0];
+        if (!file) return;
+        file.text()
+            .then(text => this.playReplay(text))
+            .catch(err => {
+                console.error("Couldn't load replay:", err);
+                this.hud.setStatus(err.message);
+            })
+            .finally(() => { this.ui.replayFile.value = ""; });
+    }
+
+    /**
+     * Full HUD refresh, for when the world itself was swapped or reset
+     */
+    syncUI() {
+        this.hud.show(this.world);
+        this.syncStatus();
+        this.syncShop();
+    }
+
+    /**
+     * The shop is open between rounds only (not during play or a replay);
+     * the settings menu can be opened between rounds and while watching a replay
+     */
+    syncShop() {
+        const betweenRounds = this.state !== State.PLAYING && this.state !== State.PAUSED;
+        if (this.shopView) this.shopView.setOpen(!this.replay && betweenRounds);
+        if (this.settingsView) this.settingsView.setEnabled(!!this.replay || betweenRounds);
+    }
+
+    /**
+     * Floating +points (with the combo multiplier), chaff and (golden apples)
+     * sparkles over a harvested crop; a penalty shakes the screen instead
+     * (cropHarvested listener). With reduced motion only the points, standing still.
+     */
+    harvestEffects({ crop, points, multiplier }) {
+        const x = crop.x + crop.w / 2;
+        const still = this.reducedMotion;
+        const head = cropColors(crop.type, crop.data).head;
+        this.particles.spawn({
+            x, y: crop.y, vy: still ? 0 : -30, life: 0.5, size: 16,
+            text: `${points > 0 ? "+" : ""}${points}${multiplier > 1 ? ` ×${multiplier}` : ""}`,
+            color: points < 0 ? "#c62828" : head
+        });
+        if (still) return;
+        if (points < 0) {
+            this.screenEffects.shake(4, 0.25);
             return;
         }
+        EMITTERS.chaff.burst(this.particles, x, crop.y + crop.h, { colors: [crop.data.stemColor, head] });
+        if (crop.type === "goldenApple") EMITTERS.sparkle.burst(this.particles, x, crop.y);
+    }
 
-        // Player input & movement
-        this.player.handleInput(this.input);
-        this.player.update(dt, this);
+    /**
+     * "Sweep +4!" / "Streak +2!" over the farmer (comboBonus listener)
+     */
+    bonusEffects({ farmer, kind, points }) {
+        this.particles.spawn({
+            x: farmer.x + farmer.w / 2, y: farmer.y - 30, vy: this.reducedMotion ? 0 : -20, life: 1, size: 14,
+            text: t(kind === "sweep" ? "canvas.sweep" : "canvas.streak", { n: points }),
+            color: "#f57f17"
+        });
+    }
 
-        // Spawning crops & powerups
-        this._accumSpawn += dt;
-        while (this._accumSpawn >= this.spawnEvery) {
-            this._accumSpawn -= this.spawnEvery;
-            this.spawnCrop();
-        }
-        this._accumPowerUpSpawn += dt;
-        while (this._accumPowerUpSpawn >= this.powerUpSpawnEvery) {
-            this._accumPowerUpSpawn -= this.powerUpSpawnEvery;
-            this.spawnPowerUp();
-        }
+    /**
+     * "+12" rising from the barn and a straw burst when a basket is delivered
+     * (cropsDelivered listener)
+     */
+    deliveryEffects({ points }) {
+        const barn = this.world.barn;
+        if (!barn) return;
+        const x = barn.x + barn.w / 2;
+        const still = this.reducedMotion;
+        this.particles.spawn({ x, y: barn.y - 6, vy: still ? 0 : -25, life: 1, size: 18, text: `+${points}`, color: "#2e7d32" });
+        if (!still) EMITTERS.chaff.burst(this.particles, x, barn.y + barn.h, { count: 16, colors: ["#d9a441", "#ff6f00"] });
+    }
 
-        // Crop collection (normal vs scythe area effect)
-        let collectedCrops;
-        if (this.player.hasScythe) {
-            const scytheRange = 80;
-            collectedCrops = this.crops.filter(c => {
-                const dx = (this.player.x + this.player.w / 2) - (c.x + c.w / 2);
-                const dy = (this.player.y + this.player.h / 2) - (c.y + c.h / 2);
-                return Math.sqrt(dx * dx + dy * dy) <= scytheRange;
-            });
-        } else {
-            collectedCrops = this.crops.filter(c => aabb(this.player, c));
-        }
-        
-        if (collectedCrops.length) {
-            collectedCrops.forEach(c => {
-                c.dead = true;
-                this.pointTexts.push({
-                    x: c.x + c.w / 2,
-                    y: c.y,
-                    points: c.value,
-                    life: 1,
-                    color: c.data.headColor
+    /**
+     * Rain streaks / wind-blown straw across the part of the field on screen
+     * (not with reduced motion: the ground colour and HUD still show the weather)
+     */
+    weatherEffects() {
+        const weather = this.world.weather;
+        if (this.state !== State.PLAYING || weather.kind === "clear" || this.reducedMotion) return;
+        const { x, y, width, height } = this.camera;
+        if (weather.kind === "rain") {
+            for (let i = 0; i < RAIN_PER_STEP; i++) {
+                this.particles.spawn({
+                    x: x + Math.random() * width, y: y + Math.random() * height - 60,
+                    vx: 30, vy: 650, life: 0.1 + Math.random() * 0.12, size: 2, shape: "spark", color: "#7f9bb0", fade: false
                 });
-            });
-            const points = collectedCrops.reduce((sum, c) => sum + c.value, 0);
-            this.score += points;
-            if (this.ui.score) this.ui.score.textContent = String(this.score);
-            if (this.score >= this.goal) {
-                this.state = State.WIN;
-                if (this.ui.status) this.ui.status.textContent = "You Win!";
             }
-        }
-        
-        // Power-up collection
-        const collectedPowerUps = this.powerUps.filter(p => aabb(this.player, p));
-        if (collectedPowerUps.length) {
-            collectedPowerUps.forEach(p => {
-                p.dead = true;
-                this.player.addPowerUp(p);
+        } else if (weather.kind === "wind" && Math.random() < 0.4) {
+            const { x: wx, y: wy } = weather.wind;
+            this.particles.spawn({
+                x: x + Math.random() * width, y: y + Math.random() * height,
+                vx: wx * 5, vy: wy * 5, life: 0.5, size: 2, shape: "spark", color: "#e0d08a"
             });
         }
+    }
 
-        // Clean up dead entities & update others
-        this.crops = this.crops.filter(c => !c.dead);
-        this.powerUps = this.powerUps.filter(p => !p.dead);
-        this.crops.forEach(c => c.update(dt, this));
-        this.powerUps.forEach(p => p.update(dt, this));
-        
-        // Floating score text updates
-        this.pointTexts.forEach(pt => {
-            pt.life -= dt * 2;
-            pt.y -= dt * 30;
+    /**
+     * Dust behind every farmer that moved this step with a speed boost
+     */
+    emitTrails() {
+        if (this.reducedMotion) return;
+        const speed = getPowerUp("speed");
+        this.world.players.forEach(p => {
+            const prev = this.prevPositions.get(p);
+            if (!p.activePowerUps.has("speed") || !prev || (prev.x === p.x && prev.y === p.y)) return;
+            EMITTERS.trail.burst(this.particles, p.x + p.w / 2, p.y + p.h, { colors: [speed.color] });
         });
-        this.pointTexts = this.pointTexts.filter(pt => pt.life > 0);
+    }
 
-        // Update UI
-        if (this.ui.time) this.ui.time.textContent = Math.ceil(this.timeLeft);
-        this.updatePowerUpUI();
+    /**
+     * One fixed simulation step (see GameLoop)
+     */
+    update(dt) {
+        this.controls.poll();
+        this.rememberPositions();
+        this.particles.update(dt);
+        this.screenEffects.update(dt);
+        if (this.replay) {
+            this.replay.advance(dt);
+            this.hud.tick();
+            this.syncStatus();
+        } else if (this.state === State.PLAYING) {
+            // Step with the recorder's rounded dt so the replay matches exactly.
+            // (Round endings are picked up by the stateChanged listener.)
+            const moves = this.world.players.map((_, i) => this.controls.players[i].move);
+            const stepDt = this.recorder ? this.recorder.record(moves, dt) : dt;
+            this.world.update(stepDt);
+            this.hud.tick();
+        }
+        this.emitTrails();
+        this.weatherEffects();
     }
 
-    render() {
+    /**
+     * A live round just ended: keep its replay and offer it to the leaderboard
+     */
+    onRoundOver() {
+        const world = this.world;
+        if (this.recorder) {
+            this.recorder.finish(world);
+            this.lastReplay = this.recorder.toJSON();
+            this.recorder = null;
+            this.syncReplayUI();
+        }
+        // Every farmer's points go into the shared purse
+        this.shopView.showEarned(this.progression.earn(world.players.reduce((sum, p) => sum + p.score, 0)));
+        this.leaderboard.showRun({
+            score: world.score,
+            level: world.levelIndex,
+            levelName: world.level.name,
+            mode: world.mode,
+            difficulty: difficultyName(world.difficulty),
+            state: world.state,
+            stats: world.stats
+        });
+    }
+
+    /**
+     * Note where everything that moves is before a step, so render() can draw
+     * it part-way between that and where the step put it
+     */
+    rememberPositions() {
+        const world = this.world;
+        this.prevPositions.clear();
+        [world.players, world.crows, world.crops].forEach(list =>
+            list.forEach(e => this.prevPositions.set(e, { x: e.x, y: e.y })));
+    }
+
+    /**
+     * Where an entity is `alpha` of the way from its previous position to its current one
+     */
+    interpolatedPosition(entity, alpha) {
+        const prev = this.prevPositions.get(entity);
+        if (!prev) return { x: entity.x, y: entity.y };
+        return { x: prev.x + (entity.x - prev.x) * alpha, y: prev.y + (entity.y - prev.y) * alpha };
+    }
+
+    drawInterpolated(ctx, entity, alpha) {
+        const { x, y } = entity;
+        const at = this.interpolatedPosition(entity, alpha);
+        entity.x = at.x;
+        entity.y = at.y;
+        entity.draw(ctx);
+        entity.x = x;
+        entity.y = y;
+    }
+
+    /**
+     * What the camera centres on: the farmer, or the middle of both farmers
+     */
+    focusPoint(alpha) {
+        const players = this.world.players;
+        const sum = players.reduce((acc, p) => {
+            const at = this.interpolatedPosition(p, alpha);
+            acc.x += at.x + p.w / 2;
+            acc.y += at.y + p.h / 2;
+            return acc;
+        }, { x: 0, y: 0 });
+        return { x: sum.x / players.length, y: sum.y / players.length };
+    }
+
+    /**
+     * Night (and dusk / dawn): darken the view except for pools of light
+     * around the farmers and the power-ups. View space; the overlay is built
+     * on a small offscreen canvas and scaled up, which also softens its edges.
+     */
+    drawNight(ctx, alpha) {
+        const world = this.world;
+        const darkness = world.weather.darkness;
+        if (!darkness) return;
+        if (!this.lightMap) {
+            this.lightMap = document.createElement("canvas");
+            this.lightMap.width = Math.ceil(VIEW_WIDTH / LIGHT_MAP_SCALE);
+            this.lightMap.height = Math.ceil(VIEW_HEIGHT / LIGHT_MAP_SCALE);
+        }
+        const map = this.lightMap, lctx = map.getContext("2d");
+        lctx.globalCompositeOperation = "source-over";
+        lctx.clearRect(0, 0, map.width, map.height);
+        lctx.fillStyle = `rgba(8, 12, 40, ${NIGHT_ALPHA * darkness})`;
+        lctx.fillRect(0, 0, map.width, map.height);
+
+        // Cut holes where the light is (screen position = world - camera - shake)
+        const shake = this.screenEffects.offset;
+        const light = (x, y, radius) => {
+            const cx = (x - this.camera.x - shake.x) / LIGHT_MAP_SCALE, cy = (y - this.camera.y - shake.y) / LIGHT_MAP_SCALE;
+            const r = radius / LIGHT_MAP_SCALE;
+            const glow = lctx.createRadialGradient(cx, cy, r * 0.3, cx, cy, r);
+            glow.addColorStop(0, "rgba(0, 0, 0, 1)");
+            glow.addColorStop(1, "rgba(0, 0, 0, 0)");
+            lctx.fillStyle = glow;
+            lctx.beginPath();
+            lctx.arc(cx, cy, r, 0, Math.PI * 2);
+            lctx.fill();
+        };
+        lctx.globalCompositeOperation = "destination-out";
+        world.players.forEach(p => {
+            const at = this.interpolatedPosition(p, alpha);
+            light(at.x + p.w / 2, at.y + p.h / 2, FARMER_LIGHT);
+        });
+        world.powerUps.forEach(p => light(p.x + p.w / 2, p.y + p.h / 2, POWER_UP_LIGHT));
+
+        ctx.drawImage(map, 0, 0, VIEW_WIDTH, VIEW_HEIGHT);
+    }
+
+    /**
+     * Progress bar shown (in view space) while the sprite sheets load
+     */
+    drawLoading(ctx) {
+        const { done, total } = this.loading;
+        const barW = 300, barH = 14;
+        const x = (VIEW_WIDTH - barW) / 2, y = VIEW_HEIGHT / 2;
+        ctx.fillStyle = "#333";
+        ctx.font = "16px system-ui, sans-serif";
+        ctx.textAlign = "center";
+        ctx.direction = textDirection();
+        ctx.fillText(t("canvas.loading", { done, total }), VIEW_WIDTH / 2, y - 12);
+        ctx.direction = "inherit";
+        ctx.textAlign = "left";
+        ctx.strokeStyle = "#333";
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x, y, barW, barH);
+        ctx.fillStyle = "#7cb342";
+        ctx.fillRect(x, y, total ? barW * (done / total) : barW, barH);
+    }
+
+    /**
+     * @param {number} [alpha] how far we are between the last simulation step and the next (0..1)
+     */
+    render(alpha = 1) {
         const ctx = this.ctx;
         if (!ctx) return;
+        const world = this.world;
+        const camera = this.camera;
+
+        // Window moved to a screen with a different pixel density?
+        if ((window.devicePixelRatio || 1) !== this.dpr) this.onResize();
+
+        // View space: VIEW_WIDTH × VIEW_HEIGHT, whatever the canvas's real size
+        ctx.setTransform(this.pixelScale, 0, 0, this.pixelScale, 0, 0);
+        ctx.fillStyle = "#b9c9ac"; // shows around fields smaller than the view
+        ctx.fillRect(0, 0, VIEW_WIDTH, VIEW_HEIGHT);
+        if (this.loading) {
+            this.drawLoading(ctx);
+            return;
+        }
 
-        ctx.clearRect(0, 0, WIDTH, HEIGHT);
-
-        // Background grid
-        ctx.fillStyle = "#dff0d5";
-        ctx.fillRect(0, 0, WIDTH, HEIGHT);
+        // World space: shift by the camera (+ screen shake), snapped to whole
+        // device pixels so the grid doesn't shimmer
+        camera.follow(this.focusPoint(alpha), world.width, world.height);
+        const shake = this.screenEffects.offset;
+        ctx.save();
+        ctx.translate(-Math.round((camera.x + shake.x) * this.pixelScale) / this.pixelScale,
+            -Math.round((camera.y + shake.y) * this.pixelScale) / this.pixelScale);
+
+        // Background grid (visible part only)
+        const left = Math.max(0, camera.x), right = Math.min(world.width, camera.x + camera.width);
+        const top = Math.max(0, camera.y), bottom = Math.min(world.height, camera.y + camera.height);
+        ctx.fillStyle = world.weather.data.ground;
+        ctx.fillRect(left, top, right - left, bottom - top);
         ctx.strokeStyle = "#c7e0bd";
         ctx.lineWidth = 1;
-        for (let y = TILE; y < HEIGHT; y += TILE) {
-            ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(WIDTH, y); ctx.stroke();
+        for (let y = Math.max(TILE, Math.ceil(top / TILE) * TILE); y < bottom; y += TILE) {
+            ctx.beginPath(); ctx.moveTo(left, y); ctx.lineTo(right, y); ctx.stroke();
         }
-        for (let x = TILE; x < WIDTH; x += TILE) {
-            ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, HEIGHT); ctx.stroke();
+        for (let x = Math.max(TILE, Math.ceil(left / TILE) * TILE); x < right; x += TILE) {
+            ctx.beginPath(); ctx.moveTo(x, top); ctx.lineTo(x, bottom); ctx.stroke();
         }
 
-        // Entities
-        this.crops.forEach(c => c.draw(ctx));
-        this.powerUps.forEach(p => p.draw(ctx));
-        this.obstacles.forEach(o => o.draw(ctx));
-        this.player.draw(ctx);
-
-        // Floating +points
-        this.pointTexts.forEach(pt => {
-            ctx.fillStyle = pt.color;
-            ctx.globalAlpha = pt.life;
-            ctx.font = "bold 16px system-ui, sans-serif";
-            ctx.textAlign = "center";
-            ctx.fillText(`+${pt.points}`, pt.x, pt.y);
-            ctx.globalAlpha = 1;
-            ctx.textAlign = "left";
-        });
+        // Terrain (fences, water, mud) on top of the grid
+        world.tileMap.draw(ctx, left, top, right, bottom);
+
+        // Entities (off-screen ones skipped; the margin leaves room for glows and hats)
+        const onScreen = e => camera.sees(e, 48);
+        if (world.barn && onScreen(world.barn)) world.barn.draw(ctx);
+        world.crops.filter(onScreen).forEach(c => this.drawInterpolated(ctx, c, alpha));
+        world.powerUps.filter(onScreen).forEach(p => p.draw(ctx));
+        world.obstacles.filter(onScreen).forEach(o => o.draw(ctx));
+        world.crows.filter(onScreen).forEach(c => this.drawInterpolated(ctx, c, alpha));
+        world.players.forEach(p => this.drawInterpolated(ctx, p, alpha));
+
+        // Particles (+points, chaff, sparkles, trails)
+        this.particles.draw(ctx);
+        ctx.restore();
+        this.drawNight(ctx, alpha);
+        this.screenEffects.drawFlash(ctx, VIEW_WIDTH, VIEW_HEIGHT);
+
+        // State label (view space, fixed on screen; light on a dark field). Translations
+        // can run longer than the view is wide, so it wraps; right-to-left ones start at the right.
+        const label = this.stateLabel();
+        if (label) {
+            ctx.fillStyle = world.weather.darkness > 0.5 ? "#eee" : "#333";
+            ctx.font = "16px system-ui, sans-serif";
+            const x = textDirection() === "rtl" ? VIEW_WIDTH - LABEL_MARGIN : LABEL_MARGIN;
+            fillTextWrapped(ctx, label, x, 28, VIEW_WIDTH - 2 * LABEL_MARGIN, LABEL_LINE_HEIGHT);
+        }
+    }
 
-        // State labels
-        ctx.fillStyle = "#333";
-        ctx.font = "16px system-ui, sans-serif";
-        if (this.state === State.MENU) {
-            ctx.fillText("Press Start to play", 20, 28);
-        } else if (this.state === State.PAUSED) {
-            ctx.fillText("Paused (press P to resume)", 20, 28);
-        } else if (this.state === State.GAME_OVER) {
-            ctx.fillText("Time up! Press Reset to return to Menu", 20, 28);
-        } else if (this.state === State.WIN) {
-            ctx.fillText("Harvest complete! Press Reset for another round", 20, 28);
+    /**
+     * What the top of the view says in the current state (null while playing)
+     */
+    stateLabel() {
+        const world = this.world;
+        const level = { n: world.levelIndex + 1, next: world.levelIndex + 2 };
+        if (this.replay) return t("canvas.replayFrame", { frame: this.replay.frame, total: this.replay.totalFrames });
+        if (this.state === State.MENU) return t("canvas.menu");
+        if (this.state === State.PAUSED) return t("canvas.paused");
+        if (this.state === State.LEVEL_COMPLETE) {
+            return world.winner ? t("canvas.playerTakesLevel", { ...level, player: world.winner.id + 1 }) : t("canvas.levelCleared", level);
         }
+        if (this.state === State.GAME_OVER) return t(world.mode === GameMode.VERSUS ? "canvas.versusTimeUp" : "canvas.gameOver");
+        if (this.state === State.WIN) return world.winner ? t("canvas.playerWins", { player: world.winner.id + 1 }) : t("canvas.win");
+        return null;
     }
 
     dispose() {
-        this.input.dispose();
+        if (this.loop) this.loop.stop();
+        if (this.sound) this.sound.dispose();
+        if (this.access) this.access.dispose();
+        this.controls.dispose();
         // Only works because we stored the bound reference earlier
         window.removeEventListener("resize", this._onResize);
     }
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview The one requestAnimationFrame loop — fixed-timestep updates, interpolated rendering
+ *
+ * Real frame times are fed into an accumulator and the simulation is stepped in
+ * fixed `step`-sized chunks, so it runs the same at 30, 60 or 144 Hz. Whatever
+ * is left over (less than one step) becomes `alpha` for render(alpha): how far
+ * we are between the last step and the next, for smooth drawing in between.
+ *
+ * There is only ever one frame request in flight: start() while running does
+ * nothing, and stop() cancels it. `timeScale` slows the whole game down
+ * (0.25 = quarter speed) or speeds it up, handy when debugging.
+ */
+
+// Longest real frame we'll catch up on (a background tab can report seconds)
+const MAX_FRAME = 0.25;
+// Most simulation steps in one frame; past this we drop time instead of spiralling
+const MAX_STEPS = 8;
+
+export class GameLoop {
+    /**
+     * @param {object} options
+     * @param {Function} options.update dt => void, called with exactly `step` seconds
+     * @param {Function} options.render alpha => void, once per animation frame (alpha 0..1)
+     * @param {number} [options.step] fixed simulation step in seconds
+     */
+    constructor({ update, render, step = 1 / 60 }) {
+        this.update = update;
+        this.render = render;
+        this.step = step;
+        this.timeScale = 1;
+
+        this._frameId = null;
+        this._last = null;    // timestamp of the previous frame
+        this._accum = 0;      // simulated seconds not stepped yet
+
+        // Arrow function: requestAnimationFrame calls it with `this` = window otherwise
+        this.tick = (ts) => {
+            // Ask for the next frame first, so stop() from inside update/render cancels it
+            this._frameId = requestAnimationFrame(this.tick);
+
+            const elapsed = this._last === null ? 0 : Math.min((ts - this._last) / 1000, MAX_FRAME);
+            this._last = ts;
+            this._accum += elapsed * this.timeScale;
+
+            let steps = 0;
+            while (this._accum >= this.step && steps < MAX_STEPS) {
+                this.update(this.step);
+                this._accum -= this.step;
+                steps++;
+            }
+            if (steps === MAX_STEPS) this._accum = Math.min(this._accum, this.step);
+
+            this.render(this._accum / this.step);
+        };
+    }
+
+    get running() {
+        return this._frameId !== null;
+    }
+
+    start() {
+        if (this.running) return;
+        this._last = null;
+        this._accum = 0;
+        this._frameId = requestAnimationFrame(this.tick);
+    }
+
+    stop() {
+        if (!this.running) return;
+        cancelAnimationFrame(this._frameId);
+        this._frameId = null;
+    }
+
+    /**
+     * 1 = normal speed, 0.25 = slow motion, 0 = frozen (still renders)
+     */
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0, Number(scale) || 0);
+    }
+}
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Local high-score table (saved in localStorage)
+ *
+ * Each entry is one finished round:
+ *   { initials, score, level, levelName, mode, difficulty, state, date, stats }
+ * (`difficulty` is the preset's name, e.g. "Easy"; entries saved before there
+ * were difficulties don't have it and count as Normal)
+ * where `stats` is the World's per-run record (see World.createStats).
+ */
+
+import { VersionedStore } from './Storage.js';
+
+const STORAGE_KEY = "farmerHarvest.highScores";
+const VERSION = 1;
+export const MAX_ENTRIES = 10;
+
+// Saved shape: { entries: [...] }. Bump VERSION and add a migrations[n] step
+// when this changes, so older tables get upgraded instead of thrown away.
+const isEntry = e => e && typeof e.initials === "string" && Number.isFinite(e.score) && typeof e.date === "string";
+
+/**
+ * Clean up whatever the player typed: up to 3 letters/digits, upper case
+ */
+export const normalizeInitials = text =>
+    String(text || "").toUpperCase().replace(/[^A-Z0-9]/g, "").slice(0, 3) || "???";
+
+export class HighScoreTable {
+    constructor({ storage } = {}) {
+        this.store = new VersionedStore(STORAGE_KEY, {
+            version: VERSION,
+            defaults: () => ({ entries: [] }),
+            validate: data => data && Array.isArray(data.entries) && data.entries.every(isEntry),
+            storage
+        });
+        this.entries = this.store.load().entries;
+    }
+
+    /**
+     * Would this score make it onto the table?
+     */
+    qualifies(score) {
+        if (score <= 0) return false;
+        return this.entries.length < MAX_ENTRIES || score > this.entries[this.entries.length - 1].score;
+    }
+
+    /**
+     * Insert a finished round. Returns its rank (1-based) or 0 if it didn't make it.
+     */
+    add({ initials, score, level, levelName, mode = "solo", difficulty = "Normal", state, stats, date = new Date().toISOString() }) {
+        if (!this.qualifies(score)) return 0;
+        const entry = { initials: normalizeInitials(initials), score, level, levelName, mode, difficulty, state, date, stats };
+
+        // Higher score first; ties go to whoever hit the goal faster, then whoever was first
+        this.entries.push(entry);
+        this.entries.sort((a, b) =>
+            b.score - a.score ||
+            (a.stats?.timeToGoal ?? Infinity) - (b.stats?.timeToGoal ?? Infinity) ||
+            a.date.localeCompare(b.date));
+        this.entries.length = Math.min(this.entries.length, MAX_ENTRIES);
+
+        this.store.save({ entries: this.entries });
+        return this.entries.indexOf(entry) + 1;
+    }
+
+    clear() {
+        this.entries = [];
+        this.store.clear();
+    }
+}
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview High-score table checks — run with `node --test` in this folder
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HighScoreTable, MAX_ENTRIES } from './HighScores.js';
+import { MemoryStorage } from './Storage.js';
+
+const KEY = "farmerHarvest.highScores";
+
+test("keeps the best scores in order and only as many as fit", () => {
+    const storage = new MemoryStorage();
+    const table = new HighScoreTable({ storage });
+    for (let score = 1; score <= MAX_ENTRIES + 2; score++) table.add({ initials: "ab", score, level: 0, levelName: "Meadow", state: "WIN", stats: { timeToGoal: null } });
+    assert.equal(table.entries.length, MAX_ENTRIES);
+    assert.equal(table.entries[0].score, MAX_ENTRIES + 2);
+    assert.equal(table.entries[0].initials, "AB");
+    assert.ok(!table.qualifies(1));
+
+    assert.deepEqual(new HighScoreTable({ storage }).entries, table.entries);
+});
+
+test("a saved entry without a date string throws the table out", () => {
+    const storage = new MemoryStorage();
+    const entry = { initials: "ABC", score: 5, level: 0, state: "WIN", date: "2024-01-01T00:00:00.000Z" };
+    storage.setItem(KEY, JSON.stringify({ version: 1, data: { entries: [entry, { ...entry, date: 7 }] } }));
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.deepEqual(new HighScoreTable({ storage }).entries, []);
+    } finally {
+        console.warn = warn;
+    }
+    assert.ok(storage.getItem(`${KEY}.corrupt`));
+});
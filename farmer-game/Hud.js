@@ -0,0 +1,229 @@
+/**
+ * @fileoverview DOM HUD — level, score, time, goal (+ difficulty), combo, basket, sky, status and power-up labels
+ *
+ * Listens on the gameplay event bus (see Events.js) instead of being poked
+ * from the update loop: scores change on cropHarvested, power-ups on
+ * collected/expired, everything on stateChanged; nightfall and weather changes
+ * are announced for a few seconds. The only per-step work is
+ * tick(), for the clock, combo meter and power-up countdowns, and it only touches the DOM
+ * when the shown text actually changes.
+ *
+ * All of its text comes from the locale bundles (I18n.js); after a language
+ * change Game calls show() again to redraw it.
+ */
+
+import { GameEvent } from './Events.js';
+import { State, GameMode } from './World.js';
+import { cropName } from './Crop.js';
+import { powerUpName } from './PowerUps.js';
+import { t } from './I18n.js';
+
+// Message key for what the #status label says in each state
+const STATUS_KEYS = Object.freeze({
+    [State.MENU]: "status.menu",
+    [State.PLAYING]: "status.playing",
+    [State.PAUSED]: "status.paused",
+    [State.LEVEL_COMPLETE]: "status.levelComplete",
+    [State.GAME_OVER]: "status.gameOver",
+    [State.WIN]: "status.win"
+});
+
+// Seconds of play an announcement stays up
+const ANNOUNCE_SECONDS = 3;
+
+export class Hud {
+    /**
+     * @param {import('./Events.js').EventBus} events
+     */
+    constructor(events) {
+        this.world = null;
+        this.statusOverride = null;   // e.g. replay status, shown instead of the state
+        this.announcement = null;     // { from, until } in round seconds (world.stats.elapsed)
+
+        const get = id => document.getElementById(id) || console.error(`#${id} not found`);
+        this.el = {
+            level: get("level"),
+            score: get("score"),
+            time: get("time"),
+            goal: get("goal"),
+            goalUnit: get("goalUnit"),
+            difficulty: get("difficulty"),
+            status: get("status"),
+            powerUpStatus: get("powerUpStatus"),
+            combo: get("combo"),
+            comboMeter: get("comboMeter"),
+            basketBox: get("basketBox"),
+            basket: get("basket"),
+            skyBox: get("skyBox"),
+            sky: get("sky"),
+            announcement: get("announcement"),
+        };
+
+        events.on(GameEvent.CROP_HARVESTED, () => this.showScore());
+        events.on(GameEvent.COMBO_BONUS, () => this.showScore());
+        events.on(GameEvent.CROPS_DELIVERED, () => this.showScore());
+        events.on(GameEvent.POWER_UP_COLLECTED, () => this.showPowerUps());
+        events.on(GameEvent.POWER_UP_EXPIRED, () => this.showPowerUps());
+        events.on(GameEvent.STATE_CHANGED, () => this.show(this.world));
+        events.on(GameEvent.TIME_OF_DAY_CHANGED, ({ to }) => {
+            this.announce(t(`phase.${to}.announce`));
+            this.showSky();
+        });
+        events.on(GameEvent.WEATHER_CHANGED, ({ to }) => {
+            this.announce(t(`weather.${to}.announce`));
+            this.showSky();
+        });
+        events.on(GameEvent.TIME_WARNING, () => {
+            if (this.el.time) this.el.time.classList.add("warning");
+        });
+    }
+
+    /**
+     * Point the HUD at a world (a new one after a mode switch or replay) and redraw it all
+     */
+    show(world) {
+        this.world = world;
+        if (!world) return;
+        this.set(this.el.level, t("hud.levelOf", { n: world.levelIndex + 1, total: world.levels.length, name: world.level.name }));
+        this.set(this.el.goal, String(world.goal));
+        this.set(this.el.goalUnit, t("hud.goalUnit", { n: world.goal }));
+        this.set(this.el.difficulty, t(`difficulty.${world.difficulty.preset}`));
+        if (this.el.time && world.timeLeft > 10) this.el.time.classList.remove("warning");
+        this.showScore();
+        this.showStatus();
+        this.showSky();
+        this.tick();
+    }
+
+    /**
+     * Text to show in #status instead of the state's own (null = back to normal)
+     */
+    setStatus(text = null) {
+        this.statusOverride = text;
+        this.showStatus();
+    }
+
+    /**
+     * Per-step refresh of the things that count down
+     */
+    tick() {
+        if (!this.world) return;
+        this.set(this.el.time, String(Math.ceil(this.world.timeLeft)));
+        this.showCombo();
+        this.showPowerUps();
+
+        // Take the announcement down once its time is up (or the round restarted)
+        const shown = this.announcement, elapsed = this.world.stats.elapsed;
+        if (shown && (elapsed >= shown.until || elapsed < shown.from)) {
+            this.announcement = null;
+            if (this.el.announcement) this.el.announcement.hidden = true;
+        }
+    }
+
+    /**
+     * Show a line in the announcement banner for ANNOUNCE_SECONDS of play
+     */
+    announce(text) {
+        if (!this.world) return;
+        const elapsed = this.world.stats.elapsed;
+        this.announcement = { from: elapsed, until: elapsed + ANNOUNCE_SECONDS };
+        this.set(this.el.announcement, text);
+        if (this.el.announcement) this.el.announcement.hidden = false;
+    }
+
+    /**
+     * "Night · Rain" — hidden on levels without a day cycle or weather
+     */
+    showSky() {
+        const world = this.world;
+        const { weather } = world;
+        const on = !!(weather.dayLength || weather.weatherEvery);
+        if (this.el.skyBox && this.el.skyBox.hidden === on) this.el.skyBox.hidden = !on;
+        if (on) this.set(this.el.sky, t("hud.sky.value", { phase: t(`phase.${weather.phase}`), weather: t(`weather.${weather.kind}`) }));
+    }
+
+    showScore() {
+        if (!this.world) return;
+        this.set(this.el.score, this.scoreText());
+        this.showBasket();
+    }
+
+    /**
+     * Delivery rounds: "5/8 — 3 Wheat, 2 Pumpkin (11 pts)", per farmer with two;
+     * the whole label is hidden otherwise
+     */
+    showBasket() {
+        const world = this.world;
+        if (this.el.basketBox && this.el.basketBox.hidden === world.delivery) this.el.basketBox.hidden = !world.delivery;
+        if (!world.delivery) return;
+        const text = basket => {
+            const contents = Object.entries(basket.contents).map(([type, n]) => t("hud.basketItem", { n, crop: cropName(type) })).join(", ");
+            const { count, capacity, points } = basket;
+            return contents ? t("hud.basketContents", { count, capacity, contents, points }) : t("hud.basketEmpty", { count, capacity });
+        };
+        const players = world.players;
+        this.set(this.el.basket, players.length === 1 ? text(players[0].basket)
+            : players.map(p => `${p.label} ${text(p.basket)}`).join(" · "));
+    }
+
+    showStatus() {
+        const world = this.world;
+        if (!world) return;
+        const text = this.statusOverride
+            || (world.winner ? t("hud.playerWins", { n: world.winner.id + 1 }) : t(STATUS_KEYS[world.state]));
+        this.set(this.el.status, text);
+    }
+
+    /**
+     * "12" solo, "12 (P1 7 · P2 5)" co-op, "P1 7 · P2 5" versus
+     */
+    scoreText() {
+        const world = this.world;
+        if (world.players.length === 1) return String(world.score);
+        const each = world.players.map(p => `${p.label} ${p.score}`).join(" · ");
+        return world.mode === GameMode.COOP ? `${world.score} (${each})` : each;
+    }
+
+    /**
+     * "7 ×2" (chain length and multiplier), per farmer with two; the meter
+     * runs down the time left to keep the longest chain going
+     */
+    showCombo() {
+        const players = this.world.players;
+        const text = combo => (combo.active ? `${combo.chain} ×${combo.multiplier}` : "—");
+        this.set(this.el.combo, players.length === 1 ? text(players[0].combo)
+            : players.map(p => `${p.label} ${text(p.combo)}`).join(" · "));
+
+        const meter = this.el.comboMeter;
+        if (!meter) return;
+        const best = players.reduce((a, b) => (b.combo.chain > a.combo.chain ? b : a));
+        const progress = Math.round(best.combo.progress * 50) / 50; // 2% steps: fewer DOM writes
+        if (meter.value !== progress) meter.value = progress;
+    }
+
+    showPowerUps() {
+        const box = this.el.powerUpStatus;
+        if (!box || !this.world) return;
+
+        // Prefix each power-up with its owner when there's more than one farmer
+        const activePowerUps = this.world.players.flatMap(player =>
+            Array.from(player.activePowerUps.values(), powerUp => [player.label, powerUp]));
+        const statusText = activePowerUps.map(([label, powerUp]) => {
+            const name = powerUpName(powerUp.data.type);
+            const text = t("hud.powerUpTime", {
+                name: powerUp.stacks > 1 ? t("hud.stacks", { name, n: powerUp.stacks }) : name,
+                n: Math.ceil(powerUp.timeLeft)
+            });
+            return label ? `${label} ${text}` : text;
+        }).join(" | ");
+
+        this.set(box, statusText);
+        const className = activePowerUps.length ? "power-up-status active" : "power-up-status";
+        if (box.className !== className) box.className = className;
+    }
+
+    // Only write when the text changed (this runs every step)
+    set(el, text) {
+        if (el && el.textContent !== text) el.textContent = text;
+    }
+}
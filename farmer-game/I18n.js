@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Localization — locale bundles, t() with placeholders and plural forms, RTL and canvas text wrapping
+ *
+ * Every string a player reads comes from a locale bundle (locales/<code>.js):
+ *   t("hud.powerUpTime", { name: "Speed Boost", n: 5 })   → "Speed Boost: 5s"
+ * A message is a string with {placeholders}, or an object of plural forms
+ * picked by `params.n` with the locale's Intl.PluralRules:
+ *   "announce.secondsLeft": { one: "{n} second left!", other: "{n} seconds left!" }
+ * Keys a bundle doesn't have fall back to English; a key English doesn't have
+ * either shows the `fallback` given (or the key itself, with a console warning once).
+ *
+ * The locale in effect is kept here at module level (like the sprite sheets in
+ * Sprites.js), so any module can call t() when it builds text. LanguageSettings
+ * picks and saves it (the browser's language until the player chooses one),
+ * and translatePage() fills in the static HTML from data-i18n attributes:
+ *   data-i18n="key"          text content
+ *   data-i18n-html="key"     markup (for the instructions' <kbd> / <strong>)
+ *   data-i18n-label="key"    aria-label
+ * Right-to-left locales set dir="rtl" on the page, and Game draws canvas text
+ * from the right edge with the canvas's `direction` set to match.
+ */
+
+import { VersionedStore } from './Storage.js';
+import en from './locales/en.js';
+import es from './locales/es.js';
+import ar from './locales/ar.js';
+
+/**
+ * Locale code → bundle: { name (in its own language), dir ("ltr" / "rtl"), messages }
+ */
+export const LOCALES = Object.freeze({ en, es, ar });
+
+export const DEFAULT_LOCALE = "en";
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+// The locale in effect (see setLocale)
+let active = { code: DEFAULT_LOCALE, bundle: LOCALES[DEFAULT_LOCALE], plurals: new Intl.PluralRules(DEFAULT_LOCALE) };
+const warned = new Set();
+
+export const currentLocale = () => active.code;
+
+/**
+ * "ltr" or "rtl"
+ */
+export const textDirection = () => active.bundle.dir;
+
+/**
+ * Switch the locale for every t() after this (unknown codes throw)
+ */
+export function setLocale(code) {
+    if (!LOCALES[code]) throw new Error(`Unknown locale "${code}" (known: ${Object.keys(LOCALES).join(", ")})`);
+    active = { code, bundle: LOCALES[code], plurals: new Intl.PluralRules(code) };
+}
+
+/**
+ * Whether the current locale (or English) has a message for `key`
+ */
+export const hasMessage = key => key in active.bundle.messages || key in LOCALES[DEFAULT_LOCALE].messages;
+
+/**
+ * The message for `key` in the current locale, with {placeholders} filled in from `params`
+ * and, for plural messages, the form for `params.n`
+ */
+export function t(key, params = {}, fallback) {
+    let message = key in active.bundle.messages ? active.bundle.messages[key] : LOCALES[DEFAULT_LOCALE].messages[key];
+    if (message === undefined) {
+        if (fallback !== undefined) return fallback;
+        if (!warned.has(key)) {
+            warned.add(key);
+            console.warn(`No message for "${key}"`);
+        }
+        return key;
+    }
+    if (typeof message === "object") {
+        const form = active.plurals.select(Number(params.n));
+        message = form in message ? message[form] : message.other;
+    }
+    return message.replace(PLACEHOLDER, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Fill in the page's static text (data-i18n attributes, see the file header)
+ * and set its language and direction
+ */
+export function translatePage(root = document) {
+    root.querySelectorAll("[data-i18n]").forEach(el => { el.textContent = t(el.dataset.i18n); });
+    root.querySelectorAll("[data-i18n-html]").forEach(el => { el.innerHTML = t(el.dataset.i18nHtml); });
+    root.querySelectorAll("[data-i18n-label]").forEach(el => el.setAttribute("aria-label", t(el.dataset.i18nLabel)));
+    const html = root.documentElement;
+    if (html) {
+        html.lang = active.code;
+        html.dir = textDirection();
+    }
+}
+
+/**
+ * Split `text` into lines no wider than `maxWidth` with the context's current
+ * font. Breaks between words; a word too long for a line on its own (or text
+ * without spaces) is broken between characters.
+ */
+export function wrapText(ctx, text, maxWidth) {
+    const lines = [];
+    let line = "";
+    const push = word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (!line || ctx.measureText(candidate).width <= maxWidth) {
+            line = candidate;
+            return;
+        }
+        lines.push(line);
+        line = word;
+    };
+    String(text).split(/\s+/).filter(Boolean).forEach(word => {
+        if (ctx.measureText(word).width <= maxWidth) {
+            push(word);
+            return;
+        }
+        // Too long for any line: on a line of its own, character by character
+        if (line) lines.push(line);
+        line = "";
+        [...word].forEach(ch => {
+            if (line && ctx.measureText(line + ch).width > maxWidth) {
+                lines.push(line);
+                line = "";
+            }
+            line += ch;
+        });
+    });
+    if (line) lines.push(line);
+    return lines;
+}
+
+/**
+ * Draw wrapped text from (x, y) downwards, `lineHeight` px apart, aligned to the
+ * start of the line for the locale (x is the left edge, or the right edge in
+ * right-to-left locales). Returns the number of lines drawn.
+ */
+export function fillTextWrapped(ctx, text, x, y, maxWidth, lineHeight) {
+    const lines = wrapText(ctx, text, maxWidth);
+    ctx.save();
+    ctx.direction = textDirection();
+    ctx.textAlign = "start";
+    lines.forEach((line, i) => ctx.fillText(line, x, y + i * lineHeight));
+    ctx.restore();
+    return lines.length;
+}
+
+/**
+ * The best bundle for the browser's preferred languages ("es-MX" → es), else English
+ */
+export function preferredLocale(languages = globalThis.navigator ? navigator.languages || [navigator.language] : []) {
+    for (const tag of languages) {
+        if (!tag) continue;
+        const code = tag.toLowerCase().split("-")[0];
+        if (LOCALES[code]) return code;
+    }
+    return DEFAULT_LOCALE;
+}
+
+/**
+ * The player's language: saved once they pick one, the browser's until then
+ */
+export class LanguageSettings {
+    constructor({ storage } = {}) {
+        this.store = new VersionedStore("farmerHarvest.language", {
+            version: 1,
+            defaults: () => ({ locale: null }),   // null = follow the browser
+            validate: data => data && (data.locale === null || data.locale in LOCALES),
+            storage
+        });
+        this.data = this.store.load();
+        setLocale(this.locale);
+    }
+
+    get locale() {
+        return this.data.locale || preferredLocale();
+    }
+
+    set(code) {
+        setLocale(code);
+        this.data = { locale: code };
+        this.store.save(this.data);
+    }
+}
@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Localization checks — run with `node --test` in this folder
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { t, setLocale, hasMessage, preferredLocale, wrapText } from './I18n.js';
+
+afterEach(() => setLocale("en"));
+
+test("placeholders are filled in, and plural messages pick the locale's form", () => {
+    assert.equal(t("announce.secondsLeft", { n: 1 }), "1 second left!");
+    assert.equal(t("announce.secondsLeft", { n: 5 }), "5 seconds left!");
+    assert.equal(t("hud.goalUnit", { n: 1 }), "point");
+    assert.equal(t("hud.goalUnit", { n: 150 }), "points");
+
+    setLocale("es");
+    assert.equal(t("hud.goalUnit", { n: 150 }), "puntos");
+
+    setLocale("ar");
+    // zero, one, two, few, many and other all read differently
+    const forms = [0, 1, 2, 5, 11, 100].map(n => t("announce.secondsLeft", { n }));
+    assert.equal(new Set(forms).size, forms.length);
+});
+
+test("missing keys fall back to English, then to the fallback given", () => {
+    setLocale("es");
+    assert.ok(hasMessage("hud.goal"));
+    assert.equal(t("no.such.key", {}, "fallback"), "fallback");
+    assert.throws(() => setLocale("xx"), /Unknown locale "xx"/);
+});
+
+test("the browser's languages pick a bundle by their main language", () => {
+    assert.equal(preferredLocale(["fr-FR", "es-MX", "en"]), "es");
+    assert.equal(preferredLocale(["fr"]), "en");
+    assert.equal(preferredLocale([]), "en");
+});
+
+test("wraps between words, and breaks a word too long for any line", () => {
+    const ctx = { measureText: text => ({ width: text.length * 10 }) };   // 10 px a character
+    assert.deepEqual(wrapText(ctx, "one two three four", 90), ["one two", "three", "four"]);
+    assert.deepEqual(wrapText(ctx, "ab abcdefghijkl", 50), ["ab", "abcde", "fghij", "kl"]);
+});
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview On-page high-score list, initials entry and last-run stats
+ *
+ * Thin DOM layer over HighScoreTable. Game calls showRun() when a round ends;
+ * everything else (submitting initials, clearing data) is handled here.
+ * Entries keep the English difficulty name they were saved with; it's
+ * translated when the list is drawn.
+ */
+
+import { cropName } from './Crop.js';
+import { powerUpName } from './PowerUps.js';
+import { TILE, GameMode } from './World.js';
+import { t } from './I18n.js';
+
+// Shown next to two-player entries (solo ones get no tag)
+const MODE_KEYS = Object.freeze({
+    [GameMode.COOP]: "mode.coop",
+    [GameMode.VERSUS]: "mode.versus"
+});
+
+export class LeaderboardView {
+    constructor(table) {
+        this.table = table;
+        this.pending = null;   // finished round waiting for initials
+        this.highlight = 0;    // rank to highlight after saving
+        this.stats = null;     // last round's stats (drawn again after a language change)
+
+        const get = id => document.getElementById(id) || console.error(`#${id} not found`);
+        this.el = {
+            list: get("highScoreList"),
+            clear: get("btnClearScores"),
+            form: get("initialsForm"),
+            initials: get("initials"),
+            stats: get("runStats"),
+        };
+
+        if (this.el.form) this.el.form.addEventListener("submit", (e) => {
+            e.preventDefault();
+            this.submitInitials();
+        });
+        if (this.el.clear) this.el.clear.addEventListener("click", () => this.clearData());
+
+        this.render();
+    }
+
+    /**
+     * A round just ended: show its stats and ask for initials if it made the table.
+     * `run` = { score, level, levelName, mode, difficulty, state, stats }
+     */
+    showRun(run) {
+        this.renderStats(run.stats);
+        this.pending = this.table.qualifies(run.score) ? run : null;
+        if (!this.el.form) return;
+        this.el.form.hidden = !this.pending;
+        if (this.pending && this.el.initials) {
+            this.el.initials.value = "";
+            this.el.initials.focus();
+        }
+    }
+
+    /**
+     * Hide the initials form without saving (e.g. a new round started)
+     */
+    dismiss() {
+        this.pending = null;
+        if (this.el.form) this.el.form.hidden = true;
+    }
+
+    submitInitials() {
+        if (!this.pending) return;
+        const initials = this.el.initials ? this.el.initials.value : "";
+        this.highlight = this.table.add({ ...this.pending, initials });
+        this.dismiss();
+        this.render();
+    }
+
+    clearData() {
+        if (!window.confirm(t("scores.confirmClear"))) return;
+        this.table.clear();
+        this.highlight = 0;
+        this.render();
+    }
+
+    render() {
+        if (this.stats) this.renderStats(this.stats);
+        const list = this.el.list;
+        if (!list) return;
+        list.replaceChildren();
+
+        if (this.table.entries.length === 0) {
+            const empty = document.createElement("li");
+            empty.className = "empty";
+            empty.textContent = t("scores.empty");
+            list.appendChild(empty);
+            return;
+        }
+
+        this.table.entries.forEach((entry, i) => {
+            const item = document.createElement("li");
+            if (i + 1 === this.highlight) item.className = "highlight";
+            const details = [entry.levelName];
+            if (MODE_KEYS[entry.mode]) details.push(t(MODE_KEYS[entry.mode]));
+            if (entry.difficulty && entry.difficulty !== "Normal") {
+                details.push(t(`difficulty.${entry.difficulty.toLowerCase()}`, {}, entry.difficulty));
+            }
+            const text = t("scores.entry", { initials: entry.initials, score: entry.score, details: details.join(", ") });
+            item.textContent = entry.stats && entry.stats.timeToGoal !== null
+                ? t("scores.goalIn", { entry: text, n: entry.stats.timeToGoal.toFixed(1) }) : text;
+            list.appendChild(item);
+        });
+    }
+
+    renderStats(stats) {
+        const box = this.el.stats;
+        if (!box) return;
+        this.stats = stats;
+
+        const crops = Object.entries(stats.cropsByType)
+            .map(([type, n]) => t("stats.count", { name: cropName(type), n })).join(", ");
+        const powerUps = Object.entries(stats.powerUpsUsed)
+            .map(([type, n]) => t("stats.count", { name: powerUpName(type), n })).join(", ");
+        const rows = [
+            ["stats.crops", crops],
+            ["stats.unripe", String(stats.unripePicked)],
+            ["stats.crowsAte", String(stats.cropsLostToCrows)],
+            ["stats.crowsScared", String(stats.crowsScared)],
+            ["stats.bestCombo", String(stats.bestCombo || 0)],
+            ["stats.deliveries", String(stats.deliveries || 0)],
+            ["stats.powerUps", powerUps || t("stats.none")],
+            ["stats.distance", t("stats.tiles", { n: Math.round(stats.distance / TILE) })],
+            ["stats.timeToGoal", stats.timeToGoal === null ? "—" : t("stats.seconds", { n: stats.timeToGoal.toFixed(1) })],
+        ];
+
+        box.replaceChildren();
+        rows.forEach(([key, value]) => {
+            const dt = document.createElement("dt");
+            dt.textContent = t(key);
+            const dd = document.createElement("dd");
+            dd.textContent = value;
+            box.append(dt, dd);
+        });
+        box.hidden = false;
+    }
+}
@@ -0,0 +1,373 @@
+/**
+ * @fileoverview Level definitions + validation
+ *
+ * Each level is a plain object (so it can just as well come from a JSON file):
+ *   {
+ *     name: "Home Field",
+ *     duration: 60,            // seconds per round
+ *     goal: 15,                // points needed to clear it
+ *     spawnEvery: 0.8,         // seconds between crop spawns
+ *     powerUpSpawnEvery: 12,   // seconds between power-up spawns (optional)
+ *     cropOdds: { wheat: 7, pumpkin: 2, goldenApple: 1 },  // relative weights (optional)
+ *     crowSpawnEvery: 12,      // seconds between crows (optional — no crows if left out)
+ *     maxCrows: 3,             // most crows on the field at once (optional)
+ *     width: 1500, height: 900, // field size in pixels (optional — bigger than the
+ *                              // screen scrolls with the farmer)
+ *     dayLength: 90,           // seconds per day/night cycle (optional — always day)
+ *     startTime: 0.7,          // time of day at the start, 0–1 (0 = midnight, 0.5 = noon)
+ *     weatherEvery: 15,        // seconds between weather changes (optional — always clear)
+ *     weatherOdds: { clear: 2, rain: 2, wind: 1 },  // relative weights (optional)
+ *     obstacles: [{ type: "scarecrow", x: 200, y: 220 }],
+ *     barn: { x: 30, y: 240 }, // where baskets are delivered in barn delivery rounds
+ *                              // (optional — halfway down the left edge by default)
+ *     map: "....##..~~...",    // terrain (optional, see TileMap.js): text rows,
+ *                              // { tiles: [...] } JSON, or { generate: {...} } for a
+ *                              // random map each round ({ generate: { seed: 7 } } for
+ *                              // the same one every time)
+ *   }
+ *
+ * A map sets the field size (one character per TILE px) if width / height are
+ * left out, and must match them otherwise. Hand-made maps are checked so the
+ * farmers' start spots are clear and every tile a crop could grow on can be
+ * reached.
+ *
+ * Designers add levels to LEVELS below (or pass their own list to World);
+ * loadLevels() checks them at startup and throws a LevelError naming every
+ * problem it found.
+ */
+
+import { CROP_DATA, Scarecrow, BARN_SIZE } from './Crop.js';
+import { TileMap, TILE } from './TileMap.js';
+import { Random } from './Random.js';
+import { WEATHER, DEFAULT_START_TIME, DEFAULT_WEATHER_ODDS } from './Weather.js';
+
+// Default playfield size (the size of the screen view too); levels can make theirs bigger
+export const FIELD_WIDTH = 900, FIELD_HEIGHT = 540;
+const MIN_FIELD_SIZE = 300;
+
+/**
+ * Obstacle `type` names a level can use → the class that gets built
+ */
+export const OBSTACLE_TYPES = Object.freeze({
+    scarecrow: Scarecrow
+});
+
+const DEFAULT_CROP_ODDS = Object.freeze({ wheat: 0.7, pumpkin: 0.2, goldenApple: 0.1 });
+const DEFAULT_POWER_UP_SPAWN = 12;
+const DEFAULT_MAX_CROWS = 3;
+const GENERATE_OPTIONS = ["fences", "ponds", "mud"];
+const FARMER_SIZE = 34;
+
+/**
+ * Where farmer `index` of `count` starts: spread evenly along the bottom of the field
+ */
+export const farmerStart = (width, height, index, count) =>
+    ({ x: width * (index + 1) / (count + 1) - FARMER_SIZE / 2, y: height - 80, w: FARMER_SIZE, h: FARMER_SIZE });
+
+// Default barn spot: halfway down the left edge, just inside the border
+const defaultBarn = (width, height) => ({ x: TILE, y: Math.round(height / 2 - BARN_SIZE.h / 2) });
+
+// Every start spot in any mode (solo, then the two-player ones)
+const allStarts = (width, height) =>
+    [farmerStart(width, height, 0, 1), farmerStart(width, height, 0, 2), farmerStart(width, height, 1, 2)];
+
+export const LEVELS = [
+    {
+        name: "Home Field",
+        duration: 60,
+        goal: 15,
+        spawnEvery: 0.8,
+        powerUpSpawnEvery: 12,
+        cropOdds: { wheat: 0.7, pumpkin: 0.2, goldenApple: 0.1 },
+        crowSpawnEvery: 15,
+        maxCrows: 1,
+        obstacles: [
+            { type: "scarecrow", x: 200, y: 220 },
+            { type: "scarecrow", x: 650, y: 160 }
+        ]
+    },
+    {
+        name: "Scarecrow Row",
+        duration: 60,
+        goal: 25,
+        spawnEvery: 0.7,
+        powerUpSpawnEvery: 12,
+        cropOdds: { wheat: 0.6, pumpkin: 0.3, goldenApple: 0.1 },
+        crowSpawnEvery: 10,
+        maxCrows: 2,
+        weatherEvery: 15,
+        weatherOdds: { clear: 2, rain: 2, wind: 1 },
+        obstacles: [
+            { type: "scarecrow", x: 150, y: 240 },
+            { type: "scarecrow", x: 330, y: 240 },
+            { type: "scarecrow", x: 510, y: 240 },
+            { type: "scarecrow", x: 690, y: 240 }
+        ],
+        map: `
+            ..............................
+            ..............................
+            ..~~~~......,,,,,.......~~~~..
+            ..~~~~~....,,,,,,,.....~~~~~..
+            ...~~~......,,,,,.......~~~...
+            ..............................
+            ..............................
+            ..............................
+            ..............................
+            ..............................
+            .#..####..####..####..####..#.
+            ..............................
+            ..............................
+            ......,,,,..........,,,,......
+            .....,,,,,,........,,,,,,.....
+            ..............................
+            ..............................
+            ..............................`
+    },
+    {
+        name: "Golden Orchard",
+        duration: 45,
+        goal: 30,
+        spawnEvery: 0.6,
+        powerUpSpawnEvery: 10,
+        cropOdds: { wheat: 0.5, pumpkin: 0.3, goldenApple: 0.2 },
+        crowSpawnEvery: 7,
+        maxCrows: 3,
+        dayLength: 90,
+        startTime: 0.7,
+        obstacles: [
+            { type: "scarecrow", x: 120, y: 120 },
+            { type: "scarecrow", x: 740, y: 120 },
+            { type: "scarecrow", x: 430, y: 250 },
+            { type: "scarecrow", x: 120, y: 380 },
+            { type: "scarecrow", x: 740, y: 380 }
+        ]
+    },
+    {
+        name: "Big Meadow",
+        duration: 75,
+        goal: 40,
+        spawnEvery: 0.35,
+        powerUpSpawnEvery: 8,
+        cropOdds: { wheat: 0.5, pumpkin: 0.3, goldenApple: 0.2 },
+        crowSpawnEvery: 6,
+        maxCrows: 4,
+        dayLength: 120,
+        startTime: 0.6,
+        weatherEvery: 18,
+        width: 1500,
+        height: 900,
+        obstacles: [
+            { type: "scarecrow", x: 300, y: 200 },
+            { type: "scarecrow", x: 1150, y: 200 },
+            { type: "scarecrow", x: 730, y: 420 },
+            { type: "scarecrow", x: 300, y: 640 },
+            { type: "scarecrow", x: 1150, y: 640 }
+        ],
+        map: { generate: {} }
+    }
+];
+
+/**
+ * Thrown when a level definition doesn't make sense.
+ * `problems` has one readable line per thing that's wrong.
+ */
+export class LevelError extends Error {
+    constructor(label, problems) {
+        super(`${label} is invalid:\n  - ${problems.join("\n  - ")}`);
+        this.name = "LevelError";
+        this.problems = problems;
+    }
+}
+
+const isPositive = v => typeof v === "number" && Number.isFinite(v) && v > 0;
+
+/**
+ * Check one level and return a cleaned-up copy with defaults filled in.
+ * Throws LevelError listing every problem found.
+ */
+export function validateLevel(def, index = 0) {
+    const label = `Level ${index + 1}${def && def.name ? ` ("${def.name}")` : ""}`;
+    if (!def || typeof def !== "object") throw new LevelError(label, ["must be an object"]);
+
+    const problems = [];
+    if (typeof def.name !== "string" || !def.name.trim()) problems.push("name must be a non-empty string");
+    if (!isPositive(def.duration)) problems.push("duration must be a positive number of seconds");
+    if (!Number.isInteger(def.goal) || def.goal <= 0) problems.push("goal must be a positive whole number");
+    if (!isPositive(def.spawnEvery)) problems.push("spawnEvery must be a positive number of seconds");
+    if (def.powerUpSpawnEvery !== undefined && !isPositive(def.powerUpSpawnEvery)) {
+        problems.push("powerUpSpawnEvery must be a positive number of seconds");
+    }
+    if (def.crowSpawnEvery !== undefined && !isPositive(def.crowSpawnEvery)) {
+        problems.push("crowSpawnEvery must be a positive number of seconds (leave it out for no crows)");
+    }
+    if (def.maxCrows !== undefined && (!Number.isInteger(def.maxCrows) || def.maxCrows < 0)) {
+        problems.push("maxCrows must be a whole number >= 0");
+    }
+    // Terrain: parse a hand-made map now (its size can stand in for width / height)
+    let map = null, generateMap = null;
+    if (def.map !== undefined && def.map !== null) {
+        if (def.map.generate !== undefined) {
+            generateMap = def.map.generate;
+            if (!generateMap || typeof generateMap !== "object") {
+                problems.push("map.generate must be an object of options (use {} for the defaults)");
+                generateMap = null;
+            } else {
+                GENERATE_OPTIONS.forEach(key => {
+                    const v = generateMap[key];
+                    if (v !== undefined && (typeof v !== "number" || !(v >= 0))) problems.push(`map.generate.${key} must be a number >= 0`);
+                });
+                if (generateMap.seed !== undefined && !Number.isInteger(generateMap.seed)) problems.push("map.generate.seed must be a whole number");
+            }
+        } else {
+            try {
+                map = TileMap.parse(def.map);
+            } catch (err) {
+                problems.push(err.message);
+            }
+        }
+    }
+
+    const width = def.width ?? (map ? map.cols * TILE : FIELD_WIDTH);
+    const height = def.height ?? (map ? map.rows * TILE : FIELD_HEIGHT);
+    if (!Number.isInteger(width) || width < MIN_FIELD_SIZE) problems.push(`width must be a whole number of pixels, at least ${MIN_FIELD_SIZE}`);
+    if (!Number.isInteger(height) || height < MIN_FIELD_SIZE) problems.push(`height must be a whole number of pixels, at least ${MIN_FIELD_SIZE}`);
+
+    if (def.dayLength != null && !isPositive(def.dayLength)) {
+        problems.push("dayLength must be a positive number of seconds (leave it out for no night)");
+    }
+    if (def.startTime !== undefined && !(typeof def.startTime === "number" && def.startTime >= 0 && def.startTime < 1)) {
+        problems.push("startTime must be a time of day from 0 (midnight) up to 1");
+    }
+    if (def.weatherEvery != null && !isPositive(def.weatherEvery)) {
+        problems.push("weatherEvery must be a positive number of seconds (leave it out for no weather)");
+    }
+    const weatherOdds = def.weatherOdds === undefined ? DEFAULT_WEATHER_ODDS : def.weatherOdds;
+    if (!weatherOdds || typeof weatherOdds !== "object" || Array.isArray(weatherOdds)) {
+        problems.push("weatherOdds must be an object like { clear: 2, rain: 1 }");
+    } else {
+        const entries = Object.entries(weatherOdds);
+        entries.forEach(([kind, weight]) => {
+            if (!(kind in WEATHER)) problems.push(`weatherOdds has unknown weather "${kind}" (known: ${Object.keys(WEATHER).join(", ")})`);
+            if (typeof weight !== "number" || !(weight >= 0)) problems.push(`weatherOdds.${kind} must be a number >= 0`);
+        });
+        if (!entries.some(([, weight]) => weight > 0)) problems.push("weatherOdds needs at least one weather with weight > 0");
+    }
+
+    const cropOdds = def.cropOdds === undefined ? DEFAULT_CROP_ODDS : def.cropOdds;
+    if (!cropOdds || typeof cropOdds !== "object" || Array.isArray(cropOdds)) {
+        problems.push("cropOdds must be an object like { wheat: 0.7, pumpkin: 0.3 }");
+    } else {
+        const entries = Object.entries(cropOdds);
+        entries.forEach(([type, weight]) => {
+            if (!(type in CROP_DATA)) problems.push(`cropOdds has unknown crop "${type}" (known: ${Object.keys(CROP_DATA).join(", ")})`);
+            if (typeof weight !== "number" || !(weight >= 0)) problems.push(`cropOdds.${type} must be a number >= 0`);
+        });
+        if (!entries.some(([, weight]) => weight > 0)) problems.push("cropOdds needs at least one crop with weight > 0");
+    }
+
+    if (!Array.isArray(def.obstacles)) {
+        problems.push("obstacles must be an array (use [] for none)");
+    } else {
+        def.obstacles.forEach((o, i) => {
+            if (!o || !(o.type in OBSTACLE_TYPES)) {
+                problems.push(`obstacles[${i}].type must be one of: ${Object.keys(OBSTACLE_TYPES).join(", ")}`);
+            }
+            if (!o || typeof o.x !== "number" || o.x < 0 || o.x > width) problems.push(`obstacles[${i}].x must be between 0 and ${width}`);
+            if (!o || typeof o.y !== "number" || o.y < 0 || o.y > height) problems.push(`obstacles[${i}].y must be between 0 and ${height}`);
+        });
+    }
+
+    const barn = def.barn ?? defaultBarn(width, height);
+    if (!barn || typeof barn.x !== "number" || typeof barn.y !== "number"
+        || barn.x < 0 || barn.y < 0 || barn.x + BARN_SIZE.w > width || barn.y + BARN_SIZE.h > height) {
+        problems.push(`barn must be { x, y } with the whole ${BARN_SIZE.w} × ${BARN_SIZE.h} px barn inside the field`);
+    } else if (map && map.blocksBox({ ...barn, ...BARN_SIZE })) {
+        problems.push("map puts a fence or water under the barn");
+    }
+
+    if (map) {
+        if (map.cols * TILE !== width || map.rows * TILE !== height) {
+            problems.push(`map is ${map.cols} × ${map.rows} tiles but the field needs ${Math.ceil(width / TILE)} × ${Math.ceil(height / TILE)}`);
+        } else {
+            checkMap(map, width, height, problems);
+        }
+    }
+
+    if (problems.length) throw new LevelError(label, problems);
+
+    return Object.freeze({
+        name: def.name,
+        duration: def.duration,
+        goal: def.goal,
+        spawnEvery: def.spawnEvery,
+        powerUpSpawnEvery: def.powerUpSpawnEvery ?? DEFAULT_POWER_UP_SPAWN,
+        crowSpawnEvery: def.crowSpawnEvery ?? null,
+        maxCrows: def.maxCrows ?? DEFAULT_MAX_CROWS,
+        width,
+        height,
+        cropOdds: Object.freeze({ ...cropOdds }),
+        dayLength: def.dayLength ?? null,
+        startTime: def.startTime ?? DEFAULT_START_TIME,
+        weatherEvery: def.weatherEvery ?? null,
+        weatherOdds: Object.freeze({ ...weatherOdds }),
+        obstacles: Object.freeze(def.obstacles.map(o => Object.freeze({ type: o.type, x: o.x, y: o.y }))),
+        barn: Object.freeze({ x: barn.x, y: barn.y }),
+        // TileMap shared by every round (World never edits it), { generate } or null
+        map: generateMap ? Object.freeze({ generate: Object.freeze({ ...generateMap }) }) : map
+    });
+}
+
+/**
+ * Hand-made map checks: farmers can start, and nothing spawns out of reach
+ */
+function checkMap(map, width, height, problems) {
+    const starts = allStarts(width, height);
+    if (starts.some(box => map.blocksBox(box))) problems.push("map blocks a farmer's start spot (the bottom of the field, 80 px up)");
+
+    let spawnable = 0;
+    for (let row = 0; row < map.rows; row++) {
+        for (let col = 0; col < map.cols; col++) if (map.canSpawnAt(col, row)) spawnable++;
+    }
+    if (!spawnable) problems.push("map has no tiles inside the border where crops can grow");
+
+    const unreachable = new Map();
+    starts.forEach(box => map.unreachableTiles({ x: box.x + box.w / 2, y: box.y + box.h / 2 })
+        .forEach(t => unreachable.set(`${t.col},${t.row}`, t)));
+    if (unreachable.size) {
+        const some = [...unreachable.values()].slice(0, 5).map(t => `(${t.col}, ${t.row})`).join(", ");
+        problems.push(`map has ${unreachable.size} tile(s) crops can grow on that a farmer can't reach, e.g. ${some} (column, row from 0)`);
+    }
+}
+
+/**
+ * Terrain for a round of `level`: its hand-made map, a freshly generated one
+ * (from `rng`, or its own seed), or plain grass
+ */
+export function buildTileMap(level, rng) {
+    const cols = Math.ceil(level.width / TILE), rows = Math.ceil(level.height / TILE);
+    if (level.map instanceof TileMap) return level.map;
+    if (!level.map) return new TileMap(cols, rows);
+
+    const { seed, ...options } = level.map.generate;
+    const starts = allStarts(level.width, level.height);
+    const keepClear = [
+        ...starts.map(b => ({ x: b.x - TILE, y: b.y - TILE, w: b.w + 2 * TILE, h: b.h + 2 * TILE })),
+        ...level.obstacles.map(o => ({ x: o.x - TILE, y: o.y - TILE, w: 3 * TILE, h: 3 * TILE })),
+        { x: level.barn.x - TILE, y: level.barn.y - TILE, w: BARN_SIZE.w + 2 * TILE, h: BARN_SIZE.h + 2 * TILE }
+    ];
+    return TileMap.generate(cols, rows, seed === undefined ? rng : new Random(seed), {
+        ...options,
+        keepClear,
+        starts: starts.map(b => ({ x: b.x + b.w / 2, y: b.y + b.h / 2 }))
+    });
+}
+
+/**
+ * Validate a whole list of levels (e.g. LEVELS, or JSON.parse of a levels file)
+ */
+export function loadLevels(defs = LEVELS) {
+    if (!Array.isArray(defs) || defs.length === 0) {
+        throw new LevelError("Level list", ["must be a non-empty array of levels"]);
+    }
+    return defs.map((def, i) => validateLevel(def, i));
+}
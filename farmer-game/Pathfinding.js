@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Grid navigation: a TILE-sized walkability grid + A* search
+ *
+ * Cells are addressed by column/row. Each cell is either blocked or has a
+ * cost (1 = normal ground, higher = "walkable, but rather not" — e.g. right
+ * next to a scarecrow). Paths move in 8 directions but never cut the corner
+ * of a blocked cell.
+ */
+
+const SQRT2 = Math.SQRT2;
+
+// 8 neighbours: [dCol, dRow, step length]
+const NEIGHBOURS = [
+    [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+    [1, 1, SQRT2], [1, -1, SQRT2], [-1, 1, SQRT2], [-1, -1, SQRT2]
+];
+
+/**
+ * Small binary min-heap keyed on `f`, used as the A* open list
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].f <= items[i].f) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const l = i * 2 + 1, r = l + 1;
+                let smallest = i;
+                if (l < items.length && items[l].f < items[smallest].f) smallest = l;
+                if (r < items.length && items[r].f < items[smallest].f) smallest = r;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+export class NavGrid {
+    constructor(cols, rows, cellSize) {
+        this.cols = cols;
+        this.rows = rows;
+        this.cellSize = cellSize;
+        this.costs = new Float32Array(cols * rows).fill(1); // Infinity = blocked
+    }
+
+    inBounds(col, row) {
+        return col >= 0 && row >= 0 && col < this.cols && row < this.rows;
+    }
+
+    isBlocked(col, row) {
+        return !this.inBounds(col, row) || this.costs[row * this.cols + col] === Infinity;
+    }
+
+    setBlocked(col, row, blocked = true) {
+        if (this.inBounds(col, row)) this.costs[row * this.cols + col] = blocked ? Infinity : 1;
+    }
+
+    /**
+     * Add extra cost to a walkable cell (makes paths prefer to go around it)
+     */
+    addCost(col, row, extra) {
+        if (this.inBounds(col, row) && !this.isBlocked(col, row)) this.costs[row * this.cols + col] += extra;
+    }
+
+    cost(col, row) {
+        return this.costs[row * this.cols + col];
+    }
+
+    /**
+     * Grid cell a world point falls in
+     */
+    cellAt(x, y) {
+        return { col: Math.floor(x / this.cellSize), row: Math.floor(y / this.cellSize) };
+    }
+
+    /**
+     * World-space centre of a cell
+     */
+    cellCenter(col, row) {
+        return { x: (col + 0.5) * this.cellSize, y: (row + 0.5) * this.cellSize };
+    }
+
+    /**
+     * A* from one cell to another.
+     * Returns the cells to walk through (start excluded, goal included),
+     * [] if already there, or null if the goal can't be reached.
+     */
+    findPath(start, goal) {
+        if (this.isBlocked(goal.col, goal.row)) return null;
+        if (start.col === goal.col && start.row === goal.row) return [];
+
+        const cols = this.cols;
+        const index = (c, r) => r * cols + c;
+        const heuristic = (c, r) => {
+            // octile distance
+            const dx = Math.abs(c - goal.col), dy = Math.abs(r - goal.row);
+            return Math.max(dx, dy) + (SQRT2 - 1) * Math.min(dx, dy);
+        };
+
+        const g = new Float32Array(cols * this.rows).fill(Infinity);
+        const cameFrom = new Int32Array(cols * this.rows).fill(-1);
+        const closed = new Uint8Array(cols * this.rows);
+        const open = new MinHeap();
+
+        const startIndex = index(start.col, start.row);
+        g[startIndex] = 0;
+        open.push({ col: start.col, row: start.row, f: heuristic(start.col, start.row) });
+
+        while (open.size) {
+            const { col, row } = open.pop();
+            const current = index(col, row);
+            if (closed[current]) continue;
+            closed[current] = 1;
+
+            if (col === goal.col && row === goal.row) {
+                const path = [];
+                for (let i = current; i !== startIndex; i = cameFrom[i]) {
+                    path.push({ col: i % cols, row: Math.floor(i / cols) });
+                }
+                return path.reverse();
+            }
+
+            for (const [dc, dr, length] of NEIGHBOURS) {
+                const nc = col + dc, nr = row + dr;
+                if (this.isBlocked(nc, nr)) continue;
+                // no squeezing diagonally past a blocked corner
+                if (dc && dr && (this.isBlocked(col + dc, row) || this.isBlocked(col, row + dr))) continue;
+
+                const next = index(nc, nr);
+                if (closed[next]) continue;
+                const tentative = g[current] + length * this.cost(nc, nr);
+                if (tentative < g[next]) {
+                    g[next] = tentative;
+                    cameFrom[next] = current;
+                    open.push({ col: nc, row: nr, f: tentative + heuristic(nc, nr) });
+                }
+            }
+        }
+        return null;
+    }
+}
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview A* checks — run with `node --test` in this folder
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { NavGrid } from './Pathfinding.js';
+
+test("goes round a wall through the only gap", () => {
+    const grid = new NavGrid(5, 5, 30);
+    [0, 1, 2, 3].forEach(row => grid.setBlocked(2, row));
+    const path = grid.findPath({ col: 0, row: 0 }, { col: 4, row: 0 });
+    assert.ok(path && path.length);
+    assert.deepEqual(path[path.length - 1], { col: 4, row: 0 });
+    assert.ok(path.some(cell => cell.row === 4));
+    assert.ok(path.every(cell => !grid.isBlocked(cell.col, cell.row)));
+});
+
+test("gives up on a cell it can't reach, and has nothing to walk when already there", () => {
+    const grid = new NavGrid(5, 5, 30);
+    [0, 1, 2, 3, 4].forEach(row => grid.setBlocked(2, row));
+    assert.equal(grid.findPath({ col: 0, row: 0 }, { col: 4, row: 0 }), null);
+    assert.equal(grid.findPath({ col: 0, row: 0 }, { col: 2, row: 2 }), null);
+    assert.deepEqual(grid.findPath({ col: 1, row: 1 }, { col: 1, row: 1 }), []);
+});
+
+test("steers round expensive cells when there's a cheap way", () => {
+    const grid = new NavGrid(5, 3, 30);
+    [1, 2, 3].forEach(col => grid.addCost(col, 1, 50));
+    const path = grid.findPath({ col: 0, row: 1 }, { col: 4, row: 1 });
+    assert.ok(path.every(cell => cell.row !== 1 || cell.col === 4));
+});
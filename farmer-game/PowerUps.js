@@ -0,0 +1,274 @@
+/**
+ * @fileoverview Power-up registry — every power-up type and what it does
+ *
+ * A type is one registerPowerUp() call:
+ *   {
+ *     type: "speed",
+ *     effect: "Speed Boost",      // English name, for when the locale bundles have no "powerUp.<type>"
+ *     color: "#00bcd4",
+ *     weight: 3,                  // relative spawn odds
+ *     duration: 8,                // seconds per pickup
+ *     stacking: Stacking.REFRESH, // what picking it up again while active does
+ *     maxStacks: 1,               // cap for Stacking.STACK
+ *     drawIcon(ctx, powerUp),     // icon on the field (inside the glowing aura)
+ *     drawActive(ctx, farmer, effect), // optional: indicator on the farmer while active
+ *     apply(farmer, effect, dt, world),  // every frame while active
+ *     expire(farmer, effect, world)      // once, when it runs out
+ *   }
+ * The farmer's modifiers (speed, scythe, score multiplier, time freeze...) are
+ * reset at the start of every frame, so apply() just sets them again — nothing
+ * needs undoing when an effect ends. `effect` is the live record
+ * { timeLeft, duration, stacks, data } kept in Farmer.activePowerUps.
+ */
+
+import { t } from './I18n.js';
+
+/**
+ * What picking up a type that's already active does
+ */
+export const Stacking = Object.freeze({
+    REFRESH: "refresh", // timer back to full
+    EXTEND: "extend",   // another full duration added on top of what's left
+    STACK: "stack"      // one more layer (stronger effect, up to maxStacks), timer back to full
+});
+
+const registry = new Map();
+
+const noop = () => {};
+
+/**
+ * Add a power-up type (or replace one with the same `type`)
+ */
+export function registerPowerUp(def) {
+    if (!def || typeof def.type !== "string" || !def.type) throw new Error("Power-up needs a type name");
+    if (!(def.duration > 0)) throw new Error(`Power-up "${def.type}" needs a positive duration`);
+    if (def.stacking !== undefined && !Object.values(Stacking).includes(def.stacking)) {
+        throw new Error(`Power-up "${def.type}" has unknown stacking rule "${def.stacking}"`);
+    }
+    const entry = Object.freeze({
+        effect: def.type,
+        color: "#888",
+        weight: 1,
+        stacking: Stacking.REFRESH,
+        maxStacks: 1,
+        drawIcon: noop,
+        drawActive: noop,
+        apply: noop,
+        expire: noop,
+        ...def
+    });
+    registry.set(def.type, entry);
+    return entry;
+}
+
+export const getPowerUp = type => registry.get(type) || null;
+
+/**
+ * What the HUD, announcements and run stats call a type, in the current language
+ */
+export const powerUpName = type => t(`powerUp.${type}`, {}, getPowerUp(type) ? getPowerUp(type).effect : type);
+
+/**
+ * All registered types, in registration order (spawn rolls depend on it)
+ */
+export const powerUpTypes = () => [...registry.values()];
+
+/**
+ * Add a pickup to a farmer's active effects (type → effect), following the
+ * type's stacking rule. `duration` overrides the type's own (shop upgrades).
+ */
+export function addEffect(effects, def, duration = def.duration) {
+    const current = effects.get(def.type);
+    if (!current) {
+        effects.set(def.type, { timeLeft: duration, duration, stacks: 1, data: def });
+        return;
+    }
+    if (def.stacking === Stacking.EXTEND) {
+        current.timeLeft += duration;
+        current.duration = current.timeLeft;
+    } else {
+        if (def.stacking === Stacking.STACK) current.stacks = Math.min(def.maxStacks, current.stacks + 1);
+        current.timeLeft = duration;
+        current.duration = duration;
+    }
+}
+
+// ---- Built-in types ----
+
+registerPowerUp({
+    type: "speed",
+    effect: "Speed Boost",
+    color: "#00bcd4",
+    weight: 3,
+    duration: 8,
+    stacking: Stacking.REFRESH,
+    multiplier: 1.8,
+    carryStrength: 2,   // a loaded basket slows a boosted farmer half as much (see Basket.js)
+    apply(farmer) {
+        farmer.speed = farmer.baseSpeed * this.multiplier;
+        farmer.carryStrength = this.carryStrength;
+    },
+    drawIcon(ctx, { x, y, w, h }) {
+        // lightning bolt
+        ctx.beginPath();
+        ctx.moveTo(x + w / 2 - 4, y + 4);
+        ctx.lineTo(x + w / 2 + 2, y + h / 2 - 2);
+        ctx.lineTo(x + w / 2 - 2, y + h / 2);
+        ctx.lineTo(x + w / 2 + 4, y + h - 4);
+        ctx.lineTo(x + w / 2 - 2, y + h / 2 + 2);
+        ctx.lineTo(x + w / 2 + 2, y + h / 2);
+        ctx.closePath();
+        ctx.fill();
+    },
+    drawActive(ctx, farmer) {
+        ctx.fillStyle = this.color;
+        ctx.globalAlpha = 0.4;
+        ctx.fillRect(farmer.x - 2, farmer.y + 8, 4, 18);
+        ctx.fillRect(farmer.x + farmer.w - 2, farmer.y + 8, 4, 18);
+        ctx.globalAlpha = 1;
+    }
+});
+
+registerPowerUp({
+    type: "scythe",
+    effect: "Scythe",
+    color: "#ff5722",
+    weight: 3,
+    duration: 8,
+    stacking: Stacking.EXTEND,
+    range: 80,
+    apply(farmer) {
+        farmer.hasScythe = true;
+        farmer.scytheRange = this.range + farmer.scytheBonus;
+    },
+    drawIcon(ctx, { x, y, w, h }) {
+        // scythe blade
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(x + w / 2, y + h / 2 - 3, 6, 0, Math.PI, false);
+        ctx.stroke();
+
+        // handle
+        ctx.beginPath();
+        ctx.moveTo(x + w / 2, y + h / 2 + 3);
+        ctx.lineTo(x + w / 2, y + h - 2);
+        ctx.stroke();
+    },
+    drawActive(ctx, farmer) {
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = 2;
+        ctx.globalAlpha = 0.6;
+        ctx.beginPath();
+        ctx.arc(farmer.x + farmer.w / 2, farmer.y + farmer.h / 2, farmer.scytheRange, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+    }
+});
+
+registerPowerUp({
+    type: "magnet",
+    effect: "Crop Magnet",
+    color: "#e91e63",
+    weight: 2,
+    duration: 6,
+    stacking: Stacking.STACK,
+    maxStacks: 3,
+    range: 120,         // px
+    rangePerStack: 40,  // px added by each extra stack
+    pullSpeed: 140,     // px/s
+    reach(effect) {
+        return this.range + (effect.stacks - 1) * this.rangePerStack;
+    },
+    // Drags ripe crops in range towards the farmer (unripe ones stay put —
+    // pulling those in would only cost points). A crop that would be dragged
+    // onto something solid stays where it is, so it can still be picked.
+    apply(farmer, effect, dt, world) {
+        const range = this.reach(effect);
+        const fx = farmer.x + farmer.w / 2, fy = farmer.y + farmer.h / 2;
+        world.cropIndex.queryRadius(fx, fy, range).forEach(crop => {
+            if (crop.dead || crop.value <= 0) return;
+            const dx = fx - (crop.x + crop.w / 2), dy = fy - (crop.y + crop.h / 2);
+            const dist = Math.hypot(dx, dy);
+            if (dist > range || dist < 1) return;
+            const step = Math.min(dist, this.pullSpeed * dt);
+            const to = { x: crop.x + (dx / dist) * step, y: crop.y + (dy / dist) * step, w: crop.w, h: crop.h };
+            if (world.hitsObstacle(to)) return;
+            crop.x = to.x;
+            crop.y = to.y;
+            world.cropIndex.update(crop);
+        });
+    },
+    drawIcon(ctx, { x, y, w, h }) {
+        // horseshoe magnet
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.arc(x + w / 2, y + h / 2, 6, 0, Math.PI, false);
+        ctx.moveTo(x + w / 2 - 6, y + h / 2);
+        ctx.lineTo(x + w / 2 - 6, y + 5);
+        ctx.moveTo(x + w / 2 + 6, y + h / 2);
+        ctx.lineTo(x + w / 2 + 6, y + 5);
+        ctx.stroke();
+    },
+    drawActive(ctx, farmer, effect) {
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = 1;
+        ctx.globalAlpha = 0.35;
+        ctx.setLineDash([4, 6]);
+        ctx.beginPath();
+        ctx.arc(farmer.x + farmer.w / 2, farmer.y + farmer.h / 2, this.reach(effect), 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.globalAlpha = 1;
+    }
+});
+
+registerPowerUp({
+    type: "freeze",
+    effect: "Time Freeze",
+    color: "#42a5f5",
+    weight: 1,
+    duration: 4,
+    stacking: Stacking.EXTEND,
+    // The round clock stops (see World.update); crops keep growing
+    apply(farmer) {
+        farmer.timeFrozen = true;
+    },
+    drawIcon(ctx, { x, y, w, h }) {
+        // snowflake: three crossed lines
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let i = 0; i < 3; i++) {
+            const a = (i * Math.PI) / 3;
+            ctx.moveTo(x + w / 2 - Math.cos(a) * 7, y + h / 2 - Math.sin(a) * 7);
+            ctx.lineTo(x + w / 2 + Math.cos(a) * 7, y + h / 2 + Math.sin(a) * 7);
+        }
+        ctx.stroke();
+    }
+});
+
+registerPowerUp({
+    type: "double",
+    effect: "Double Points",
+    color: "#fbc02d",
+    weight: 2,
+    duration: 6,
+    stacking: Stacking.REFRESH,
+    apply(farmer) {
+        farmer.scoreMultiplier = 2;
+    },
+    drawIcon(ctx, { x, y, w, h }) {
+        ctx.fillStyle = "#5d4037";
+        ctx.font = "bold 11px system-ui, sans-serif";
+        ctx.textAlign = "center";
+        ctx.fillText("×2", x + w / 2, y + h / 2 + 4);
+        ctx.textAlign = "left";
+    },
+    drawActive(ctx, farmer) {
+        ctx.fillStyle = this.color;
+        ctx.font = "bold 11px system-ui, sans-serif";
+        ctx.fillText("×2", farmer.x + farmer.w + 2, farmer.y + 4);
+    }
+});
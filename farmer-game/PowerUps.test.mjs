@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Power-up checks — run with `node --test` in this folder
+ *
+ * Stacking rules, and the magnet and scythe against the rest of the field.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { World } from './World.js';
+import { Crop, GrowthStage, PowerUp, Scarecrow } from './Crop.js';
+import { getPowerUp } from './PowerUps.js';
+
+const DT = 1 / 60;
+
+/**
+ * A started world with nothing spawning, so only what a test places is on the field
+ */
+function quietWorld() {
+    const world = new World({ seed: 1 });
+    world.start(1);
+    world.spawnCrop = () => {};
+    world.spawnPowerUp = () => {};
+    return world;
+}
+
+/**
+ * Pick the same type up `times` times; returns the farmer's effect for it
+ */
+function pickUp(farmer, type, times) {
+    for (let i = 0; i < times; i++) farmer.addPowerUp(new PowerUp(0, 0, type));
+    return farmer.activePowerUps.get(type);
+}
+
+test("each type stacks the way it's registered to", () => {
+    const { player: farmer } = quietWorld();
+    const speed = pickUp(farmer, "speed", 1);
+    speed.timeLeft = 1;
+    pickUp(farmer, "speed", 1);
+    assert.equal(speed.timeLeft, getPowerUp("speed").duration);   // refresh
+
+    const scythe = pickUp(farmer, "scythe", 2);
+    assert.equal(scythe.timeLeft, getPowerUp("scythe").duration * 2);   // extend
+
+    const magnet = pickUp(farmer, "magnet", 5);
+    assert.equal(magnet.stacks, getPowerUp("magnet").maxStacks);   // stack, up to a cap
+});
+
+test("the magnet pulls ripe crops in, but never onto an obstacle", () => {
+    const world = quietWorld();
+    const farmer = world.player;
+    pickUp(farmer, "magnet", 1);
+
+    const free = new Crop(farmer.x - 100, farmer.y, "wheat", world.rng);
+    const stuck = new Crop(farmer.x + 110, farmer.y, "wheat", world.rng);
+    [free, stuck].forEach(crop => {
+        crop.stage = GrowthStage.RIPE;
+        world.addCrop(crop);
+    });
+    world.addObstacle(new Scarecrow(farmer.x + 60, farmer.y - 6));   // between the farmer and `stuck`
+    const start = stuck.x;
+
+    for (let i = 0; i < 60; i++) {
+        world.crops.forEach(c => { c.stageTime = 0; });   // keep them ripe
+        world.update(DT);
+        assert.ok(!world.hitsObstacle(stuck));
+    }
+    assert.ok(free.dead);                // reached the farmer and got picked
+    assert.ok(!stuck.dead);
+    assert.ok(stuck.x < start);          // pulled up to the scarecrow...
+    assert.ok(stuck.x > farmer.x + 60);  // ...and no further
+});
+
+test("the scythe's ring is drawn at the reach it harvests with", () => {
+    const world = quietWorld();
+    const farmer = world.player;
+    pickUp(farmer, "scythe", 1);
+    world.update(DT);
+    assert.ok(farmer.scytheRange > 0);
+
+    const radii = [];
+    const ctx = { beginPath() {}, stroke() {}, arc: (x, y, r) => radii.push(r) };
+    getPowerUp("scythe").drawActive(ctx, farmer, farmer.activePowerUps.get("scythe"));
+    assert.deepEqual(radii, [farmer.scytheRange]);
+});
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Coins, shop upgrades and saved farmer progression
+ *
+ * When a live round ends its points are paid out as coins (COINS_PER_POINT).
+ * Between rounds the shop (ShopView.js) spends them on permanent upgrades,
+ * saved in localStorage until the player resets their progress.
+ *
+ * Upgrades change the simulation (farmer speed, power-up timers, crop odds),
+ * so World takes the current levels as its `upgrades` option — a plain
+ * { id: level } object — and replays record it alongside the seed.
+ */
+
+import { VersionedStore } from './Storage.js';
+
+export const COINS_PER_POINT = 1;
+
+/**
+ * Everything the shop sells. `cost` is for the first level; each level after
+ * that costs one more `cost` (20, 40, 60...). `step` is what one level adds.
+ */
+export const UPGRADES = Object.freeze({
+    speed: { name: "Sturdy Boots", description: "Walk 6% faster", maxLevel: 5, cost: 20, step: 0.06 },
+    powerUpTime: { name: "Lasting Charms", description: "Power-ups last 10% longer", maxLevel: 5, cost: 25, step: 0.1 },
+    scytheRange: { name: "Long Scythe", description: "Scythe reaches 10 px further", maxLevel: 4, cost: 30, step: 10 },
+    goldenOdds: { name: "Golden Orchard", description: "Golden apples 25% more likely", maxLevel: 4, cost: 40, step: 0.25 }
+});
+
+export const upgradeCost = (id, level) => UPGRADES[id].cost * (level + 1);
+
+const levelOf = (upgrades, id) => upgrades[id] || 0;
+
+/**
+ * Throw if an { id: level } object isn't something the shop could have sold
+ */
+export function checkUpgrades(upgrades) {
+    if (!upgrades || typeof upgrades !== "object" || Array.isArray(upgrades)) throw new Error("Upgrades must be an object of { id: level }");
+    Object.entries(upgrades).forEach(([id, level]) => {
+        if (!UPGRADES[id]) throw new Error(`Unknown upgrade "${id}" (known: ${Object.keys(UPGRADES).join(", ")})`);
+        if (!Number.isInteger(level) || level < 0 || level > UPGRADES[id].maxLevel) {
+            throw new Error(`Upgrade "${id}" level must be 0–${UPGRADES[id].maxLevel}`);
+        }
+    });
+    return upgrades;
+}
+
+/**
+ * Give a fresh farmer its permanent upgrades (World.createPlayers calls this)
+ */
+export function applyUpgrades(farmer, upgrades) {
+    farmer.baseSpeed *= 1 + levelOf(upgrades, "speed") * UPGRADES.speed.step;
+    farmer.powerUpTimeScale = 1 + levelOf(upgrades, "powerUpTime") * UPGRADES.powerUpTime.step;
+    farmer.scytheBonus = levelOf(upgrades, "scytheRange") * UPGRADES.scytheRange.step;
+    farmer.resetModifiers();
+}
+
+/**
+ * A level's crop odds with the golden apple weight boosted
+ */
+export function upgradeCropOdds(odds, upgrades) {
+    const level = levelOf(upgrades, "goldenOdds");
+    if (!level || !odds.goldenApple) return odds;
+    return { ...odds, goldenApple: odds.goldenApple * (1 + level * UPGRADES.goldenOdds.step) };
+}
+
+/**
+ * The player's saved coins and upgrade levels
+ */
+export class Progression {
+    constructor({ storage } = {}) {
+        this.store = new VersionedStore("farmerHarvest.progress", {
+            version: 1,
+            defaults: () => ({ coins: 0, upgrades: {} }),
+            validate: data => {
+                if (!data || !Number.isInteger(data.coins) || data.coins < 0) return false;
+                try {
+                    checkUpgrades(data.upgrades);
+                    return true;
+                } catch (err) {
+                    return false;
+                }
+            },
+            storage
+        });
+        this.data = this.store.load();
+    }
+
+    get coins() {
+        return this.data.coins;
+    }
+
+    /**
+     * Current levels as a copy (for World / replays, so later purchases don't leak in)
+     */
+    get upgrades() {
+        return { ...this.data.upgrades };
+    }
+
+    level(id) {
+        return levelOf(this.data.upgrades, id);
+    }
+
+    /**
+     * Price of the next level, or null when maxed out
+     */
+    cost(id) {
+        const level = this.level(id);
+        return level < UPGRADES[id].maxLevel ? upgradeCost(id, level) : null;
+    }
+
+    canBuy(id) {
+        const cost = this.cost(id);
+        return cost !== null && cost <= this.data.coins;
+    }
+
+    /**
+     * Spend coins on the next level of an upgrade. False if maxed out or too expensive.
+     */
+    buy(id) {
+        if (!UPGRADES[id]) throw new Error(`Unknown upgrade "${id}"`);
+        if (!this.canBuy(id)) return false;
+        this.data.coins -= this.cost(id);
+        this.data.upgrades[id] = this.level(id) + 1;
+        this.store.save(this.data);
+        return true;
+    }
+
+    /**
+     * Pay out a round's points. Returns the coins earned.
+     */
+    earn(points) {
+        const coins = Math.max(0, Math.floor(points * COINS_PER_POINT));
+        this.data.coins += coins;
+        this.store.save(this.data);
+        return coins;
+    }
+
+    reset() {
+        this.data = { coins: 0, upgrades: {} };
+        this.store.clear();
+    }
+}
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Seedable random number generator (mulberry32)
+ *
+ * Has the same `random()` method as `Math`, so anything that takes a random
+ * source can be handed either one. Same seed = same sequence, every time.
+ */
+
+/**
+ * Pick a fresh seed for a new round.
+ */
+export const randomSeed = () => (Math.random() * 0x100000000) >>> 0;
+
+export class Random {
+    constructor(seed = randomSeed()) {
+        this.reseed(seed);
+    }
+
+    /**
+     * Start the sequence over from a (new) seed
+     */
+    reseed(seed) {
+        this.seed = seed >>> 0;
+        this._state = this.seed;
+    }
+
+    /**
+     * Float in [0, 1) — drop-in for Math.random()
+     */
+    random() {
+        let t = (this._state = (this._state + 0x6d2b79f5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Whole number in [0, n)
+     */
+    int(n) {
+        return Math.floor(this.random() * n);
+    }
+
+    /**
+     * Random item from a list
+     */
+    pick(list) {
+        return list[this.int(list.length)];
+    }
+}
@@ -0,0 +1,272 @@
+/**
+ * @fileoverview Input recording and deterministic replay
+ *
+ * A replay is just the round's seed plus how the farmers were steered and how
+ * long each frame took. Because World is deterministic (see World.js), feeding that back
+ * through `World.update` gives the exact same run, score and ending.
+ *
+ * Log format (version 6, plain JSON):
+ *   {
+ *     version: 6,
+ *     seed:    1234,
+ *     level:   0,                        // which level (index) was played
+ *     mode:    "solo",                   // GameMode (solo / coop / versus)
+ *     upgrades: { speed: 2 },            // shop upgrade levels the round was played with
+ *     delivery: false,                   // barn delivery round (see Basket.js)
+ *     difficulty: { preset: "easy", time: 1.25, ... },  // see Difficulty.js
+ *     steps:   [[dtTicks, count], ...],  // frame lengths, run-length encoded
+ *     inputs:  [[frame, [x, y, ...]], ...], // every farmer's move (P1 x, P1 y, P2 x, P2 y),
+ *                                        // only when one of them changes
+ *     result:  { state, score, frames } // how the recorded run ended
+ *   }
+ * dt is stored in whole ticks of 0.1ms so it survives the JSON round-trip exactly.
+ * Older logs are upgraded on load: version 1 stored held arrow keys instead of
+ * move axes, version 2 was always a solo game, version 3 had no upgrades and
+ * version 4 had no delivery rounds and version 5 was always Normal difficulty.
+ */
+
+import { World, GameMode, playerCount, isRoundOver } from './World.js';
+import { checkUpgrades } from './Progression.js';
+import { NORMAL_DIFFICULTY, checkDifficulty } from './Difficulty.js';
+
+export const REPLAY_VERSION = 6;
+const TICKS_PER_SECOND = 10000;
+
+/**
+ * Round a frame time to what the log can store.
+ * The live game has to step with this value too, or the replay drifts.
+ */
+export const quantizeDt = dt => Math.round(dt * TICKS_PER_SECOND) / TICKS_PER_SECOND;
+
+/**
+ * v1 → v2: held arrow keys become a move vector
+ */
+const movesFromKeys = keys => [
+    keys.includes("ArrowRight") - keys.includes("ArrowLeft"),
+    keys.includes("ArrowDown") - keys.includes("ArrowUp")
+];
+
+/**
+ * Records a live round, one call per World.update
+ */
+export class ReplayRecorder {
+    constructor(seed, level = 0, mode = GameMode.SOLO, upgrades = {}, delivery = false, difficulty = NORMAL_DIFFICULTY) {
+        this.seed = seed;
+        this.level = level;
+        this.mode = mode;
+        this.upgrades = upgrades;
+        this.delivery = delivery;
+        this.difficulty = difficulty;
+        this.steps = [];
+        this.inputs = [];
+        this.frames = 0;
+        this.result = null;
+        this._lastMoves = [];
+    }
+
+    /**
+     * Note this frame's move vectors (one per farmer) and length.
+     * Returns the (quantized) dt the caller should step the world with.
+     */
+    record(moves, dt) {
+        const q = quantizeDt(dt);
+        const ticks = Math.round(q * TICKS_PER_SECOND);
+
+        const flat = moves.flatMap(m => [m.x, m.y]);
+        if (this.frames === 0 || flat.some((v, i) => v !== this._lastMoves[i])) {
+            this._lastMoves = flat;
+            this.inputs.push([this.frames, flat]);
+        }
+
+        const last = this.steps[this.steps.length - 1];
+        if (last && last[0] === ticks) last[1]++;
+        else this.steps.push([ticks, 1]);
+
+        this.frames++;
+        return q;
+    }
+
+    /**
+     * Stamp how the round ended so playback can be checked against it
+     */
+    finish(world) {
+        this.result = { state: world.state, score: world.score, frames: this.frames };
+    }
+
+    toJSON() {
+        return {
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            level: this.level,
+            mode: this.mode,
+            upgrades: this.upgrades,
+            delivery: this.delivery,
+            difficulty: this.difficulty,
+            steps: this.steps,
+            inputs: this.inputs,
+            result: this.result
+        };
+    }
+}
+
+/**
+ * Parse + sanity-check a replay log (JSON text or an already parsed object).
+ * Throws an Error saying what's wrong with it.
+ */
+export function parseReplay(source) {
+    let log = source;
+    if (typeof source === "string") {
+        try {
+            log = JSON.parse(source);
+        } catch (err) {
+            throw new Error(`Replay is not valid JSON: ${err.message}`);
+        }
+    }
+
+    if (!log || typeof log !== "object") throw new Error("Replay must be an object");
+    if (log.version === 1 && Array.isArray(log.inputs)) {
+        log = { ...log, version: 2, inputs: log.inputs.map(i => [i[0], Array.isArray(i[1]) ? movesFromKeys(i[1]) : i[1]]) };
+    }
+    if (log.version === 2) log = { ...log, version: 3, mode: GameMode.SOLO };
+    if (log.version === 3) log = { ...log, version: 4, upgrades: {} };
+    if (log.version === 4) log = { ...log, version: 5, delivery: false };
+    if (log.version === 5) log = { ...log, version: 6, difficulty: { ...NORMAL_DIFFICULTY } };
+    if (log.version !== REPLAY_VERSION) throw new Error(`Unsupported replay version: ${log.version}`);
+    if (!Object.values(GameMode).includes(log.mode)) throw new Error(`Unknown replay mode: ${log.mode}`);
+    try {
+        checkUpgrades(log.upgrades);
+    } catch (err) {
+        throw new Error(`Replay upgrades are invalid: ${err.message}`);
+    }
+    if (typeof log.delivery !== "boolean") throw new Error("Replay delivery must be true or false");
+    try {
+        checkDifficulty(log.difficulty);
+    } catch (err) {
+        throw new Error(`Replay difficulty is invalid: ${err.message}`);
+    }
+    if (!Number.isInteger(log.seed)) throw new Error("Replay seed must be an integer");
+    if (log.level !== undefined && (!Number.isInteger(log.level) || log.level < 0)) {
+        throw new Error("Replay level must be a level index (0 or more)");
+    }
+    if (!Array.isArray(log.steps) || !log.steps.every(s =>
+        Array.isArray(s) && Number.isInteger(s[0]) && s[0] >= 0 && Number.isInteger(s[1]) && s[1] > 0)) {
+        throw new Error("Replay steps must be [dtTicks, count] pairs");
+    }
+    const isAxis = v => typeof v === "number" && v >= -1 && v <= 1;
+    const axes = playerCount(log.mode) * 2;
+    if (!Array.isArray(log.inputs) || !log.inputs.every(i =>
+        Array.isArray(i) && Number.isInteger(i[0]) && Array.isArray(i[1]) && i[1].length === axes && i[1].every(isAxis))) {
+        throw new Error(`Replay inputs must be [frame, [x, y, ...]] pairs with ${axes} axes between -1 and 1`);
+    }
+    return log;
+}
+
+/**
+ * Plays a log back through its own World.
+ * Supports pause, speed-up and single-frame stepping.
+ * Pass the same `levels` the round was recorded with if they weren't the defaults.
+ * Pass `events` to hear the replayed round's gameplay events (see Events.js).
+ */
+export class ReplayPlayer {
+    constructor(log, { levels, events } = {}) {
+        this.log = parseReplay(log);
+        this.inputs = Array.from({ length: playerCount(this.log.mode) }, () => ({ move: { x: 0, y: 0 } }));
+        this.world = new World({ seed: this.log.seed, inputs: this.inputs, levels, mode: this.log.mode, events,
+            upgrades: this.log.upgrades, delivery: this.log.delivery, difficulty: this.log.difficulty });
+        if (this.log.level >= this.world.levels.length) {
+            throw new Error(`Replay is for level ${this.log.level + 1}, but only ${this.world.levels.length} levels exist`);
+        }
+        this.world.goToLevel(this.log.level || 0);
+        this.world.start(this.log.seed);
+
+        this.totalFrames = this.log.steps.reduce((sum, [, count]) => sum + count, 0);
+        this.frame = 0;
+        this.paused = false;
+        this.speed = 1;
+
+        this._accum = 0;
+        this._stepIndex = 0;  // which [ticks, count] run we're in
+        this._stepUsed = 0;   // frames used from that run
+        this._inputIndex = 0;
+    }
+
+    get done() {
+        return this.frame >= this.totalFrames;
+    }
+
+    /**
+     * Length of the next frame in seconds
+     */
+    nextDt() {
+        const run = this.log.steps[this._stepIndex];
+        return run ? run[0] / TICKS_PER_SECOND : 0;
+    }
+
+    /**
+     * Advance exactly one recorded frame. Returns false once the log runs out.
+     */
+    step() {
+        if (this.done) return false;
+
+        // Apply any input changes recorded for this frame
+        const inputs = this.log.inputs;
+        while (this._inputIndex < inputs.length && inputs[this._inputIndex][0] <= this.frame) {
+            const axes = inputs[this._inputIndex][1];
+            this.inputs.forEach((input, i) => { input.move = { x: axes[i * 2], y: axes[i * 2 + 1] }; });
+            this._inputIndex++;
+        }
+
+        this.world.update(this.nextDt());
+
+        this.frame++;
+        if (++this._stepUsed >= this.log.steps[this._stepIndex][1]) {
+            this._stepIndex++;
+            this._stepUsed = 0;
+        }
+        return true;
+    }
+
+    /**
+     * Move playback forward by real elapsed time (scaled by `speed`)
+     */
+    advance(realDt) {
+        if (this.paused || this.done) return;
+        this._accum += realDt * this.speed;
+        while (!this.done && this._accum >= this.nextDt()) {
+            this._accum -= this.nextDt();
+            this.step();
+        }
+    }
+
+    togglePause() {
+        this.paused = !this.paused;
+    }
+
+    setSpeed(speed) {
+        this.speed = Math.max(0, speed);
+    }
+
+    /**
+     * Play everything left in one go and report how it ended
+     */
+    runToEnd() {
+        while (this.step());
+        return { state: this.world.state, score: this.world.score, frames: this.frame };
+    }
+}
+
+/**
+ * Re-simulate a log headlessly and compare with the result it claims.
+ * Handy for checking high scores.
+ */
+export function verifyReplay(log, options) {
+    const player = new ReplayPlayer(log, options);
+    const actual = player.runToEnd();
+    const expected = player.log.result;
+    const ok = !!expected &&
+        expected.state === actual.state &&
+        expected.score === actual.score &&
+        expected.frames === actual.frames &&
+        isRoundOver(actual.state);
+    return { ok, expected, actual };
+}
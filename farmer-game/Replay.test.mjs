@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Replay checks — run with `node --test` in this folder
+ *
+ * A recorded round has to survive the JSON round-trip and play back to the
+ * very same ending, and a log that claims a different result must fail.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { World, GameMode, isRoundOver } from './World.js';
+import { ReplayRecorder, ReplayPlayer, verifyReplay } from './Replay.js';
+
+const DT = 1 / 60;
+
+// Moves held in turn, a second or so each, for a scripted round
+const PATTERN = [[0, -1], [-1, -1], [-0.5, 0], [0, 1], [1, 0], [0, 0], [0.7, -0.7]];
+
+/**
+ * Record one whole round from `seed`, moves following PATTERN (player 2
+ * mirrors player 1); returns the world and the parsed log
+ */
+function recordRound(seed, mode = GameMode.SOLO) {
+    const inputs = [{ move: { x: 0, y: 0 } }, { move: { x: 0, y: 0 } }];
+    const world = new World({ seed, inputs, mode });
+    world.start(seed);
+    const recorder = new ReplayRecorder(seed, world.levelIndex, mode);
+    for (let frame = 0; !isRoundOver(world.state); frame++) {
+        const [x, y] = PATTERN[Math.floor(frame / 70) % PATTERN.length];
+        inputs[0].move = { x, y };
+        inputs[1].move = { x: -x, y };
+        const moves = world.players.map((p, i) => inputs[i].move);
+        world.update(recorder.record(moves, DT + (frame % 3) * 0.001));
+    }
+    recorder.finish(world);
+    return { world, log: JSON.parse(JSON.stringify(recorder)) };
+}
+
+test("a recorded round replays to the same result", () => {
+    const { world, log } = recordRound(7);
+    const check = verifyReplay(log);
+    assert.ok(check.ok, `expected ${JSON.stringify(check.expected)}, got ${JSON.stringify(check.actual)}`);
+
+    const player = new ReplayPlayer(log);
+    player.runToEnd();
+    assert.equal(player.world.score, world.score);
+    assert.equal(player.world.state, world.state);
+    assert.deepEqual([player.world.player.x, player.world.player.y], [world.player.x, world.player.y]);
+});
+
+test("two-player rounds replay too", () => {
+    [GameMode.COOP, GameMode.VERSUS].forEach(mode => {
+        const { world, log } = recordRound(11, mode);
+        assert.equal(log.mode, mode);
+        const player = new ReplayPlayer(log);
+        player.runToEnd();
+        assert.deepEqual(player.world.players.map(p => [p.x, p.y, p.score]), world.players.map(p => [p.x, p.y, p.score]));
+        assert.ok(verifyReplay(log).ok);
+    });
+});
+
+test("a log whose result doesn't match its inputs fails", () => {
+    const { log } = recordRound(7);
+    log.result.score += 1;
+    assert.ok(!verifyReplay(log).ok);
+});
+
+test("version 1 logs (held arrow keys) play back as the same moves", () => {
+    const play = log => {
+        const player = new ReplayPlayer(log);
+        player.runToEnd();
+        return [player.world.player.x, player.world.player.y, player.world.score];
+    };
+    const steps = [[167, 600]];
+    const v1 = { version: 1, seed: 5, level: 0, steps, inputs: [[0, ["ArrowUp"]], [100, ["ArrowDown", "ArrowLeft"]]], result: null };
+    const v2 = { version: 2, seed: 5, level: 0, steps, inputs: [[0, [0, -1]], [100, [-1, 1]]], result: null };
+    assert.deepEqual(play(v1), play(v2));
+    assert.notDeepEqual(play(v1), play({ ...v2, inputs: [] }));   // and they did move the farmer
+});
@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Settings menu — difficulty presets and the Custom values, as a keyboard-friendly dialog
+ *
+ * Opened with the Settings button between rounds. Everything in it works from
+ * the keyboard: Tab / Shift+Tab move through it (and wrap around inside it),
+ * the arrow keys pick a preset or nudge a slider, Esc or Done closes it and
+ * hands focus back to the Settings button. The game's own keys are switched
+ * off while it's open so arrows don't walk the farmer.
+ *
+ * Picking a preset fills in the sliders; moving a slider switches to Custom.
+ * DifficultySettings saves every change and `onChange` tells Game, which
+ * starts over from the menu with the new difficulty (like switching modes).
+ */
+
+import { DIFFICULTY_PRESETS, DIFFICULTY_LIMITS, CUSTOM } from './Difficulty.js';
+import { t } from './I18n.js';
+
+// Difficulty value → slider id (shown in percent; its readout is `<id>Value`)
+const SLIDERS = Object.freeze({
+    time: "diffTime",
+    goal: "diffGoal",
+    cropSpawn: "diffCropSpawn",
+    speed: "diffSpeed",
+    scarecrows: "diffScarecrows"
+});
+
+const PRESET_IDS = Object.freeze([...Object.keys(DIFFICULTY_PRESETS), CUSTOM]);
+
+const FOCUSABLE = "button:not([disabled]), input:not([disabled]), select:not([disabled])";
+
+export class SettingsView {
+    /**
+     * @param {import('./Difficulty.js').DifficultySettings} settings
+     * @param {import('./Controls.js').Controls} controls
+     * @param {Function} onChange called after the difficulty changed
+     */
+    constructor(settings, controls, onChange) {
+        this.settings = settings;
+        this.controls = controls;
+        this.onChange = onChange;
+
+        const get = id => document.getElementById(id) || console.error(`#${id} not found`);
+        this.el = {
+            open: get("btnSettings"),
+            menu: get("settingsMenu"),
+            presets: get("difficultyPresets"),
+            powerUps: get("diffPowerUps"),
+            done: get("btnSettingsDone"),
+            ...Object.fromEntries(Object.entries(SLIDERS).map(([key, id]) => [key, get(id)])),
+        };
+        this.radios = this.buildPresets();
+
+        Object.entries(SLIDERS).forEach(([key, id]) => {
+            const slider = this.el[key];
+            if (!slider) return;
+            slider.min = String(DIFFICULTY_LIMITS[key].min * 100);
+            slider.max = String(DIFFICULTY_LIMITS[key].max * 100);
+            slider.addEventListener("input", () => this.showValue(key, slider.value));
+            slider.addEventListener("change", () => this.change(() => this.settings.setValue(key, slider.value / 100)));
+        });
+        if (this.el.powerUps) this.el.powerUps.addEventListener("change", () =>
+            this.change(() => this.settings.setValue("powerUps", this.el.powerUps.checked)));
+
+        if (this.el.open) this.el.open.addEventListener("click", () => this.open());
+        if (this.el.done) this.el.done.addEventListener("click", () => this.close());
+        if (this.el.menu) this.el.menu.addEventListener("keydown", (e) => this.onKeyDown(e));
+
+        this.render();
+    }
+
+    get isOpen() {
+        return !!this.el.menu && !this.el.menu.hidden;
+    }
+
+    /**
+     * One radio button per preset (+ Custom) in #difficultyPresets; render() fills in their names
+     */
+    buildPresets() {
+        const box = this.el.presets;
+        if (!box) return {};
+        box.replaceChildren();
+        return Object.fromEntries(PRESET_IDS.map(id => {
+            const label = document.createElement("label");
+            const name = document.createElement("span");
+            const radio = document.createElement("input");
+            radio.type = "radio";
+            radio.name = "difficultyPreset";
+            radio.value = id;
+            radio.addEventListener("change", () => {
+                if (radio.checked) this.change(() => this.settings.setPreset(id));
+            });
+            label.append(radio, " ", name);
+            box.appendChild(label);
+            return [id, radio];
+        }));
+    }
+
+    change(apply) {
+        apply();
+        this.render();
+        if (this.onChange) this.onChange();
+    }
+
+    open() {
+        if (!this.el.menu || this.isOpen) return;
+        this.render();
+        this.el.menu.hidden = false;
+        this.controls.keyboard.enabled = false;
+        const checked = this.radios[this.settings.preset];
+        if (checked) checked.focus();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.el.menu.hidden = true;
+        this.controls.keyboard.enabled = true;
+        if (this.el.open) this.el.open.focus();
+    }
+
+    /**
+     * The menu can only be opened between rounds; closes it if a round starts
+     */
+    setEnabled(enabled) {
+        if (this.el.open) this.el.open.disabled = !enabled;
+        if (!enabled) this.close();
+    }
+
+    /**
+     * Esc closes; Tab wraps around inside the menu instead of leaving it
+     */
+    onKeyDown(e) {
+        if (e.key === "Escape") {
+            e.preventDefault();
+            this.close();
+            return;
+        }
+        if (e.key !== "Tab") return;
+        const items = [...this.el.menu.querySelectorAll(FOCUSABLE)]
+            .filter(el => el.type !== "radio" || el.checked); // a radio group is one Tab stop
+        if (!items.length) return;
+        const first = items[0], last = items[items.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    showValue(key, percent) {
+        const readout = document.getElementById(`${SLIDERS[key]}Value`);
+        if (readout) readout.textContent = t("settings.percent", { n: Math.round(percent) });
+    }
+
+    render() {
+        const difficulty = this.settings.difficulty;
+        Object.entries(this.radios).forEach(([id, radio]) => {
+            radio.checked = id === this.settings.preset;
+            radio.nextElementSibling.textContent = t(`difficulty.${id}`);
+        });
+        Object.keys(SLIDERS).forEach(key => {
+            const percent = Math.round(difficulty[key] * 100);
+            if (this.el[key]) this.el[key].value = String(percent);
+            this.showValue(key, percent);
+        });
+        if (this.el.powerUps) this.el.powerUps.checked = difficulty.powerUps;
+    }
+}
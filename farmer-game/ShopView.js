@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Between-round shop — coins, upgrade list and reset-progress button
+ *
+ * Thin DOM layer over Progression. Game opens it whenever no round is being
+ * played (menu, level cleared, game over) and closes it during play, so
+ * upgrades only change between rounds.
+ */
+
+import { UPGRADES } from './Progression.js';
+import { t } from './I18n.js';
+
+export class ShopView {
+    /**
+     * @param {import('./Progression.js').Progression} progression
+     */
+    constructor(progression) {
+        this.progression = progression;
+        this.lastEarned = null; // coins from the round that just ended
+
+        const get = id => document.getElementById(id) || console.error(`#${id} not found`);
+        this.el = {
+            shop: get("shop"),
+            coins: get("coins"),
+            earned: get("coinsEarned"),
+            list: get("shopList"),
+            reset: get("btnResetProgress"),
+        };
+
+        if (this.el.reset) this.el.reset.addEventListener("click", () => {
+            if (!window.confirm(t("shop.confirmReset"))) return;
+            this.progression.reset();
+            this.lastEarned = null;
+            this.render();
+        });
+
+        this.render();
+    }
+
+    setOpen(open) {
+        if (this.el.shop) this.el.shop.hidden = !open;
+    }
+
+    /**
+     * A round paid out: show what it earned
+     */
+    showEarned(coins) {
+        this.lastEarned = coins;
+        this.render();
+    }
+
+    buy(id) {
+        if (this.progression.buy(id)) this.render();
+    }
+
+    render() {
+        const progression = this.progression;
+        if (this.el.coins) this.el.coins.textContent = String(progression.coins);
+        if (this.el.earned) {
+            this.el.earned.hidden = this.lastEarned === null;
+            this.el.earned.textContent = this.lastEarned === null ? "" : t("shop.earned", { n: this.lastEarned });
+        }
+
+        const list = this.el.list;
+        if (!list) return;
+        list.replaceChildren();
+        Object.entries(UPGRADES).forEach(([id, upgrade]) => {
+            const item = document.createElement("li");
+            const level = progression.level(id);
+            const cost = progression.cost(id);
+            const name = t(`upgrade.${id}`, {}, upgrade.name);
+
+            const text = document.createElement("span");
+            text.textContent = t("shop.item", { name, level, max: upgrade.maxLevel,
+                description: t(`upgrade.${id}.description`, {}, upgrade.description) });
+
+            const button = document.createElement("button");
+            button.type = "button";
+            button.textContent = cost === null ? t("shop.maxed") : t("shop.buy", { n: cost });
+            button.disabled = !progression.canBuy(id);
+            button.setAttribute("aria-label", t("shop.buyLabel", { name, level: level + 1 }));
+            button.addEventListener("click", () => this.buy(id));
+
+            item.append(text, button);
+            list.appendChild(item);
+        });
+    }
+}
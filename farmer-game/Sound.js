@@ -0,0 +1,290 @@
+/**
+ * @fileoverview Sound effects and music (Web Audio)
+ *
+ *   effects bus ─┐
+ *                ├─ master (volume, mute) → speakers
+ *   music bus  ──┘
+ *
+ * Every sound is synthesized with oscillators unless SOUND_FILES names a file
+ * for it, in which case that file is played instead (a file that fails to
+ * load falls back to the synthesized version). Sounds are triggered from the
+ * gameplay event bus (see Events.js), so replays have sound too.
+ *
+ * Browsers only let a page start audio after the user has interacted with it:
+ * nothing is created until unlock(), which Game calls from the first click on
+ * #btnStart. Until then play() quietly does nothing. Volumes and mute are
+ * saved in localStorage.
+ */
+
+import { VersionedStore } from './Storage.js';
+import { GameEvent } from './Events.js';
+import { State } from './World.js';
+
+/**
+ * Sound name → audio file URL, for real recordings instead of synthesized
+ * ones (e.g. harvest: "assets/sfx/harvest.ogg", music: "assets/music.ogg").
+ * Names: harvest, penalty, bonus, powerUp, powerDown, tick, win, lose, music.
+ */
+export const SOUND_FILES = Object.freeze({});
+
+export const DEFAULT_SOUND_SETTINGS = Object.freeze({
+    master: 0.8,
+    music: 0.5,
+    effects: 0.8,
+    muted: false
+});
+
+// Harvest blip pitch per crop type (1 = base note); unknown types use 1
+const HARVEST_PITCH = Object.freeze({
+    wheat: 1,
+    pumpkin: 0.75,
+    goldenApple: 1.5
+});
+
+// Smoothing for volume changes (seconds) so sliders don't click
+const RAMP = 0.02;
+
+/**
+ * One oscillator note with a quick attack and exponential fade
+ * @param {object} note { type, freq, to (glide target), at (start offset s), duration, volume }
+ */
+function tone(ctx, out, { type = "sine", freq, to = freq, at = 0, duration = 0.15, volume = 0.3 }) {
+    const start = ctx.currentTime + at;
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.type = type;
+    osc.frequency.setValueAtTime(freq, start);
+    if (to !== freq) osc.frequency.exponentialRampToValueAtTime(to, start + duration);
+    gain.gain.setValueAtTime(0.0001, start);
+    gain.gain.exponentialRampToValueAtTime(volume, start + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+    osc.connect(gain).connect(out);
+    osc.start(start);
+    osc.stop(start + duration + 0.02);
+}
+
+// Synthesized effects: (ctx, out, pitch) => void
+const SYNTHS = Object.freeze({
+    harvest: (ctx, out, pitch) => tone(ctx, out, { type: "sine", freq: 660 * pitch, to: 990 * pitch, duration: 0.12 }),
+    penalty: (ctx, out) => tone(ctx, out, { type: "square", freq: 220, to: 150, duration: 0.18, volume: 0.15 }),
+    bonus: (ctx, out) => [988, 1319].forEach((freq, i) =>
+        tone(ctx, out, { type: "square", freq, at: i * 0.08, duration: 0.1, volume: 0.12 })),
+    powerUp: (ctx, out) => [523, 659, 784].forEach((freq, i) =>
+        tone(ctx, out, { type: "triangle", freq, at: i * 0.06, duration: 0.12 })),
+    deliver: (ctx, out) => [392, 523, 659].forEach((freq, i) =>
+        tone(ctx, out, { type: "sine", freq, at: i * 0.05, duration: 0.15, volume: 0.2 })),
+    powerDown: (ctx, out) => tone(ctx, out, { type: "triangle", freq: 784, to: 392, duration: 0.3, volume: 0.2 }),
+    tick: (ctx, out, pitch) => tone(ctx, out, { type: "square", freq: 1000 * pitch, duration: 0.05, volume: 0.1 }),
+    win: (ctx, out) => [523, 659, 784, 1047].forEach((freq, i) =>
+        tone(ctx, out, { type: "triangle", freq, at: i * 0.12, duration: i === 3 ? 0.5 : 0.15 })),
+    lose: (ctx, out) => [392, 330, 262].forEach((freq, i) =>
+        tone(ctx, out, { type: "sawtooth", freq, at: i * 0.2, duration: 0.3, volume: 0.12 }))
+});
+
+// Background tune when there's no music file: a looping pentatonic riff over a bass note
+const MUSIC_BEAT = 0.25; // seconds per step
+const MUSIC_MELODY = [392, 440, 523, 440, 587, 523, 440, 392, 330, 392, 440, 392, 330, 294, 330, null];
+const MUSIC_BASS = [131, 131, 175, 196];   // one per 4 steps
+const MUSIC_LOOKAHEAD = 0.3;                // schedule this far ahead (s)
+
+// A saved volume the gain nodes can take as-is (setVolume clamps to the same range)
+const isVolume = v => Number.isFinite(v) && v >= 0 && v <= 1;
+
+export class SoundSystem {
+    /**
+     * @param {object} [options]
+     * @param {Object<string, string>} [options.files] sound name → URL (SOUND_FILES)
+     * @param {Storage} [options.storage] where volumes are saved (localStorage by default)
+     */
+    constructor({ files = SOUND_FILES, storage } = {}) {
+        this.files = files;
+        this.store = new VersionedStore("farmerHarvest.sound", {
+            version: 1,
+            defaults: () => ({ ...DEFAULT_SOUND_SETTINGS }),
+            validate: data => data && ["master", "music", "effects"].every(k => isVolume(data[k]))
+                && typeof data.muted === "boolean",
+            storage
+        });
+        this.settings = this.store.load();
+
+        this.ctx = null;         // AudioContext, once unlocked
+        this.buses = null;       // { master, music, effects } gain nodes
+        this.buffers = new Map(); // name → decoded AudioBuffer from SOUND_FILES
+        this.music = null;       // what's playing on the music bus: { source } or { timer, step, next }
+    }
+
+    get unlocked() {
+        return this.ctx !== null;
+    }
+
+    /**
+     * Create the audio graph. Must be called from a user gesture (a click);
+     * later calls just make sure it's running.
+     */
+    unlock() {
+        if (this.ctx) {
+            if (this.ctx.state === "suspended") this.ctx.resume();
+            return;
+        }
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContext) {
+            console.warn("Web Audio isn't available; playing without sound");
+            return;
+        }
+        this.ctx = new AudioContext();
+        const master = this.ctx.createGain();
+        const music = this.ctx.createGain();
+        const effects = this.ctx.createGain();
+        music.connect(master);
+        effects.connect(master);
+        master.connect(this.ctx.destination);
+        this.buses = { master, music, effects };
+        this.applyVolumes();
+        if (this.ctx.state === "suspended") this.ctx.resume();
+        this.loadFiles();
+    }
+
+    /**
+     * Decode SOUND_FILES in the background; each one replaces its synth once ready
+     */
+    loadFiles() {
+        Object.entries(this.files).forEach(async ([name, url]) => {
+            try {
+                const response = await fetch(url);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                this.buffers.set(name, await this.ctx.decodeAudioData(await response.arrayBuffer()));
+            } catch (err) {
+                console.warn(`Sound "${name}" not loaded (${url}: ${err.message}); using the synthesized one`);
+            }
+        });
+    }
+
+    // ---- Volume ----
+
+    /**
+     * @param {"master"|"music"|"effects"} bus
+     * @param {number} value 0..1
+     */
+    setVolume(bus, value) {
+        if (!(bus in DEFAULT_SOUND_SETTINGS) || bus === "muted") throw new Error(`Unknown sound bus "${bus}"`);
+        this.settings[bus] = Math.min(1, Math.max(0, Number(value) || 0));
+        this.applyVolumes();
+        this.store.save(this.settings);
+    }
+
+    setMuted(muted) {
+        this.settings.muted = Boolean(muted);
+        this.applyVolumes();
+        this.store.save(this.settings);
+    }
+
+    toggleMute() {
+        this.setMuted(!this.settings.muted);
+    }
+
+    applyVolumes() {
+        if (!this.buses) return;
+        const { master, music, effects, muted } = this.settings;
+        const now = this.ctx.currentTime;
+        this.buses.master.gain.setTargetAtTime(muted ? 0 : master, now, RAMP);
+        this.buses.music.gain.setTargetAtTime(music, now, RAMP);
+        this.buses.effects.gain.setTargetAtTime(effects, now, RAMP);
+    }
+
+    // ---- Effects ----
+
+    /**
+     * Play an effect by name. `pitch` scales its frequency (or playback rate for files).
+     */
+    play(name, pitch = 1) {
+        if (!this.ctx) return;
+        const buffer = this.buffers.get(name);
+        if (buffer) {
+            const source = this.ctx.createBufferSource();
+            source.buffer = buffer;
+            source.playbackRate.value = pitch;
+            source.connect(this.buses.effects);
+            source.start();
+            return;
+        }
+        const synth = SYNTHS[name];
+        if (!synth) throw new Error(`Unknown sound "${name}"`);
+        synth(this.ctx, this.buses.effects, pitch);
+    }
+
+    // ---- Music ----
+
+    startMusic() {
+        if (!this.ctx || this.music) return;
+        const buffer = this.buffers.get("music");
+        if (buffer) {
+            const source = this.ctx.createBufferSource();
+            source.buffer = buffer;
+            source.loop = true;
+            source.connect(this.buses.music);
+            source.start();
+            this.music = { source };
+            return;
+        }
+        // Synthesized: a timer keeps notes scheduled a little ahead of the audio clock
+        this.music = { step: 0, next: this.ctx.currentTime + 0.05, timer: null };
+        const schedule = () => {
+            const m = this.music;
+            while (m.next < this.ctx.currentTime + MUSIC_LOOKAHEAD) {
+                const at = m.next - this.ctx.currentTime;
+                const note = MUSIC_MELODY[m.step % MUSIC_MELODY.length];
+                if (note) tone(this.ctx, this.buses.music, { type: "triangle", freq: note, at, duration: MUSIC_BEAT * 0.9, volume: 0.12 });
+                if (m.step % 4 === 0) {
+                    const bass = MUSIC_BASS[(m.step / 4) % MUSIC_BASS.length];
+                    tone(this.ctx, this.buses.music, { type: "sine", freq: bass, at, duration: MUSIC_BEAT * 3.5, volume: 0.15 });
+                }
+                m.step++;
+                m.next += MUSIC_BEAT;
+            }
+        };
+        schedule();
+        this.music.timer = setInterval(schedule, 100);
+    }
+
+    stopMusic() {
+        if (!this.music) return;
+        if (this.music.source) this.music.source.stop();
+        else clearInterval(this.music.timer);
+        this.music = null;
+    }
+
+    // ---- Game events ----
+
+    /**
+     * Play the game's sounds from its events. Returns a function that stops listening.
+     * @param {import('./Events.js').EventBus} events
+     */
+    attach(events) {
+        const offs = [
+            events.on(GameEvent.CROP_HARVESTED, ({ crop, points }) => {
+                if (points < 0) this.play("penalty");
+                else this.play("harvest", HARVEST_PITCH[crop.type] || 1);
+            }),
+            events.on(GameEvent.COMBO_BONUS, () => this.play("bonus")),
+            events.on(GameEvent.CROPS_DELIVERED, () => this.play("deliver")),
+            events.on(GameEvent.POWER_UP_COLLECTED, () => this.play("powerUp")),
+            events.on(GameEvent.POWER_UP_EXPIRED, () => this.play("powerDown")),
+            // the last three seconds tick higher
+            events.on(GameEvent.TIME_WARNING, ({ secondsLeft }) => this.play("tick", secondsLeft <= 3 ? 1.5 : 1)),
+            events.on(GameEvent.STATE_CHANGED, ({ to }) => {
+                if (to === State.PLAYING) this.startMusic();
+                else this.stopMusic();
+                if (to === State.LEVEL_COMPLETE || to === State.WIN) this.play("win");
+                else if (to === State.GAME_OVER) this.play("lose");
+            })
+        ];
+        return () => offs.forEach(off => off());
+    }
+
+    dispose() {
+        this.stopMusic();
+        if (this.ctx) this.ctx.close();
+        this.ctx = null;
+        this.buses = null;
+    }
+}
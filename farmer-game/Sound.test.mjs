@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Saved sound settings checks — run with `node --test` in this folder
+ *
+ * Only the settings: nothing here unlocks Web Audio, so it runs under Node.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SoundSystem, DEFAULT_SOUND_SETTINGS } from './Sound.js';
+import { MemoryStorage } from './Storage.js';
+
+const KEY = "farmerHarvest.sound";
+
+test("saved volumes come back", () => {
+    const storage = new MemoryStorage();
+    const saved = { master: 0.5, music: 0, effects: 1, muted: true };
+    storage.setItem(KEY, JSON.stringify({ version: 1, data: saved }));
+    assert.deepEqual(new SoundSystem({ storage }).settings, saved);
+});
+
+test("volumes outside 0–1 fall back to the defaults", () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        [5, -1, null, "0.5"].forEach(master => {
+            const storage = new MemoryStorage();
+            storage.setItem(KEY, JSON.stringify({ version: 1, data: { master, music: 0.5, effects: 0.5, muted: false } }));
+            assert.deepEqual(new SoundSystem({ storage }).settings, DEFAULT_SOUND_SETTINGS);
+        });
+    } finally {
+        console.warn = warn;
+    }
+});
@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Sound settings panel — master / music / effects sliders and mute
+ *
+ * Sliders run 0–100 and map straight onto SoundSystem volumes (0..1); the
+ * SoundSystem saves every change, so this view only keeps the inputs in sync.
+ */
+
+const SLIDERS = Object.freeze({
+    master: "volMaster",
+    music: "volMusic",
+    effects: "volEffects"
+});
+
+export class SoundView {
+    /**
+     * @param {import('./Sound.js').SoundSystem} sound
+     */
+    constructor(sound) {
+        this.sound = sound;
+
+        const get = id => document.getElementById(id) || console.error(`#${id} not found`);
+        this.el = {
+            mute: get("soundMute"),
+            ...Object.fromEntries(Object.entries(SLIDERS).map(([bus, id]) => [bus, get(id)]))
+        };
+
+        Object.keys(SLIDERS).forEach(bus => {
+            const slider = this.el[bus];
+            if (slider) slider.addEventListener("input", () => this.sound.setVolume(bus, slider.value / 100));
+        });
+        if (this.el.mute) this.el.mute.addEventListener("change", () => this.sound.setMuted(this.el.mute.checked));
+
+        this.render();
+    }
+
+    render() {
+        const settings = this.sound.settings;
+        Object.keys(SLIDERS).forEach(bus => {
+            if (this.el[bus]) this.el[bus].value = String(Math.round(settings[bus] * 100));
+        });
+        if (this.el.mute) this.el.mute.checked = settings.muted;
+    }
+}
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Grid-based spatial index (broad phase)
+ *
+ * Splits the field into square cells (TILE-sized by default) and remembers
+ * which cells each entity's box touches. Asking "what's near this box?" then
+ * only looks at a few cells instead of every entity in the world.
+ *
+ * Queries return *candidates* — things in the same cells. Callers still do
+ * the exact test (aabb, distance) on that short list.
+ */
+
+export class SpatialHash {
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map();     // cell key → Set of entities
+        this._entityKeys = new Map(); // entity → cell keys it's in
+    }
+
+    // Pack a cell's column/row into one number (fields are far smaller than 65536 cells)
+    _key(col, row) {
+        return (col + 32768) * 65536 + (row + 32768);
+    }
+
+    /**
+     * Cell keys covered by a box
+     */
+    _keysFor(x, y, w, h) {
+        const size = this.cellSize;
+        const c0 = Math.floor(x / size), c1 = Math.floor((x + w) / size);
+        const r0 = Math.floor(y / size), r1 = Math.floor((y + h) / size);
+        const keys = [];
+        for (let c = c0; c <= c1; c++) {
+            for (let r = r0; r <= r1; r++) keys.push(this._key(c, r));
+        }
+        return keys;
+    }
+
+    get size() {
+        return this._entityKeys.size;
+    }
+
+    insert(entity) {
+        if (this._entityKeys.has(entity)) this.remove(entity);
+        const keys = this._keysFor(entity.x, entity.y, entity.w, entity.h);
+        keys.forEach(key => {
+            let cell = this.cells.get(key);
+            if (!cell) {
+                cell = new Set();
+                this.cells.set(key, cell);
+            }
+            cell.add(entity);
+        });
+        this._entityKeys.set(entity, keys);
+    }
+
+    remove(entity) {
+        const keys = this._entityKeys.get(entity);
+        if (!keys) return;
+        keys.forEach(key => {
+            const cell = this.cells.get(key);
+            cell.delete(entity);
+            if (cell.size === 0) this.cells.delete(key);
+        });
+        this._entityKeys.delete(entity);
+    }
+
+    /**
+     * Re-file an entity after it moved
+     */
+    update(entity) {
+        this.insert(entity);
+    }
+
+    clear() {
+        this.cells.clear();
+        this._entityKeys.clear();
+    }
+
+    /**
+     * Everything in the cells a box touches (box = anything with x, y, w, h)
+     */
+    query({ x, y, w, h }) {
+        const found = new Set();
+        this._keysFor(x, y, w, h).forEach(key => {
+            const cell = this.cells.get(key);
+            if (cell) cell.forEach(e => found.add(e));
+        });
+        return Array.from(found);
+    }
+
+    /**
+     * Everything in the cells a circle's bounding box touches
+     */
+    queryRadius(cx, cy, radius) {
+        return this.query({ x: cx - radius, y: cy - radius, w: radius * 2, h: radius * 2 });
+    }
+}
@@ -0,0 +1,213 @@
+/**
+ * @fileoverview Sprite sheets — preloading art and playing named animations
+ *
+ * Every entity knows how to draw itself with plain canvas calls. When a sprite
+ * sheet for it has loaded, it draws the sheet's frames instead; when it hasn't
+ * (file missing, failed to decode, Node, benchmark page) nothing changes.
+ *
+ * A sheet is either a single image or a JSON atlas next to its image:
+ *   {
+ *     "image": "farmer.png",                     // relative to the JSON file
+ *     "frames": {
+ *       "walk-down-0": { "x": 0, "y": 0, "w": 34, "h": 52 },
+ *       ...
+ *     },
+ *     "animations": {
+ *       "walk-down": { "frames": ["walk-down-0", "walk-down-1"], "fps": 8 },
+ *       "harvest":   { "frames": ["swing-0", "swing-1", "swing-2"], "fps": 12, "loop": false }
+ *     }
+ *   }
+ * Frames are drawn at their own size with their bottom-centre on the entity's
+ * bottom-centre, so art can stick out above a box (the farmer's hat). A single
+ * image is one frame played as the "default" animation, which any name that
+ * the sheet doesn't have falls back to.
+ *
+ * Animation names each entity asks for:
+ *   farmer      idle, walk-up, walk-down, walk-left, walk-right, harvest
+ *   crops       <type>-<stage>, e.g. wheat-ripe, pumpkin-seedling
+ *   powerUps    <type>, e.g. speed, magnet (the glow is still drawn around it)
+ *   scarecrow   idle
+ *   barn        idle
+ */
+
+/**
+ * What to load at startup: sheet name → atlas (.json) or image URL. Empty until
+ * there is art — every entity is drawn procedurally meanwhile. Sheet names
+ * entities look up, with the files they're meant to come from:
+ *   farmer: "assets/farmer.json", crops: "assets/crops.json",
+ *   powerUps: "assets/powerups.json", scarecrow: "assets/scarecrow.png",
+ *   barn: "assets/barn.png"
+ */
+export const SPRITE_SHEETS = Object.freeze({});
+
+// Give up on a file that hasn't arrived after this long (ms) and draw procedurally
+const LOAD_TIMEOUT = 10000;
+
+const DEFAULT_ANIMATION = "default";
+
+export class SpriteSheet {
+    /**
+     * @param {CanvasImageSource} image
+     * @param {object} atlas { frames, animations } as in the file header
+     */
+    constructor(image, { frames = {}, animations = {} } = {}) {
+        this.image = image;
+        this.frames = frames;
+        this.animations = {};
+        Object.entries(animations).forEach(([name, anim]) => {
+            const missing = (anim.frames || []).filter(f => !frames[f]);
+            if (!anim.frames || !anim.frames.length || missing.length) {
+                console.warn(`Animation "${name}" skipped: ${missing.length ? `unknown frames ${missing.join(", ")}` : "no frames"}`);
+                return;
+            }
+            this.animations[name] = { fps: 8, loop: true, ...anim };
+        });
+    }
+
+    /**
+     * The whole image as one frame, played as the default animation
+     */
+    static fromImage(image) {
+        const frame = { x: 0, y: 0, w: image.naturalWidth || image.width, h: image.naturalHeight || image.height };
+        return new SpriteSheet(image, {
+            frames: { [DEFAULT_ANIMATION]: frame },
+            animations: { [DEFAULT_ANIMATION]: { frames: [DEFAULT_ANIMATION] } }
+        });
+    }
+
+    animation(name) {
+        return this.animations[name] || this.animations[DEFAULT_ANIMATION] || null;
+    }
+
+    has(name) {
+        return Boolean(this.animation(name));
+    }
+
+    /**
+     * Frame `time` seconds into an animation (held on the last one if it doesn't loop)
+     */
+    frameAt(name, time) {
+        const anim = this.animation(name);
+        if (!anim) return null;
+        const count = anim.frames.length;
+        const n = Math.floor(Math.max(0, time) * anim.fps);
+        const index = anim.loop ? n % count : Math.min(n, count - 1);
+        return this.frames[anim.frames[index]];
+    }
+
+    /**
+     * Draw an animation over an entity's box. False if there's nothing to draw
+     * (the caller then draws procedurally).
+     */
+    draw(ctx, name, time, box) {
+        const frame = this.frameAt(name, time);
+        if (!frame) return false;
+        const x = box.x + box.w / 2 - frame.w / 2;
+        const y = box.y + box.h - frame.h;
+        ctx.drawImage(this.image, frame.x, frame.y, frame.w, frame.h, x, y, frame.w, frame.h);
+        return true;
+    }
+}
+
+/**
+ * Loaded sheets by name. Entities look theirs up when drawing, so whatever
+ * is here when a frame renders gets used.
+ */
+const sheets = new Map();
+
+export const getSpriteSheet = name => sheets.get(name) || null;
+
+/**
+ * Use a sheet under a name (or drop it with null — back to procedural drawing)
+ */
+export function setSpriteSheet(name, sheet) {
+    if (sheet) sheets.set(name, sheet);
+    else sheets.delete(name);
+}
+
+/**
+ * Draw `name` from the sheet if it's loaded and has it. Entities call this
+ * first and draw themselves when it returns false.
+ */
+export function drawSprite(ctx, sheetName, name, time, box) {
+    const sheet = sheets.get(sheetName);
+    return Boolean(sheet) && sheet.draw(ctx, name, time, box);
+}
+
+/**
+ * Keeps track of which animation an entity is playing and for how long
+ */
+export class Animator {
+    constructor(name = "idle") {
+        this.name = name;
+        this.time = 0;
+    }
+
+    /**
+     * Switch animations (starting from the first frame), or keep playing this one
+     */
+    play(name) {
+        if (name === this.name) return;
+        this.name = name;
+        this.time = 0;
+    }
+
+    update(dt) {
+        this.time += dt;
+    }
+}
+
+function withTimeout(promise, url) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${url} timed out`)), LOAD_TIMEOUT);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+export function loadImage(url) {
+    return withTimeout(new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error(`${url} failed to load`));
+        img.src = url;
+    }), url);
+}
+
+/**
+ * One sheet: a JSON atlas and the image it names, or just an image
+ */
+export async function loadSpriteSheet(url) {
+    if (!/\.json$/i.test(url)) return SpriteSheet.fromImage(await loadImage(url));
+
+    const response = await withTimeout(fetch(url), url);
+    if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+    const atlas = await response.json();
+    if (!atlas || typeof atlas.image !== "string") throw new Error(`${url} doesn't name an image`);
+    const image = await loadImage(new URL(atlas.image, new URL(url, document.baseURI)).href);
+    return new SpriteSheet(image, atlas);
+}
+
+/**
+ * Load every sheet in a manifest (name → URL). Never rejects: a sheet that
+ * fails is reported and left out, so that entity keeps its procedural look.
+ *
+ * @param {Object<string, string>} manifest
+ * @param {Function} [onProgress] (done, total) => void after each sheet
+ * @returns {Promise<string[]>} names of the sheets that failed
+ */
+export async function loadSprites(manifest = SPRITE_SHEETS, onProgress = () => {}) {
+    const entries = Object.entries(manifest);
+    const failed = [];
+    let done = 0;
+    await Promise.all(entries.map(async ([name, url]) => {
+        try {
+            setSpriteSheet(name, await loadSpriteSheet(url));
+        } catch (err) {
+            failed.push(name);
+            console.warn(`Sprite sheet "${name}" not loaded (${err.message}); drawing it procedurally`);
+        }
+        onProgress(++done, entries.length);
+    }));
+    return failed;
+}
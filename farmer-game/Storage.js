@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Versioned localStorage wrapper
+ *
+ * Everything we save goes through a VersionedStore so old or broken data never
+ * crashes the game:
+ *   - data is saved as { version, data }
+ *   - older versions are upgraded one step at a time through `migrations`
+ *   - unreadable / invalid data is copied to `<key>.corrupt` and replaced by defaults
+ *   - if localStorage isn't there (Node, private mode) it quietly keeps data in memory
+ */
+
+/**
+ * Minimal in-memory stand-in for localStorage
+ */
+export class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+/**
+ * localStorage if we're allowed to use it, otherwise memory
+ */
+export function defaultStorage() {
+    try {
+        const storage = globalThis.localStorage;
+        if (!storage) return new MemoryStorage();
+        storage.setItem("__farmer_test__", "1");
+        storage.removeItem("__farmer_test__");
+        return storage;
+    } catch (err) {
+        return new MemoryStorage();
+    }
+}
+
+export class VersionedStore {
+    /**
+     * @param {string} key localStorage key
+     * @param {object} options
+     * @param {number} options.version current data version
+     * @param {Function} options.defaults () => fresh data
+     * @param {Object<number, Function>} [options.migrations] `n: data => data` upgrades version n to n + 1
+     * @param {Function} [options.validate] data => true if usable
+     * @param {Storage} [options.storage] where to keep it (defaults to localStorage)
+     */
+    constructor(key, { version, defaults, migrations = {}, validate = () => true, storage = defaultStorage() }) {
+        this.key = key;
+        this.version = version;
+        this.defaults = defaults;
+        this.migrations = migrations;
+        this.validate = validate;
+        this.storage = storage;
+    }
+
+    /**
+     * Read + upgrade the saved data. Never throws; falls back to defaults.
+     */
+    load() {
+        let raw;
+        try {
+            raw = this.storage.getItem(this.key);
+        } catch (err) {
+            console.warn(`Couldn't read ${this.key}:`, err);
+            return this.defaults();
+        }
+        if (raw === null) return this.defaults();
+
+        try {
+            const saved = JSON.parse(raw);
+            if (!saved || !Number.isInteger(saved.version)) throw new Error("missing version");
+            if (saved.version > this.version) throw new Error(`saved by a newer version (${saved.version})`);
+
+            let data = saved.data;
+            for (let v = saved.version; v < this.version; v++) {
+                if (!this.migrations[v]) throw new Error(`no migration from version ${v}`);
+                data = this.migrations[v](data);
+            }
+            if (!this.validate(data)) throw new Error("data failed validation");
+
+            if (saved.version !== this.version) this.save(data);
+            return data;
+        } catch (err) {
+            console.warn(`Saved ${this.key} is unusable (${err.message}); starting fresh.`);
+            this.quarantine(raw);
+            return this.defaults();
+        }
+    }
+
+    save(data) {
+        try {
+            this.storage.setItem(this.key, JSON.stringify({ version: this.version, data }));
+            return true;
+        } catch (err) {
+            console.warn(`Couldn't save ${this.key}:`, err);
+            return false;
+        }
+    }
+
+    clear() {
+        try {
+            this.storage.removeItem(this.key);
+            this.storage.removeItem(`${this.key}.corrupt`);
+        } catch (err) {
+            console.warn(`Couldn't clear ${this.key}:`, err);
+        }
+    }
+
+    /**
+     * Keep a copy of bad data around for bug reports, then drop it
+     */
+    quarantine(raw) {
+        try {
+            this.storage.setItem(`${this.key}.corrupt`, raw);
+            this.storage.removeItem(this.key);
+        } catch (err) {
+            // nothing more we can do
+        }
+    }
+}
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview VersionedStore checks — run with `node --test` in this folder
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MemoryStorage, VersionedStore } from './Storage.js';
+
+/**
+ * A version 2 store of { n } whose version 1 saved { count }
+ */
+function counterStore(storage) {
+    return new VersionedStore("test", {
+        version: 2,
+        defaults: () => ({ n: 0 }),
+        validate: data => data && Number.isFinite(data.n),
+        migrations: { 1: data => ({ n: data.count }) },
+        storage
+    });
+}
+
+/**
+ * Run `fn` without the console warnings bad data is expected to print
+ */
+function quietly(fn) {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        return fn();
+    } finally {
+        console.warn = warn;
+    }
+}
+
+test("saves and loads, and starts from the defaults when there's nothing saved", () => {
+    const store = counterStore(new MemoryStorage());
+    assert.deepEqual(store.load(), { n: 0 });
+    store.save({ n: 4 });
+    assert.deepEqual(store.load(), { n: 4 });
+    store.clear();
+    assert.deepEqual(store.load(), { n: 0 });
+});
+
+test("old versions are migrated and saved back upgraded", () => {
+    const storage = new MemoryStorage();
+    storage.setItem("test", JSON.stringify({ version: 1, data: { count: 3 } }));
+    assert.deepEqual(counterStore(storage).load(), { n: 3 });
+    assert.equal(JSON.parse(storage.getItem("test")).version, 2);
+});
+
+test("unusable saved data is set aside and replaced by the defaults", () => {
+    const storage = new MemoryStorage();
+    const store = counterStore(storage);
+    const unusable = [
+        "not json",
+        JSON.stringify({ data: { n: 1 } }),                 // no version
+        JSON.stringify({ version: 2, data: { n: "x" } }),   // fails validation
+        JSON.stringify({ version: 9, data: { n: 1 } })      // from a newer game
+    ];
+    unusable.forEach(raw => {
+        storage.setItem("test", raw);
+        assert.deepEqual(quietly(() => store.load()), { n: 0 });
+        assert.equal(storage.getItem("test.corrupt"), raw);
+        assert.equal(storage.getItem("test"), null);
+    });
+});
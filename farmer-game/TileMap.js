@@ -0,0 +1,349 @@
+/**
+ * @fileoverview Terrain tile map — fences, water and mud on the TILE grid
+ *
+ * A map is a grid of terrain, one tile per TILE × TILE square of the field:
+ *   grass  .   nothing special
+ *   fence  #   blocks the farmers (and crows); nothing spawns on it
+ *   water  ~   blocks the farmers (and crows); nothing spawns on it
+ *   mud    ,   farmers walk at MUD_SPEED; crops and power-ups still spawn on it
+ *
+ * Maps load from a compact text format — one line per row, one character per
+ * tile:
+ *   ..............
+ *   ..####....~~..
+ *   ..#..,,...~~..
+ * or from JSON: { "tiles": ["....", "..#."], "legend": { "W": "water" } } where
+ * `legend` (optional) adds characters of your own. TileMap.generate() makes a
+ * random one instead.
+ *
+ * The farmer is wider than one tile, so "reachable" means a farmer-sized box
+ * can get there: unreachableTiles() walks 2 × 2 tile windows out from the
+ * start, and both hand-made (Levels.js) and generated maps are checked with it
+ * so nothing ever spawns where it can't be picked up.
+ */
+
+import { Random } from './Random.js';
+
+// Size of one grid cell / tile in world pixels
+export const TILE = 30;
+
+// How fast farmers walk on mud (× normal speed)
+export const MUD_SPEED = 0.5;
+
+export const TERRAIN = Object.freeze({
+    grass: Object.freeze({ id: 0, char: ".", blocksMovement: false, blocksItems: false, speed: 1 }),
+    fence: Object.freeze({ id: 1, char: "#", blocksMovement: true, blocksItems: true, speed: 1 }),
+    water: Object.freeze({ id: 2, char: "~", blocksMovement: true, blocksItems: true, speed: 1 }),
+    mud: Object.freeze({ id: 3, char: ",", blocksMovement: false, blocksItems: false, speed: MUD_SPEED })
+});
+
+const BY_ID = Object.values(TERRAIN).sort((a, b) => a.id - b.id);
+const NAME_OF = new Map(Object.entries(TERRAIN).map(([name, t]) => [t, name]));
+const DEFAULT_LEGEND = Object.freeze(Object.fromEntries(Object.entries(TERRAIN).map(([name, t]) => [t.char, name])));
+
+// A farmer (34 px) fits in a window this many tiles wide and high
+const FARMER_TILES = 2;
+
+/**
+ * What generate() puts on the field (counts scale with its size)
+ */
+const DEFAULT_GENERATE = Object.freeze({
+    fences: 0.004,   // fence runs per tile
+    ponds: 0.003,    // ponds per tile
+    mud: 0.004,      // mud patches per tile
+    tries: 8         // re-rolls before giving up and walling off unreachable pockets
+});
+
+// Most of the field generate() will fence off as unreachable (fraction of all tiles)
+const MAX_POCKETS = 0.1;
+
+export class TileMap {
+    constructor(cols, rows) {
+        if (!Number.isInteger(cols) || !Number.isInteger(rows) || cols <= 0 || rows <= 0) {
+            throw new Error(`Tile map size must be whole numbers of tiles (got ${cols} × ${rows})`);
+        }
+        this.cols = cols;
+        this.rows = rows;
+        this.tiles = new Uint8Array(cols * rows); // TERRAIN ids, all grass
+    }
+
+    /**
+     * Build a map from the text format, a JSON string, or an already parsed
+     * { tiles, legend } object (a TileMap is passed straight through).
+     * Throws an Error saying what's wrong.
+     */
+    static parse(source) {
+        if (source instanceof TileMap) return source;
+        let rows, legend = DEFAULT_LEGEND;
+        if (typeof source === "string" && source.trim().startsWith("{")) {
+            try {
+                source = JSON.parse(source);
+            } catch (err) {
+                throw new Error(`Tile map is not valid JSON: ${err.message}`);
+            }
+        }
+        if (typeof source === "string") {
+            rows = source.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        } else if (source && Array.isArray(source.tiles)) {
+            rows = source.tiles;
+            if (source.legend !== undefined) {
+                const extra = source.legend;
+                if (!extra || typeof extra !== "object") throw new Error("Tile map legend must be an object of { char: terrain }");
+                Object.entries(extra).forEach(([char, name]) => {
+                    if (char.length !== 1) throw new Error(`Tile map legend keys must be single characters (got "${char}")`);
+                    if (!TERRAIN[name]) throw new Error(`Tile map legend: unknown terrain "${name}" (known: ${Object.keys(TERRAIN).join(", ")})`);
+                });
+                legend = { ...DEFAULT_LEGEND, ...extra };
+            }
+        } else {
+            throw new Error("Tile map must be text rows or an object with a tiles array");
+        }
+
+        if (!rows.length || !rows.every(r => typeof r === "string")) throw new Error("Tile map needs at least one row of text");
+        const cols = rows[0].length;
+        const map = new TileMap(cols, rows.length);
+        rows.forEach((line, row) => {
+            if (line.length !== cols) throw new Error(`Tile map row ${row + 1} is ${line.length} tiles wide, expected ${cols}`);
+            [...line].forEach((char, col) => {
+                const name = legend[char];
+                if (!name) throw new Error(`Tile map row ${row + 1} has unknown tile "${char}"`);
+                map.set(col, row, TERRAIN[name]);
+            });
+        });
+        return map;
+    }
+
+    /**
+     * Random terrain: fence runs, ponds and mud patches, kept out of `keepClear`
+     * boxes (world px — e.g. where the farmers start). Every spawnable tile is
+     * guaranteed reachable from each of `starts` (world px points): maps that
+     * fail are re-rolled, and after `tries` the unreachable pockets are fenced off
+     * (or, if the start itself is shut in, the field is left plain grass).
+     *
+     * @param {number} cols
+     * @param {number} rows
+     * @param {{random: Function}} rng random source (the World's, for replays)
+     * @param {object} [options] counts per tile (see DEFAULT_GENERATE) + keepClear, starts
+     */
+    static generate(cols, rows, rng = new Random(), options = {}) {
+        const { fences, ponds, mud, tries, keepClear = [], starts = [{ x: cols * TILE / 2, y: rows * TILE - TILE * 2 }] } =
+            { ...DEFAULT_GENERATE, ...options };
+        const area = cols * rows;
+        const int = n => Math.floor(rng.random() * n);
+        const clear = (col, row) => keepClear.some(b =>
+            col * TILE < b.x + b.w && (col + 1) * TILE > b.x && row * TILE < b.y + b.h && (row + 1) * TILE > b.y);
+
+        const pockets = map => starts.flatMap(start => map.unreachableTiles(start));
+        let map;
+        for (let attempt = 0; attempt < tries; attempt++) {
+            map = new TileMap(cols, rows);
+            const paint = (col, row, terrain) => {
+                if (map.inBounds(col, row) && !clear(col, row)) map.set(col, row, terrain);
+            };
+
+            // mud first so fences and water can cut through it
+            for (let i = Math.round(area * mud); i > 0; i--) {
+                const cx = int(cols), cy = int(rows), r = 1 + int(3);
+                for (let row = cy - r; row <= cy + r; row++) {
+                    for (let col = cx - r; col <= cx + r; col++) {
+                        if (Math.hypot(col - cx, row - cy) <= r + 0.3) paint(col, row, TERRAIN.mud);
+                    }
+                }
+            }
+            for (let i = Math.round(area * ponds); i > 0; i--) {
+                const cx = int(cols), cy = int(rows), rx = 1 + int(3), ry = 1 + int(2);
+                for (let row = cy - ry; row <= cy + ry; row++) {
+                    for (let col = cx - rx; col <= cx + rx; col++) {
+                        if (((col - cx) / (rx + 0.5)) ** 2 + ((row - cy) / (ry + 0.5)) ** 2 <= 1) paint(col, row, TERRAIN.water);
+                    }
+                }
+            }
+            // straight fence runs, with a farmer-wide gate every few tiles so they're rarely a wall
+            for (let i = Math.round(area * fences); i > 0; i--) {
+                const horizontal = rng.random() < 0.5;
+                const length = 4 + int(8);
+                let col = int(cols), row = int(rows);
+                for (let step = 0; step < length; step++) {
+                    if (step % 6 < 6 - FARMER_TILES) paint(col, row, TERRAIN.fence);
+                    if (horizontal) col++;
+                    else row++;
+                }
+            }
+
+            if (!pockets(map).length) return map;
+        }
+
+        // Still pockets left: wall them off so nothing spawns there — unless
+        // that would swallow the field (the start itself is shut in), then
+        // settle for plain grass
+        const left = pockets(map);
+        if (left.length > area * MAX_POCKETS) return new TileMap(cols, rows);
+        left.forEach(({ col, row }) => map.set(col, row, TERRAIN.fence));
+        return map;
+    }
+
+    inBounds(col, row) {
+        return col >= 0 && row >= 0 && col < this.cols && row < this.rows;
+    }
+
+    /**
+     * Terrain at a tile (outside the map counts as fence)
+     */
+    get(col, row) {
+        return this.inBounds(col, row) ? BY_ID[this.tiles[row * this.cols + col]] : TERRAIN.fence;
+    }
+
+    set(col, row, terrain) {
+        if (this.inBounds(col, row)) this.tiles[row * this.cols + col] = terrain.id;
+    }
+
+    /**
+     * Terrain under a world point
+     */
+    terrainAt(x, y) {
+        return this.get(Math.floor(x / TILE), Math.floor(y / TILE));
+    }
+
+    /**
+     * Does a box (world px) touch a tile that blocks movement?
+     */
+    blocksBox(box) {
+        const c0 = Math.floor(box.x / TILE), c1 = Math.floor((box.x + box.w - 0.001) / TILE);
+        const r0 = Math.floor(box.y / TILE), r1 = Math.floor((box.y + box.h - 0.001) / TILE);
+        for (let row = r0; row <= r1; row++) {
+            for (let col = c0; col <= c1; col++) {
+                if (this.inBounds(col, row) && this.get(col, row).blocksMovement) return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Walking speed factor for an entity, from the ground under its centre
+     */
+    speedFactor(entity) {
+        return this.terrainAt(entity.x + entity.w / 2, entity.y + entity.h / 2).speed;
+    }
+
+    /**
+     * Can a crop / power-up be put on this tile? (never on the outer ring, like World.randomCell)
+     */
+    canSpawnAt(col, row) {
+        return col > 0 && row > 0 && col < this.cols - 1 && row < this.rows - 1 && !this.get(col, row).blocksItems;
+    }
+
+    get hasTerrain() {
+        return this.tiles.some(id => id !== TERRAIN.grass.id);
+    }
+
+    /**
+     * Tiles a farmer-sized box starting at `start` (world px point) can never
+     * touch, among those things could spawn on. Empty = the map is fine.
+     */
+    unreachableTiles(start) {
+        const cols = this.cols, rows = this.rows;
+        const open = (col, row) => this.inBounds(col, row) && !this.get(col, row).blocksMovement;
+        // (col, row) = top-left tile of a FARMER_TILES-square window the farmer fits in
+        const fits = (col, row) => {
+            for (let dr = 0; dr < FARMER_TILES; dr++) {
+                for (let dc = 0; dc < FARMER_TILES; dc++) if (!open(col + dc, row + dr)) return false;
+            }
+            return true;
+        };
+
+        const seen = new Uint8Array(cols * rows);
+        const touched = new Uint8Array(cols * rows);
+        const queue = [];
+        const sc = Math.min(cols - FARMER_TILES, Math.max(0, Math.floor(start.x / TILE) - 1));
+        const sr = Math.min(rows - FARMER_TILES, Math.max(0, Math.floor(start.y / TILE) - 1));
+        // the start window itself may be partly blocked: begin from any fitting window around it
+        for (let row = sr - 1; row <= sr + 1; row++) {
+            for (let col = sc - 1; col <= sc + 1; col++) {
+                if (fits(col, row) && !seen[row * cols + col]) {
+                    seen[row * cols + col] = 1;
+                    queue.push(col, row);
+                }
+            }
+        }
+        for (let i = 0; i < queue.length; i += 2) {
+            const col = queue[i], row = queue[i + 1];
+            for (let dr = 0; dr < FARMER_TILES; dr++) {
+                for (let dc = 0; dc < FARMER_TILES; dc++) touched[(row + dr) * cols + col + dc] = 1;
+            }
+            [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dc, dr]) => {
+                const c = col + dc, r = row + dr;
+                if (c < 0 || r < 0 || c >= cols || r >= rows || seen[r * cols + c] || !fits(c, r)) return;
+                seen[r * cols + c] = 1;
+                queue.push(c, r);
+            });
+        }
+
+        const unreachable = [];
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                if (this.canSpawnAt(col, row) && !touched[row * cols + col]) unreachable.push({ col, row });
+            }
+        }
+        return unreachable;
+    }
+
+    /**
+     * Back to the text format (e.g. to save a generated map)
+     */
+    toText() {
+        const lines = [];
+        for (let row = 0; row < this.rows; row++) {
+            let line = "";
+            for (let col = 0; col < this.cols; col++) line += this.get(col, row).char;
+            lines.push(line);
+        }
+        return lines.join("\n");
+    }
+
+    /**
+     * Draw the non-grass tiles between world-px bounds (the visible part of the field)
+     */
+    draw(ctx, left, top, right, bottom) {
+        const c0 = Math.max(0, Math.floor(left / TILE)), c1 = Math.min(this.cols - 1, Math.floor(right / TILE));
+        const r0 = Math.max(0, Math.floor(top / TILE)), r1 = Math.min(this.rows - 1, Math.floor(bottom / TILE));
+        for (let row = r0; row <= r1; row++) {
+            for (let col = c0; col <= c1; col++) {
+                const terrain = this.get(col, row);
+                if (terrain !== TERRAIN.grass) drawTile(ctx, NAME_OF.get(terrain), col * TILE, row * TILE, (col * 7 + row * 13) % 5);
+            }
+        }
+    }
+}
+
+/**
+ * One terrain tile; `n` (0–4) varies the details so a field doesn't look stamped
+ */
+function drawTile(ctx, name, x, y, n) {
+    if (name === "water") {
+        ctx.fillStyle = "#64b5f6";
+        ctx.fillRect(x, y, TILE, TILE);
+        ctx.strokeStyle = "#bbdefb";
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(x + 5, y + 10 + n);
+        ctx.quadraticCurveTo(x + 10, y + 6 + n, x + 15, y + 10 + n);
+        ctx.moveTo(x + 14, y + 20 - n);
+        ctx.quadraticCurveTo(x + 19, y + 16 - n, x + 24, y + 20 - n);
+        ctx.stroke();
+    } else if (name === "mud") {
+        ctx.fillStyle = "#a1887f";
+        ctx.fillRect(x, y, TILE, TILE);
+        ctx.fillStyle = "#795548";
+        ctx.beginPath();
+        ctx.ellipse(x + 8 + n * 3, y + 9, 3, 2, 0, 0, Math.PI * 2);
+        ctx.ellipse(x + 20 - n, y + 21, 4, 2, 0, 0, Math.PI * 2);
+        ctx.fill();
+    } else if (name === "fence") {
+        ctx.fillStyle = "#8d6e63";
+        ctx.fillRect(x + 2, y + 9, TILE - 4, 4);     // rails
+        ctx.fillRect(x + 2, y + 19, TILE - 4, 4);
+        ctx.fillStyle = "#6d4c41";
+        ctx.fillRect(x + 4, y + 4, 5, TILE - 6);     // posts
+        ctx.fillRect(x + TILE - 9, y + 4, 5, TILE - 6);
+    }
+}
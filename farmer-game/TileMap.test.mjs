@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Tile map checks — run with `node --test` in this folder
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TileMap, TERRAIN, TILE } from './TileMap.js';
+import { Random } from './Random.js';
+
+test("parses the text format and writes it back", () => {
+    const text = "#####\n#.,~#\n#####";
+    const map = TileMap.parse(text);
+    assert.equal(map.cols, 5);
+    assert.equal(map.rows, 3);
+    assert.equal(map.get(2, 1), TERRAIN.mud);
+    assert.equal(map.toText(), text);
+    assert.throws(() => TileMap.parse("...\n.."), /row 2 is 2 tiles wide/);
+    assert.throws(() => TileMap.parse("..x"), /unknown tile "x"/);
+});
+
+test("tiles walled off from the start are reported unreachable", () => {
+    const map = TileMap.parse(`
+        ........
+        ........
+        ####....
+        ..#.....
+        ..#.....
+    `);
+    // the pocket bottom left, less the outer ring nothing spawns on
+    assert.deepEqual(map.unreachableTiles({ x: 6 * TILE, y: 0 }), [{ col: 1, row: 3 }]);
+    assert.deepEqual(TileMap.parse("....\n....\n....").unreachableTiles({ x: 0, y: 0 }), []);
+});
+
+test("a gap narrower than a farmer doesn't count as a way in", () => {
+    const map = TileMap.parse(`
+        ........
+        ........
+        ###.####
+        ........
+        ........
+    `);
+    assert.equal(map.unreachableTiles({ x: 0, y: 0 }).length > 0, true);
+    map.set(4, 2, TERRAIN.grass);
+    assert.deepEqual(map.unreachableTiles({ x: 0, y: 0 }), []);
+});
+
+test("generated maps leave nothing unreachable from the start", () => {
+    for (let seed = 1; seed <= 20; seed++) {
+        const start = { x: 15 * TILE, y: 16 * TILE };
+        const map = TileMap.generate(30, 18, new Random(seed), { fences: 0.02, ponds: 0.01, starts: [start] });
+        assert.deepEqual(map.unreachableTiles(start), [], `seed ${seed}:\n${map.toText()}`);
+    }
+});
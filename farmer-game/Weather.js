@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Time of day and weather — part of the simulation, not just looks
+ *
+ * A level can turn on a day/night cycle and random weather (see Levels.js):
+ *   dayLength: 90,       seconds for a whole day (leave out to stay in daylight)
+ *   startTime: 0.7,      time of day the round starts at, 0–1 (0 = midnight, 0.5 = noon)
+ *   weatherEvery: 15,    seconds between weather changes (leave out for clear skies)
+ *   weatherOdds: { clear: 2, rain: 2, wind: 1 }   relative weights of each change
+ *
+ * What they do to the rules:
+ *   night  crops spawn less often, power-ups more (they glow in the dark)
+ *   rain   crops spawn much faster, but farmers walk slower on the wet ground
+ *   wind   pushes the farmers along, even standing still
+ *
+ * Weather is rolled from the World's seeded Random, so replays see the same
+ * skies. World emits timeOfDayChanged / weatherChanged for the HUD to announce.
+ */
+
+import { GameEvent } from './Events.js';
+
+export const DayPhase = Object.freeze({
+    DAWN: "dawn",
+    DAY: "day",
+    DUSK: "dusk",
+    NIGHT: "night"
+});
+
+// Where each phase starts in the day (0–1); night runs on through midnight to dawn
+const DAWN_START = 0.15, DAY_START = 0.25, DUSK_START = 0.75, NIGHT_START = 0.85;
+
+// Night rules: spawn rates × these (above 1 = more often)
+export const NIGHT_CROP_SPAWN = 0.7;
+export const NIGHT_POWER_UP_SPAWN = 1.5;
+
+/**
+ * Each kind of weather: spawn rate and walking speed factors, wind strength
+ * (px/s) and ground colour. Its name and what the HUD says when it starts are
+ * in the locale bundles ("weather.<kind>", "weather.<kind>.announce").
+ */
+export const WEATHER = Object.freeze({
+    clear: Object.freeze({ cropSpawn: 1, speed: 1, wind: 0, ground: "#dff0d5" }),
+    rain: Object.freeze({ cropSpawn: 1.8, speed: 0.8, wind: 0, ground: "#cfdcc8" }),
+    wind: Object.freeze({ cropSpawn: 1, speed: 1, wind: 70, ground: "#dcecd0" })
+});
+
+export const DEFAULT_START_TIME = 0.35;   // mid-morning
+export const DEFAULT_WEATHER_ODDS = Object.freeze({ clear: 2, rain: 2, wind: 1 });
+
+const phaseAt = t => (t < DAWN_START || t >= NIGHT_START ? DayPhase.NIGHT
+    : t < DAY_START ? DayPhase.DAWN
+        : t < DUSK_START ? DayPhase.DAY : DayPhase.DUSK);
+
+export class Weather {
+    /**
+     * @param {object} level a validated level (dayLength, startTime, weatherEvery, weatherOdds)
+     */
+    constructor(level) {
+        this.reset(level);
+    }
+
+    reset(level) {
+        this.dayLength = level.dayLength;          // null = always day
+        this.weatherEvery = level.weatherEvery;    // null = always clear
+        this.weatherOdds = level.weatherOdds;
+        this.time = this.dayLength ? level.startTime : 0.5;
+        this.phase = phaseAt(this.time);
+        this.kind = "clear";
+        this.wind = { x: 0, y: 0 };                // push in px/s
+        this._accum = 0;
+    }
+
+    get data() {
+        return WEATHER[this.kind];
+    }
+
+    get isNight() {
+        return this.phase === DayPhase.NIGHT;
+    }
+
+    /**
+     * How dark the field is, 0 (day) to 1 (night), easing through dusk and dawn
+     */
+    get darkness() {
+        const t = this.time;
+        if (t >= DAY_START && t < DUSK_START) return 0;
+        if (t >= DUSK_START && t < NIGHT_START) return (t - DUSK_START) / (NIGHT_START - DUSK_START);
+        if (t >= DAWN_START && t < DAY_START) return 1 - (t - DAWN_START) / (DAY_START - DAWN_START);
+        return 1;
+    }
+
+    get cropSpawnRate() {
+        return this.data.cropSpawn * (this.isNight ? NIGHT_CROP_SPAWN : 1);
+    }
+
+    get powerUpSpawnRate() {
+        return this.isNight ? NIGHT_POWER_UP_SPAWN : 1;
+    }
+
+    get speedFactor() {
+        return this.data.speed;
+    }
+
+    /**
+     * Move the clock on, roll new weather when it's due, and announce changes
+     * on the world's event bus
+     */
+    update(dt, world) {
+        if (this.dayLength) {
+            this.time = (this.time + dt / this.dayLength) % 1;
+            const phase = phaseAt(this.time);
+            if (phase !== this.phase) {
+                const from = this.phase;
+                this.phase = phase;
+                world.events.emit(GameEvent.TIME_OF_DAY_CHANGED, { from, to: phase });
+            }
+        }
+
+        if (!this.weatherEvery) return;
+        this._accum += dt;
+        while (this._accum >= this.weatherEvery) {
+            this._accum -= this.weatherEvery;
+            this.change(this.roll(world.rng), world);
+        }
+    }
+
+    /**
+     * Weighted pick from weatherOdds
+     */
+    roll(rng) {
+        const odds = Object.entries(this.weatherOdds);
+        const total = odds.reduce((sum, [, weight]) => sum + weight, 0);
+        let roll = rng.random() * total;
+        for (const [kind, weight] of odds) {
+            if (roll < weight) return kind;
+            roll -= weight;
+        }
+        return odds[odds.length - 1][0];
+    }
+
+    change(kind, world) {
+        if (kind === this.kind) return;
+        const from = this.kind;
+        this.kind = kind;
+        const strength = WEATHER[kind].wind;
+        const angle = strength ? world.rng.random() * Math.PI * 2 : 0;
+        this.wind = { x: Math.cos(angle) * strength, y: Math.sin(angle) * strength };
+        world.events.emit(GameEvent.WEATHER_CHANGED, { from, to: kind, wind: this.wind });
+    }
+}
@@ -0,0 +1,645 @@
+/**
+ * @fileoverview Headless simulation core — game rules, entities and state
+ *
+ * Nothing in here touches the DOM, the canvas or `window`, so it runs the same
+ * in the browser and in Node. Two things get injected:
+ *   - `rng`:   where all randomness comes from (see Random.js). Same seed +
+ *              same input = same spawns, same score, same ending.
+ *   - `input`: anything with a `move` = { x, y } vector, each axis -1..1 (the
+ *              browser `Controls`, or a plain `{ move: { x: 0, y: 0 } }` in a script).
+ *              Two-player modes take one per farmer as `inputs: [p1, p2]`.
+ *
+ * With `delivery: true` picked crops go into each farmer's basket and only
+ * score when carried to the barn (see Basket.js). `difficulty` scales each
+ * level's time, goal, spawns and speed (see Difficulty.js).
+ *
+ * What happens (crops harvested, power-ups, state changes...) is announced on
+ * `events` (see Events.js) for the HUD, effects and sound to react to.
+ *
+ * Game.js sits on top of this as the renderer / UI layer.
+ */
+
+import { Farmer, clamp, aabb } from './Farmer.js';
+import { Crop, PowerUp, Barn, GrowthStage, CROP_DATA } from './Crop.js';
+import { powerUpTypes } from './PowerUps.js';
+import { Random } from './Random.js';
+import { LEVELS, OBSTACLE_TYPES, FIELD_WIDTH, FIELD_HEIGHT, loadLevels, farmerStart, buildTileMap } from './Levels.js';
+import { TILE } from './TileMap.js';
+import { SpatialHash } from './SpatialHash.js';
+import { boxHitsEntity } from './Collision.js';
+import { NavGrid } from './Pathfinding.js';
+import { Crow } from './Crow.js';
+import { EventBus, GameEvent } from './Events.js';
+import { sweepBonus } from './Combo.js';
+import { Basket } from './Basket.js';
+import { Weather } from './Weather.js';
+import { applyUpgrades, upgradeCropOdds, checkUpgrades } from './Progression.js';
+import { NORMAL_DIFFICULTY, checkDifficulty, keptObstacles } from './Difficulty.js';
+
+// World constants (round length, goal, spawn rates and field size come from the level)
+export const WIDTH = FIELD_WIDTH, HEIGHT = FIELD_HEIGHT;  // default field = the screen view
+export { TILE };                  // grid spacing (see TileMap.js)
+
+/**
+ * How many farmers are on the field and how they win
+ */
+export const GameMode = Object.freeze({
+    SOLO: "solo",       // one farmer
+    COOP: "coop",       // two farmers filling one shared score
+    VERSUS: "versus"    // two farmers racing each other to the goal
+});
+
+/**
+ * Number of farmers a mode puts on the field
+ */
+export const playerCount = mode => (mode === GameMode.SOLO ? 1 : 2);
+
+// Two farmers pick twice as fast, so the shared co-op goal is raised
+const COOP_GOAL_SCALE = 1.5;
+
+const IDLE_INPUT = Object.freeze({ move: Object.freeze({ x: 0, y: 0 }) });
+
+export const State = Object.freeze({
+    MENU: "MENU",
+    PLAYING: "PLAYING",
+    PAUSED: "PAUSED",
+    LEVEL_COMPLETE: "LEVEL_COMPLETE", // cleared a level, more to go
+    GAME_OVER: "GAME_OVER",
+    WIN: "WIN"                        // cleared the last level
+});
+
+/**
+ * True for the states a round can end in
+ */
+export const isRoundOver = state =>
+    state === State.LEVEL_COMPLETE || state === State.GAME_OVER || state === State.WIN;
+
+/**
+ * Fresh per-run statistics record
+ */
+export const createStats = () => ({
+    cropsByType: Object.fromEntries(Object.keys(CROP_DATA).map(type => [type, 0])),
+    unripePicked: 0,        // crops picked too early (penalties)
+    powerUpsUsed: {},       // type → times picked up
+    distance: 0,            // pixels walked
+    elapsed: 0,             // seconds played
+    timeToGoal: null,       // seconds until the goal was reached (null if never)
+    cropsLostToCrows: 0,
+    crowsScared: 0,
+    bestCombo: 0,           // longest harvest chain
+    deliveries: 0           // baskets tipped out at the barn (delivery rounds)
+});
+
+// Extra A* cost for cells inside a scarecrow's scare radius (crows avoid them)
+const SCARE_PATH_COST = 8;
+
+// Random rolls for a spawn spot before falling back to a list of free tiles
+const SPAWN_TRIES = 8;
+
+// Seconds left at which a timeWarning event goes out (each of the last ten)
+const TIME_WARNINGS = [10, 9, 8, 7, 6, 5, 4, 3, 2, 1];
+
+export class World {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.seed] seed for the default Random source
+     * @param {{random: Function, reseed?: Function}} [options.rng] random source
+     * @param {{move: {x: number, y: number}}} [options.input] input source (first farmer)
+     * @param {{move: {x: number, y: number}}[]} [options.inputs] one input source per farmer
+     * @param {object[]} [options.levels] level definitions (validated here, see Levels.js)
+     * @param {string} [options.mode] a GameMode
+     * @param {EventBus} [options.events] where gameplay events are emitted
+     * @param {Object<string, number>} [options.upgrades] shop upgrade levels (see Progression.js);
+     *        can be changed between rounds, takes effect on the next reset
+     * @param {boolean} [options.delivery] barn delivery rounds: crops score when carried to the barn
+     * @param {object} [options.difficulty] difficulty preset / custom values (see Difficulty.js);
+     *        like upgrades, a change takes effect on the next reset
+     */
+    constructor({ seed, rng = new Random(seed), input = { move: { x: 0, y: 0 } }, inputs = [input], levels = LEVELS, mode = GameMode.SOLO, events = new EventBus(), upgrades = {}, delivery = false, difficulty = NORMAL_DIFFICULTY } = {}) {
+        if (!Object.values(GameMode).includes(mode)) throw new Error(`Unknown game mode: ${mode}`);
+        this.upgrades = checkUpgrades(upgrades);
+        this.difficulty = checkDifficulty(difficulty);
+        this.delivery = !!delivery;
+        this.rng = rng;
+        this.inputs = inputs;
+        this.events = events;
+        this.mode = mode;
+        this.state = State.MENU;
+
+        // Levels (throws a LevelError if any definition is bad)
+        this.levels = loadLevels(levels);
+        this.levelIndex = 0;
+        this.width = this.level.width;     // field size in world pixels
+        this.height = this.level.height;
+        this.tileMap = buildTileMap(this.level, this.rng);   // terrain (fences, water, mud)
+        this.weather = new Weather(this.level);               // time of day + weather (see Weather.js)
+
+        // World entities
+        this.players = this.createPlayers();
+        this.crops = [];
+        this.powerUps = [];
+        this.obstacles = [];
+        this.crows = [];
+        this.barn = this.createBarn();   // null unless delivering
+
+        // Spatial indexes for collision / harvest checks. Anything added to the
+        // lists above has to go through addCrop / addPowerUp / addObstacle.
+        this.cropIndex = new SpatialHash(TILE);
+        this.powerUpIndex = new SpatialHash(TILE);
+        this.obstacleIndex = new SpatialHash(TILE);
+
+        // Walkability grid for crow pathfinding (rebuilt when obstacles change)
+        this.navGrid = new NavGrid(Math.ceil(this.width / TILE), Math.ceil(this.height / TILE), TILE);
+        this.maxScareRadius = 0;
+
+        // Timing
+        this.duration = this.durationFor(this.level);
+        this.timeLeft = this.duration;
+        this.spawnEvery = this.level.spawnEvery / this.difficulty.cropSpawn;
+        this.powerUpSpawnEvery = this.powerUpSpawnFor(this.level);
+        this._accumSpawn = 0;
+        this._accumPowerUpSpawn = 0;
+        this._accumCrowSpawn = 0;
+
+        // Goal (scores are kept per farmer, see `score`)
+        this.goal = this.goalFor(this.level);
+        this.winner = null;    // versus: the farmer who reached the goal first
+        this.stats = createStats();
+    }
+
+    get seed() {
+        return this.rng.seed;
+    }
+
+    get level() {
+        return this.levels[this.levelIndex];
+    }
+
+    get isLastLevel() {
+        return this.levelIndex >= this.levels.length - 1;
+    }
+
+    /**
+     * The first farmer (the only one in solo games)
+     */
+    get player() {
+        return this.players[0];
+    }
+
+    /**
+     * Score checked against the goal: the shared total in solo / co-op,
+     * the leading farmer's score in versus
+     */
+    get score() {
+        const scores = this.players.map(p => p.score);
+        return this.mode === GameMode.VERSUS ? Math.max(...scores) : scores.reduce((a, b) => a + b, 0);
+    }
+
+    goalFor(level) {
+        const goal = this.mode === GameMode.COOP ? Math.ceil(level.goal * COOP_GOAL_SCALE) : level.goal;
+        return Math.max(1, Math.round(goal * this.difficulty.goal));
+    }
+
+    durationFor(level) {
+        return level.duration * this.difficulty.time;
+    }
+
+    /**
+     * Seconds between power-up spawns (never, when the difficulty turns them off)
+     */
+    powerUpSpawnFor(level) {
+        return this.difficulty.powerUps ? level.powerUpSpawnEvery : Infinity;
+    }
+
+    /**
+     * Fresh farmers for the mode, spread evenly along the bottom of the field
+     */
+    createPlayers() {
+        const count = playerCount(this.mode);
+        return Array.from({ length: count }, (_, i) => {
+            const start = farmerStart(this.width, this.height, i, count);
+            const farmer = new Farmer(start.x, start.y, i);
+            if (count > 1) farmer.label = `P${i + 1}`;
+            if (this.delivery) farmer.basket = new Basket();
+            farmer.baseSpeed *= this.difficulty.speed;
+            applyUpgrades(farmer, this.upgrades);
+            return farmer;
+        });
+    }
+
+    createBarn() {
+        return this.delivery ? new Barn(this.level.barn.x, this.level.barn.y) : null;
+    }
+
+    /**
+     * Change state and announce it (stateChanged)
+     */
+    setState(state) {
+        const from = this.state;
+        if (from === state) return;
+        this.state = state;
+        this.events.emit(GameEvent.STATE_CHANGED, { from, to: state });
+    }
+
+    /**
+     * Jump to a level (0-based) and reset to the menu there
+     */
+    goToLevel(index) {
+        this.levelIndex = clamp(index, 0, this.levels.length - 1);
+        this.reset();
+    }
+
+    /**
+     * Back to the menu with a fresh field.
+     * Pass a seed to restart the random sequence (needed for repeatable runs).
+     */
+    reset(seed) {
+        if (seed !== undefined && this.rng.reseed) this.rng.reseed(seed);
+
+        this.setState(State.MENU);
+        this.width = this.level.width;   // field size can change from level to level
+        this.height = this.level.height;
+        this.tileMap = buildTileMap(this.level, this.rng);
+        this.weather.reset(this.level);
+        this.players = this.createPlayers();
+        this.crops.length = 0;
+        this.powerUps.length = 0;
+        this.obstacles.length = 0;
+        this.crows.length = 0;
+        this.barn = this.createBarn();
+        this.cropIndex.clear();
+        this.powerUpIndex.clear();
+        this.obstacleIndex.clear();
+        this.winner = null;
+        this.stats = createStats();
+
+        // Round settings from the current level, scaled by the difficulty
+        const level = this.level;
+        this.duration = this.durationFor(level);
+        this.timeLeft = this.duration;
+        this.goal = this.goalFor(level);
+        this.spawnEvery = level.spawnEvery / this.difficulty.cropSpawn;
+        this.powerUpSpawnEvery = this.powerUpSpawnFor(level);
+        this._accumSpawn = 0;
+        this._accumPowerUpSpawn = 0;
+        this._accumCrowSpawn = 0;
+
+        keptObstacles(level.obstacles, this.difficulty.scarecrows).forEach(o => this.addObstacle(new OBSTACLE_TYPES[o.type](o.x, o.y)));
+        this.buildNavGrid();
+    }
+
+    /**
+     * Mark which grid cells crows can walk through, and make the ones near
+     * scarecrows expensive so paths steer clear of them when they can
+     */
+    buildNavGrid() {
+        const cols = Math.ceil(this.width / TILE), rows = Math.ceil(this.height / TILE);
+        if (this.navGrid.cols !== cols || this.navGrid.rows !== rows) this.navGrid = new NavGrid(cols, rows, TILE);
+        const nav = this.navGrid;
+        this.maxScareRadius = 0;
+        for (let row = 0; row < nav.rows; row++) {
+            for (let col = 0; col < nav.cols; col++) {
+                nav.setBlocked(col, row, this.hitsObstacle({ x: col * TILE, y: row * TILE, w: TILE, h: TILE }));
+            }
+        }
+
+        this.obstacles.filter(o => o.scareRadius).forEach(o => {
+            this.maxScareRadius = Math.max(this.maxScareRadius, o.scareRadius);
+            const cx = o.x + o.w / 2, cy = o.y + o.h / 2;
+            for (let row = 0; row < nav.rows; row++) {
+                for (let col = 0; col < nav.cols; col++) {
+                    const c = nav.cellCenter(col, row);
+                    if (Math.hypot(c.x - cx, c.y - cy) < o.scareRadius + TILE / 2) nav.addCost(col, row, SCARE_PATH_COST);
+                }
+            }
+        });
+    }
+
+    addCrop(crop) {
+        this.crops.push(crop);
+        this.cropIndex.insert(crop);
+    }
+
+    addPowerUp(powerUp) {
+        this.powerUps.push(powerUp);
+        this.powerUpIndex.insert(powerUp);
+    }
+
+    addObstacle(obstacle) {
+        this.obstacles.push(obstacle);
+        this.obstacleIndex.insert(obstacle);
+    }
+
+    /**
+     * Does a box overlap any obstacle's solid shapes, or a fence / water tile?
+     */
+    hitsObstacle(box) {
+        return this.tileMap.blocksBox(box) || this.obstacleIndex.query(box).some(o => boxHitsEntity(box, o));
+    }
+
+    /**
+     * A crow finished eating a crop before the farmer got to it
+     */
+    cropEaten(crop) {
+        crop.dead = true;
+        this.stats.cropsLostToCrows++;
+    }
+
+    /**
+     * Crow lands on a random walkable cell along the edge of the field
+     */
+    spawnCrow() {
+        const nav = this.navGrid;
+        const edgeCells = [];
+        for (let col = 0; col < nav.cols; col++) edgeCells.push({ col, row: 0 }, { col, row: nav.rows - 1 });
+        for (let row = 1; row < nav.rows - 1; row++) edgeCells.push({ col: 0, row }, { col: nav.cols - 1, row });
+        const open = edgeCells.filter(c => !nav.isBlocked(c.col, c.row));
+        if (!open.length) return;
+
+        const cell = this.rng.pick(open);
+        const { x, y } = nav.cellCenter(cell.col, cell.row);
+        const crow = new Crow(0, 0);
+        crow.x = x - crow.w / 2;
+        crow.y = y - crow.h / 2;
+        this.crows.push(crow);
+    }
+
+    /**
+     * Drop dead entities from a list and its index
+     */
+    removeDead(list, index) {
+        return list.filter(e => {
+            if (e.dead) index.remove(e);
+            return !e.dead;
+        });
+    }
+
+    /**
+     * Start a round or resume from PAUSED:
+     *   MENU / GAME_OVER → (re)play the current level
+     *   LEVEL_COMPLETE   → on to the next level
+     *   WIN              → back to the first level
+     */
+    start(seed) {
+        if (isRoundOver(this.state) || this.state === State.MENU) {
+            if (this.state === State.LEVEL_COMPLETE) this.levelIndex++;
+            else if (this.state === State.WIN) this.levelIndex = 0;
+            this.reset(seed);
+            this.setState(State.PLAYING);
+        } else if (this.state === State.PAUSED) {
+            this.setState(State.PLAYING);
+        }
+    }
+
+    togglePause() {
+        if (this.state === State.PLAYING) {
+            this.setState(State.PAUSED);
+        } else if (this.state === State.PAUSED) {
+            this.setState(State.PLAYING);
+        }
+    }
+
+    /**
+     * Goal reached: on to the next level, or the whole game is won
+     */
+    clearLevel() {
+        if (this.stats.timeToGoal === null) this.stats.timeToGoal = this.stats.elapsed;
+        this.setState(this.isLastLevel ? State.WIN : State.LEVEL_COMPLETE);
+    }
+
+    /**
+     * Random grid cell inside the border that isn't fence, water or the barn. Re-rolls a
+     * few times, then picks from the free tiles directly (a plain grass field
+     * always takes the first roll, so its random sequence is unchanged).
+     * Null if there's no free tile at all.
+     */
+    randomCell() {
+        const map = this.tileMap;
+        for (let i = 0; i < SPAWN_TRIES; i++) {
+            const gx = this.rng.int((this.width - 2 * TILE) / TILE) * TILE + TILE;
+            const gy = this.rng.int((this.height - 2 * TILE) / TILE) * TILE + TILE;
+            if (this.canSpawnAt(gx, gy)) return { gx, gy };
+        }
+        const free = [];
+        for (let row = 0; row < map.rows; row++) {
+            for (let col = 0; col < map.cols; col++) {
+                if (this.canSpawnAt(col * TILE, row * TILE)) free.push({ gx: col * TILE, gy: row * TILE });
+            }
+        }
+        return free.length ? this.rng.pick(free) : null;
+    }
+
+    canSpawnAt(gx, gy) {
+        return this.tileMap.canSpawnAt(gx / TILE, gy / TILE)
+            && !(this.barn && aabb({ x: gx, y: gy, w: TILE, h: TILE }, this.barn));
+    }
+
+    spawnCrop() {
+        const cell = this.randomCell();
+        if (!cell) return;   // field full
+        this.addCrop(new Crop(cell.gx, cell.gy, this.rollCropType(), this.rng));
+    }
+
+    /**
+     * Weighted pick from the level's cropOdds (golden apples boosted by upgrades)
+     */
+    rollCropType() {
+        const odds = Object.entries(upgradeCropOdds(this.level.cropOdds, this.upgrades));
+        const total = odds.reduce((sum, [, weight]) => sum + weight, 0);
+        let roll = this.rng.random() * total;
+        for (const [type, weight] of odds) {
+            if (roll < weight) return type;
+            roll -= weight;
+        }
+        return odds[odds.length - 1][0];
+    }
+
+    spawnPowerUp() {
+        const cell = this.randomCell();
+        if (!cell) return;
+        this.addPowerUp(new PowerUp(cell.gx, cell.gy, this.rollPowerUpType()));
+    }
+
+    /**
+     * Weighted pick from every registered power-up type (see PowerUps.js)
+     */
+    rollPowerUpType() {
+        const types = powerUpTypes().filter(def => def.weight > 0);
+        const total = types.reduce((sum, def) => sum + def.weight, 0);
+        let roll = this.rng.random() * total;
+        for (const def of types) {
+            if (roll < def.weight) return def.type;
+            roll -= def.weight;
+        }
+        return types[types.length - 1].type;
+    }
+
+    /**
+     * Crop collection for one farmer (normal vs scythe area effect).
+     * Seedlings and withered crops can't be picked; the scythe only cuts ripe ones,
+     * but walking into a growing crop picks it early for a penalty.
+     * Only crops in nearby grid cells are checked (see SpatialHash).
+     * In delivery rounds ripe crops go into the basket instead of the score —
+     * only as many as fit, nearest first — and a full basket picks nothing.
+     */
+    harvest(farmer) {
+        const basket = farmer.basket;
+        if (basket && basket.full) return;
+        let collectedCrops;
+        if (farmer.hasScythe) {
+            const scytheRange = farmer.scytheRange;
+            const near = this.cropIndex.queryRadius(farmer.x + farmer.w / 2, farmer.y + farmer.h / 2, scytheRange);
+            collectedCrops = near.filter(c => {
+                if (c.dead || !c.harvestable) return false;
+                if (c.stage !== GrowthStage.RIPE) return aabb(farmer, c); // walked right into it
+                const dx = (farmer.x + farmer.w / 2) - (c.x + c.w / 2);
+                const dy = (farmer.y + farmer.h / 2) - (c.y + c.h / 2);
+                return Math.sqrt(dx * dx + dy * dy) <= scytheRange;
+            });
+        } else {
+            collectedCrops = this.cropIndex.query(farmer).filter(c => !c.dead && c.harvestable && aabb(farmer, c));
+        }
+        if (!collectedCrops.length) return;
+
+        // Ripe crops first, each extending the farmer's combo chain (see Combo.js);
+        // an unripe pick then breaks it. Multipliers (double points, combo) only
+        // boost real harvests, never penalties.
+        const combo = farmer.combo;
+        let ripe = collectedCrops.filter(c => c.value > 0);
+        const unripe = collectedCrops.filter(c => c.value < 0);
+        if (basket && ripe.length > basket.space) {
+            const cx = farmer.x + farmer.w / 2, cy = farmer.y + farmer.h / 2;
+            const distance = c => Math.hypot(c.x + c.w / 2 - cx, c.y + c.h / 2 - cy);
+            ripe = ripe.sort((a, b) => distance(a) - distance(b)).slice(0, basket.space);
+        }
+        const harvested = [];
+        const bonuses = [];
+        ripe.forEach(crop => {
+            this.stats.cropsByType[crop.type] = (this.stats.cropsByType[crop.type] || 0) + 1;
+            const streak = combo.add(crop.type);
+            if (streak) bonuses.push({ kind: "streak", points: streak });
+            harvested.push({ crop, points: crop.value * farmer.scoreMultiplier * combo.multiplier, combo: combo.chain, multiplier: combo.multiplier });
+        });
+        this.stats.bestCombo = Math.max(this.stats.bestCombo, combo.chain);
+        if (farmer.hasScythe && sweepBonus(ripe.length)) bonuses.push({ kind: "sweep", points: sweepBonus(ripe.length) });
+        unripe.forEach(crop => {
+            this.stats.unripePicked++;
+            combo.break();
+            harvested.push({ crop, points: crop.value, combo: 0, multiplier: 1 });
+        });
+        [...ripe, ...unripe].forEach(c => { c.dead = true; });
+
+        // Delivery rounds: real harvests ride in the basket, penalties still hit at once
+        let scored = [...harvested, ...bonuses];
+        if (basket) {
+            harvested.filter(h => h.points > 0).forEach(h => basket.add(h.crop.type, h.points));
+            bonuses.forEach(b => basket.addBonus(b.points));
+            scored = harvested.filter(h => h.points < 0);
+        }
+        const points = scored.reduce((sum, h) => sum + h.points, 0);
+        farmer.score = Math.max(0, farmer.score + points);
+        farmer.swing();
+        harvested.forEach(h => this.events.emit(GameEvent.CROP_HARVESTED, { farmer, ...h }));
+        bonuses.forEach(b => this.events.emit(GameEvent.COMBO_BONUS, { farmer, ...b }));
+        this.checkGoal(farmer);
+    }
+
+    /**
+     * Delivery rounds: a farmer at the barn tips out their basket and scores it
+     */
+    deliver(farmer) {
+        const basket = farmer.basket;
+        if (!basket || !basket.count || !aabb(farmer, this.barn)) return;
+        const { count, points } = basket.empty();
+        farmer.score += points;
+        this.stats.deliveries++;
+        this.events.emit(GameEvent.CROPS_DELIVERED, { farmer, count, points });
+        this.checkGoal(farmer);
+    }
+
+    /**
+     * Clear the level once `farmer`'s points reach the goal
+     * (someone may already have cleared it earlier this frame)
+     */
+    checkGoal(farmer) {
+        if (this.state === State.PLAYING && this.score >= this.goal) {
+            if (this.mode === GameMode.VERSUS) this.winner = farmer;
+            this.clearLevel();
+        }
+    }
+
+    collectPowerUps(farmer) {
+        const collected = this.powerUpIndex.query(farmer).filter(p => !p.dead && aabb(farmer, p));
+        collected.forEach(p => {
+            p.dead = true;
+            farmer.addPowerUp(p);
+            this.stats.powerUpsUsed[p.type] = (this.stats.powerUpsUsed[p.type] || 0) + 1;
+            this.events.emit(GameEvent.POWER_UP_COLLECTED, { farmer, type: p.type, effect: farmer.activePowerUps.get(p.type) });
+        });
+    }
+
+    update(dt) {
+        if (this.state !== State.PLAYING) return;
+
+        // Countdown timer (a time freeze power-up stops it)
+        const before = this.timeLeft;
+        if (!this.players.some(p => p.timeFrozen)) this.timeLeft = clamp(this.timeLeft - dt, 0, this.duration);
+        TIME_WARNINGS.forEach(secondsLeft => {
+            if (before > secondsLeft && this.timeLeft <= secondsLeft) this.events.emit(GameEvent.TIME_WARNING, { secondsLeft });
+        });
+        if (this.timeLeft <= 0) {
+            if (this.score >= this.goal) this.clearLevel();
+            else this.setState(State.GAME_OVER);
+            return;
+        }
+
+        this.stats.elapsed += dt;
+        this.weather.update(dt, this);
+
+        // Player input & movement
+        this.players.forEach((farmer, i) => {
+            const { x: oldX, y: oldY } = farmer;
+            farmer.handleInput(this.inputs[i] || IDLE_INPUT);
+            farmer.update(dt, this);
+            this.stats.distance += Math.hypot(farmer.x - oldX, farmer.y - oldY);
+        });
+
+        // Spawning crops & powerups (night and rain change the rates)
+        const spawnEvery = this.spawnEvery / this.weather.cropSpawnRate;
+        this._accumSpawn += dt;
+        while (this._accumSpawn >= spawnEvery) {
+            this._accumSpawn -= spawnEvery;
+            this.spawnCrop();
+        }
+        const powerUpSpawnEvery = this.powerUpSpawnEvery / this.weather.powerUpSpawnRate;
+        this._accumPowerUpSpawn += dt;
+        while (this._accumPowerUpSpawn >= powerUpSpawnEvery) {
+            this._accumPowerUpSpawn -= powerUpSpawnEvery;
+            this.spawnPowerUp();
+        }
+        if (this.level.crowSpawnEvery) {
+            this._accumCrowSpawn += dt;
+            while (this._accumCrowSpawn >= this.level.crowSpawnEvery) {
+                this._accumCrowSpawn -= this.level.crowSpawnEvery;
+                if (this.crows.length < this.level.maxCrows) this.spawnCrow();
+            }
+        }
+
+        // Harvest, power-ups & deliveries, farmer by farmer (P1 wins a crop both touch in the same frame)
+        this.players.forEach(farmer => {
+            this.harvest(farmer);
+            this.collectPowerUps(farmer);
+            this.deliver(farmer);
+        });
+
+        // Clean up dead entities & update others
+        this.crops = this.removeDead(this.crops, this.cropIndex);
+        this.powerUps = this.removeDead(this.powerUps, this.powerUpIndex);
+        this.crops.forEach(c => c.update(dt, this));
+        this.powerUps.forEach(p => p.update(dt, this));
+
+        // Crows go after crops (and may eat one before the next harvest check)
+        this.crows.forEach(c => c.update(dt, this));
+        this.crows = this.crows.filter(c => !c.dead);
+    }
+}
@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Headless checks for the World core — run with `node --test` in this folder
+ *
+ * World never touches the DOM, so it runs as-is under Node: seeded runs must
+ * repeat exactly, rounds must end the right way and power-ups must run out on time.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { World, State } from './World.js';
+import { PowerUp, GrowthStage } from './Crop.js';
+import { GameEvent } from './Events.js';
+
+const DT = 1 / 60;
+
+/**
+ * Steer the farmer towards the nearest ripe crop
+ */
+function steer(world, input) {
+    const farmer = world.player;
+    const cx = farmer.x + farmer.w / 2, cy = farmer.y + farmer.h / 2;
+    let best = null, bestDistance = Infinity;
+    world.crops.forEach(c => {
+        if (c.stage !== GrowthStage.RIPE) return;
+        const d = Math.hypot(c.x + c.w / 2 - cx, c.y + c.h / 2 - cy);
+        if (d < bestDistance) {
+            best = c;
+            bestDistance = d;
+        }
+    });
+    input.move = { x: 0, y: 0 };
+    if (!best) return;
+    const dx = best.x + best.w / 2 - cx, dy = best.y + best.h / 2 - cy;
+    input.move = { x: dx > 4 ? 1 : dx < -4 ? -1 : 0, y: dy > 4 ? 1 : dy < -4 ? -1 : 0 };
+}
+
+/**
+ * Play one whole round from `seed`; returns the world and every crop spawned (type and place)
+ */
+function playRound(seed) {
+    const input = { move: { x: 0, y: 0 } };
+    const world = new World({ seed, input });
+    world.start(seed);
+    const spawns = [];
+    const spawnCrop = world.spawnCrop.bind(world);
+    world.spawnCrop = () => {
+        const count = world.crops.length;
+        spawnCrop();
+        if (world.crops.length > count) {
+            const crop = world.crops[world.crops.length - 1];
+            spawns.push([crop.type, crop.x, crop.y]);
+        }
+    };
+    while (world.state === State.PLAYING) {
+        steer(world, input);
+        world.update(DT);
+    }
+    return { world, spawns };
+}
+
+/**
+ * Spawn a crop, ripen it and stand the farmer on it
+ */
+function cropUnderFarmer(world) {
+    world.spawnCrop();
+    const crop = world.crops[world.crops.length - 1];
+    crop.stage = GrowthStage.RIPE;
+    world.player.x = crop.x;
+    world.player.y = crop.y;
+    return crop;
+}
+
+test("the same seed and inputs give the same spawns, score and ending", () => {
+    const a = playRound(42), b = playRound(42);
+    assert.ok(a.spawns.length > 0);
+    assert.deepEqual(b.spawns, a.spawns);
+    assert.equal(b.world.score, a.world.score);
+    assert.equal(b.world.state, a.world.state);
+    assert.equal(b.world.timeLeft, a.world.timeLeft);
+
+    assert.notDeepEqual(playRound(43).spawns, a.spawns);
+});
+
+test("reaching the goal clears the level, and Start moves on to the next", () => {
+    const world = new World({ seed: 1 });
+    world.start(1);
+    world.player.score = world.goal - 1;
+    cropUnderFarmer(world);
+    const changes = [];
+    world.events.on(GameEvent.STATE_CHANGED, e => changes.push([e.from, e.to]));
+
+    world.update(DT);
+    assert.equal(world.state, State.LEVEL_COMPLETE);
+    assert.ok(world.score >= world.goal);
+    assert.deepEqual(changes, [[State.PLAYING, State.LEVEL_COMPLETE]]);
+
+    world.start(2);
+    assert.equal(world.state, State.PLAYING);
+    assert.equal(world.levelIndex, 1);
+    assert.equal(world.score, 0);
+});
+
+test("clearing the last level wins the game", () => {
+    const world = new World({ seed: 1 });
+    world.goToLevel(world.levels.length - 1);
+    world.start(1);
+    world.player.score = world.goal - 1;
+    cropUnderFarmer(world);
+
+    world.update(DT);
+    assert.equal(world.state, State.WIN);
+    world.start(2);
+    assert.equal(world.levelIndex, 0);
+});
+
+test("running out of time short of the goal is game over", () => {
+    const world = new World({ seed: 1 });
+    world.start(1);
+    world.timeLeft = DT * 1.5;
+    world.update(DT);
+    assert.equal(world.state, State.PLAYING);
+    world.update(DT);
+    assert.equal(world.state, State.GAME_OVER);
+    assert.equal(world.timeLeft, 0);
+
+    world.update(DT);
+    assert.equal(world.state, State.GAME_OVER);
+});
+
+test("a power-up runs out after its duration", () => {
+    const world = new World({ seed: 1 });
+    world.start(1);
+    world.spawnPowerUp = () => {};   // only the one placed below
+    const farmer = world.player;
+    const powerUp = new PowerUp(farmer.x, farmer.y, "speed");
+    world.addPowerUp(powerUp);
+    const expired = [];
+    world.events.on(GameEvent.POWER_UP_EXPIRED, e => expired.push(e.type));
+
+    world.update(DT);   // picked up after the farmer moved this frame...
+    assert.ok(farmer.activePowerUps.has("speed"));
+    world.update(DT);   // ...so it starts ticking (and boosting) on the next
+    assert.ok(farmer.speed > farmer.baseSpeed);
+
+    // Still on just short of its duration, gone just after
+    const frames = Math.round(powerUp.duration / DT);
+    for (let i = 0; i < frames - 2; i++) world.update(DT);
+    assert.ok(farmer.activePowerUps.has("speed"));
+    assert.deepEqual(expired, []);
+
+    world.update(DT);
+    world.update(DT);
+    assert.ok(!farmer.activePowerUps.has("speed"));
+    assert.deepEqual(expired, ["speed"]);
+    assert.equal(farmer.speed, farmer.baseSpeed);
+});
+
+test("a field with nowhere free to spawn just spawns nothing", () => {
+    const world = new World({ seed: 1 });
+    world.start(1);
+    world.tileMap.canSpawnAt = () => false;
+    const crops = world.crops.length, powerUps = world.powerUps.length;
+    world.spawnCrop();
+    world.spawnPowerUp();
+    for (let i = 0; i < 120; i++) world.update(DT);
+    assert.equal(world.crops.length, crops);
+    assert.equal(world.powerUps.length, powerUps);
+    assert.equal(world.state, State.PLAYING);
+});
@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Arabic (العربية) — right to left, with all six plural forms
+ */
+
+export default {
+    name: "العربية",
+    dir: "rtl",
+    messages: {
+        // Page (index.html)
+        "page.title": "حصاد المزارع",
+        "page.canvas": "ساحة لعب حصاد المزارع",
+        "page.joystick": "عصا التحكم بالحركة",
+        "ui.start": "ابدأ",
+        "ui.reset": "إعادة",
+        "ui.pause": "إيقاف مؤقت",
+        "ui.play": "تشغيل",
+        "ui.step": "خطوة",
+        "ui.players": "اللاعبون:",
+        "ui.mode.solo": "لاعب واحد",
+        "ui.mode.coop": "لاعبان — تعاون",
+        "ui.mode.versus": "لاعبان — تنافس",
+        "ui.delivery": "التوصيل إلى الحظيرة",
+        "ui.settings": "الإعدادات",
+        "ui.language": "اللغة:",
+        "ui.exportReplay": "تصدير الإعادة",
+        "ui.importReplay": "استيراد إعادة",
+        "ui.levelsInvalid": "بيانات المراحل غير صالحة — راجع وحدة التحكم",
+
+        // HUD labels and status (Hud.js)
+        "hud.level": "المرحلة:",
+        "hud.score": "النقاط:",
+        "hud.time": "الوقت:",
+        "hud.seconds": "ث",
+        "hud.goal": "الهدف:",
+        "hud.goalUnit": { zero: "نقطة", one: "نقطة", two: "نقطتان", few: "نقاط", many: "نقطةً", other: "نقطة" },
+        "hud.combo": "السلسلة:",
+        "hud.sky": "السماء:",
+        "hud.basket": "السلة:",
+        "hud.levelOf": "{n}/{total} {name}",
+        "hud.sky.value": "{phase} · {weather}",
+        "hud.basketContents": "{count}/{capacity} — {contents} ({points} نقطة)",
+        "hud.basketEmpty": "{count}/{capacity}",
+        "hud.basketItem": "{crop} ×{n}",
+        "hud.powerUpTime": "{name}: {n} ث",
+        "hud.stacks": "{name} ×{n}",
+        "hud.playerWins": "فاز اللاعب {n}!",
+        "status.menu": "القائمة",
+        "status.playing": "جارٍ اللعب…",
+        "status.paused": "متوقف مؤقتًا",
+        "status.levelComplete": "اجتزت المرحلة!",
+        "status.gameOver": "انتهت اللعبة",
+        "status.win": "لقد فزت!",
+        "status.loading": "جارٍ التحميل…",
+        "status.replayDone": "انتهت الإعادة",
+        "status.replayPaused": "الإعادة (متوقفة)",
+        "status.replaySpeed": "الإعادة {speed}×",
+
+        // Day, weather and announcements (Hud.js banner, Announcer.js)
+        "phase.dawn": "فجر",
+        "phase.day": "نهار",
+        "phase.dusk": "غسق",
+        "phase.night": "ليل",
+        "phase.dawn.announce": "طلع الفجر",
+        "phase.day.announce": "صباح — أشرقت الشمس",
+        "phase.dusk.announce": "غسق — الليل قادم",
+        "phase.night.announce": "حلّ الليل: محاصيل أقل، لكن المعززات تتوهج في الظلام",
+        "weather.clear": "صحو",
+        "weather.rain": "مطر",
+        "weather.wind": "رياح",
+        "weather.clear.announce": "صفت السماء",
+        "weather.rain.announce": "مطر! المحاصيل تنبت أسرع، لكن الأرض المبللة تبطئك",
+        "weather.wind.announce": "رياح قوية تهب على الحقل",
+
+        // Crops and power-ups
+        "crop.wheat": "قمح",
+        "crop.pumpkin": "يقطين",
+        "crop.goldenApple": "تفاحة ذهبية",
+        "powerUp.speed": "تسريع",
+        "powerUp.scythe": "منجل",
+        "powerUp.magnet": "مغناطيس المحاصيل",
+        "powerUp.freeze": "تجميد الوقت",
+        "powerUp.double": "نقاط مضاعفة",
+
+        // Canvas (Game.js)
+        "canvas.loading": "جارٍ تحميل الرسومات… {done}/{total}",
+        "canvas.replayFrame": "إعادة — الإطار {frame} / {total}",
+        "canvas.menu": "اضغط ابدأ للعب",
+        "canvas.paused": "متوقف مؤقتًا (اضغط P للمتابعة)",
+        "canvas.levelCleared": "اجتزت المرحلة {n}! اضغط ابدأ للمرحلة {next}",
+        "canvas.playerTakesLevel": "اللاعب {player} يفوز بالمرحلة {n}! اضغط ابدأ للمرحلة {next}",
+        "canvas.versusTimeUp": "انتهى الوقت — لم يبلغ أحد الهدف! اضغط ابدأ لإعادة المرحلة",
+        "canvas.gameOver": "انتهى الوقت! اضغط ابدأ لإعادة المحاولة، أو إعادة للرجوع إلى القائمة",
+        "canvas.playerWins": "اللاعب {player} يفوز بالمرحلة الأخيرة! اضغط ابدأ للعب من جديد",
+        "canvas.win": "اكتمل الحصاد — اجتزت كل المراحل! اضغط ابدأ للعب من جديد",
+        "canvas.sweep": "حصد جماعي +{n}!",
+        "canvas.streak": "سلسلة +{n}!",
+
+        // Screen reader lines (Announcer.js)
+        "announce.player": "اللاعب {n}: {text}",
+        "announce.delivered": {
+            zero: "لم يُسلَّم أي محصول.",
+            one: "سُلِّم محصول واحد مقابل {points} نقطة.",
+            two: "سُلِّم محصولان مقابل {points} نقطة.",
+            few: "سُلِّمت {n} محاصيل مقابل {points} نقطة.",
+            many: "سُلِّم {n} محصولًا مقابل {points} نقطة.",
+            other: "سُلِّم {n} محصول مقابل {points} نقطة."
+        },
+        "announce.powerUp": {
+            zero: "{name} لأقل من ثانية.",
+            one: "{name} لمدة ثانية واحدة.",
+            two: "{name} لمدة ثانيتين.",
+            few: "{name} لمدة {n} ثوانٍ.",
+            many: "{name} لمدة {n} ثانية.",
+            other: "{name} لمدة {n} ثانية."
+        },
+        "announce.powerUpOver": "انتهى {name}.",
+        "announce.secondsLeft": {
+            zero: "انتهى الوقت!",
+            one: "بقيت ثانية واحدة!",
+            two: "بقيت ثانيتان!",
+            few: "بقيت {n} ثوانٍ!",
+            many: "بقيت {n} ثانية!",
+            other: "بقيت {n} ثانية!"
+        },
+        "announce.phase.dawn": "طلع الفجر.",
+        "announce.phase.day": "صباح.",
+        "announce.phase.dusk": "غسق. الليل قادم.",
+        "announce.phase.night": "حلّ الليل. محاصيل أقل ومعززات أكثر.",
+        "announce.weather": "{text}.",
+        "announce.resumed": "استؤنف اللعب.",
+        "announce.paused": "توقف مؤقت.",
+        "announce.roundStart": {
+            zero: "المرحلة {level} من {total}، {name}. الهدف: {goal} نقطة.",
+            one: "المرحلة {level} من {total}، {name}. الهدف: {goal} نقطة في ثانية واحدة.",
+            two: "المرحلة {level} من {total}، {name}. الهدف: {goal} نقطة في ثانيتين.",
+            few: "المرحلة {level} من {total}، {name}. الهدف: {goal} نقطة في {n} ثوانٍ.",
+            many: "المرحلة {level} من {total}، {name}. الهدف: {goal} نقطة في {n} ثانية.",
+            other: "المرحلة {level} من {total}، {name}. الهدف: {goal} نقطة في {n} ثانية."
+        },
+        "announce.levelCleared": "اجتزت المرحلة بـ {score} نقطة! اضغط ابدأ للمرحلة التالية.",
+        "announce.playerTakesLevel": "اللاعب {player} يفوز بالمرحلة بـ {score} نقطة! اضغط ابدأ للمرحلة التالية.",
+        "announce.versusTimeUp": "انتهى الوقت. لم يبلغ أحد الهدف.",
+        "announce.timeUp": "انتهى الوقت. {score} من {goal} نقطة. اضغط ابدأ لإعادة المحاولة.",
+        "announce.playerWins": "اللاعب {player} يفوز بالمرحلة الأخيرة!",
+        "announce.win": "اكتمل الحصاد، اجتزت كل المراحل بـ {score} نقطة!",
+        "announce.milestone.quarter": "{score} نقطة، ربع الطريق إلى {goal}.",
+        "announce.milestone.half": "{score} نقطة، منتصف الطريق إلى {goal}.",
+        "announce.milestone.threeQuarters": "{score} نقطة، ثلاثة أرباع الطريق إلى {goal}.",
+
+        // Settings menu (SettingsView.js)
+        "settings.title": "الإعدادات",
+        "settings.difficulty": "الصعوبة",
+        "settings.presets": "مستوى الصعوبة",
+        "settings.custom": "مخصص",
+        "settings.customHint": "أي تغيير هنا ينقلك إلى المخصص. القيم نسبة من قيم كل مرحلة.",
+        "settings.time": "مدة الجولة",
+        "settings.goal": "الهدف",
+        "settings.cropSpawn": "ظهور المحاصيل",
+        "settings.speed": "سرعة المزارع",
+        "settings.scarecrows": "الفزاعات",
+        "settings.powerUps": "المعززات",
+        "settings.restartHint": "تغيير الصعوبة يعيد اللعب من القائمة. Esc للإغلاق.",
+        "settings.done": "تم",
+        "settings.percent": "{n}%",
+        "difficulty.easy": "سهل",
+        "difficulty.normal": "عادي",
+        "difficulty.hard": "صعب",
+        "difficulty.custom": "مخصص",
+
+        // High scores and last round (LeaderboardView.js)
+        "scores.title": "أعلى النتائج",
+        "scores.clear": "مسح البيانات المحفوظة",
+        "scores.confirmClear": "مسح كل النتائج المحفوظة؟",
+        "scores.empty": "لا نتائج بعد — أكمل جولة!",
+        "scores.entry": "{initials} — {score} نقطة ({details})",
+        "scores.goalIn": "{entry} · الهدف في {n} ث",
+        "scores.newHigh": "نتيجة قياسية جديدة! أحرفك الأولى:",
+        "scores.save": "حفظ",
+        "mode.coop": "تعاون",
+        "mode.versus": "تنافس",
+        "stats.title": "الجولة الأخيرة",
+        "stats.crops": "المحاصيل المحصودة",
+        "stats.unripe": "قُطفت قبل نضجها",
+        "stats.crowsAte": "أكلتها الغربان",
+        "stats.crowsScared": "غربان أُخيفت",
+        "stats.bestCombo": "أفضل سلسلة",
+        "stats.deliveries": "سلال مُسلَّمة",
+        "stats.powerUps": "المعززات المستخدمة",
+        "stats.none": "لا شيء",
+        "stats.distance": "المسافة المقطوعة",
+        "stats.tiles": { zero: "{n} مربع", one: "مربع واحد", two: "مربعان", few: "{n} مربعات", many: "{n} مربعًا", other: "{n} مربع" },
+        "stats.timeToGoal": "الوقت حتى الهدف",
+        "stats.seconds": "{n} ث",
+        "stats.count": "{name} ×{n}",
+
+        // Shop (ShopView.js)
+        "shop.title": "المتجر",
+        "shop.coins": "العملات:",
+        "shop.hint": "كل نقطة تحرزها تُدفع لك عملةً عند نهاية الجولة. الترقيات دائمة.",
+        "shop.reset": "مسح التقدم",
+        "shop.confirmReset": "مسح كل العملات والترقيات؟",
+        "shop.earned": "+{n} من الجولة الأخيرة",
+        "shop.item": "{name} ({level}/{max}) — {description}",
+        "shop.buy": { zero: "شراء · مجانًا", one: "شراء · عملة واحدة", two: "شراء · عملتان", few: "شراء · {n} عملات", many: "شراء · {n} عملةً", other: "شراء · {n} عملة" },
+        "shop.buyLabel": "شراء {name} المستوى {level}",
+        "shop.maxed": "بلغ الحد الأقصى",
+        "upgrade.speed": "أحذية متينة",
+        "upgrade.speed.description": "مشي أسرع بنسبة 6%",
+        "upgrade.powerUpTime": "تمائم دائمة",
+        "upgrade.powerUpTime.description": "المعززات تدوم أطول بنسبة 10%",
+        "upgrade.scytheRange": "منجل طويل",
+        "upgrade.scytheRange.description": "يصل المنجل أبعد بـ 10 بكسل",
+        "upgrade.goldenOdds": "بستان ذهبي",
+        "upgrade.goldenOdds.description": "فرصة التفاح الذهبي أكبر بنسبة 25%",
+
+        // Controls (BindingsView.js)
+        "controls.title": "التحكم",
+        "controls.hint": "انقر على مفتاح لتغييره (Esc للإلغاء). أذرع التحكم تعمل أيضًا: العصا اليسرى أو الأسهم للحركة، Start للإيقاف المؤقت، A للبدء. الذراع الأولى للاعب 1 والثانية للاعب 2.",
+        "controls.reset": "استعادة الإعدادات الافتراضية",
+        "controls.pressKey": "اضغط مفتاحًا…",
+        "controls.keyLabel": "{action}، المفتاح {n}",
+        "action.left": "اللاعب 1 يسار",
+        "action.right": "اللاعب 1 يمين",
+        "action.up": "اللاعب 1 أعلى",
+        "action.down": "اللاعب 1 أسفل",
+        "action.p2left": "اللاعب 2 يسار",
+        "action.p2right": "اللاعب 2 يمين",
+        "action.p2up": "اللاعب 2 أعلى",
+        "action.p2down": "اللاعب 2 أسفل",
+        "action.pause": "إيقاف مؤقت",
+        "action.start": "ابدأ",
+
+        // Sound and accessibility panels
+        "sound.title": "الصوت",
+        "sound.hint": "يبدأ الصوت أول مرة تنقر فيها على ابدأ.",
+        "sound.master": "الرئيسي",
+        "sound.music": "الموسيقى",
+        "sound.effects": "المؤثرات",
+        "sound.mute": "كتم",
+        "access.title": "إمكانية الوصول",
+        "access.palette": "الألوان",
+        "access.markers": "علامات شكل المحاصيل",
+        "access.reducedMotion": "تقليل الحركة",
+        "access.announce": "إعلانات قارئ الشاشة",
+        "palette.standard": "قياسي",
+        "palette.redGreen": "مناسب لعمى الأحمر والأخضر",
+        "palette.blueYellow": "مناسب لعمى الأزرق والأصفر",
+        "palette.highContrast": "تباين عالٍ",
+
+        // Instructions (markup)
+        "help.title": "طريقة اللعب",
+        "help.farmer": "أنت تتحكم في <strong>المزارع</strong> (المربع البني بالقبعة الصفراء).",
+        "help.move": "استخدم <kbd>←</kbd> <kbd>→</kbd> <kbd>↑</kbd> <kbd>↓</kbd> أو <kbd>W</kbd> <kbd>A</kbd> <kbd>S</kbd> <kbd>D</kbd> (أو ذراع تحكم، أو عصا التحكم على الشاشات اللمسية) للتحرك وجمع المحاصيل 🌾 التي تظهر عشوائيًا.",
+        "help.twoPlayers": "لاعبان على لوحة مفاتيح واحدة: اللاعب 1 (البني) يستخدم <kbd>W</kbd> <kbd>A</kbd> <kbd>S</kbd> <kbd>D</kbd>، واللاعب 2 (الأزرق) مفاتيح الأسهم. في <em>التعاون</em> تتشاركان النقاط وهدفًا أكبر؛ وفي <em>التنافس</em> يفوز بالمرحلة أول من يبلغ الهدف.",
+        "help.powerUps": "التقط <strong>المعززات</strong>: التسريع، والمنجل (يحصد المحاصيل الناضجة حولك)، ومغناطيس المحاصيل، وتجميد الوقت (يوقف الساعة)، والنقاط المضاعفة. التقاط معزز لديك بالفعل يجدده أو يمدده أو يضاعفه.",
+        "help.scarecrows": "تجنب <strong>الفزاعات</strong> (عوائق خشبية) — لا يمكنك المرور عبرها.",
+        "help.terrain": "في بعض الحقول <strong>أسوار</strong> و<strong>ماء</strong> عليك الالتفاف حولها، و<strong>طين</strong> يبطئك.",
+        "help.crows": "احذر <strong>الغربان</strong> — تمشي إلى المحاصيل وتأكلها. اقترب منها لتخيفها؛ ولا تقترب من الفزاعات أيضًا.",
+        "help.levels": "لكل مرحلة وقتها وهدفها — الأولى تمنحك <strong>60 ثانية</strong> لجمع <strong>15 محصولًا</strong>. اجتز المرحلة واضغط <em>ابدأ</em> للتالية. الحقل الأخير أكبر من الشاشة ويتحرك معك.",
+        "help.weather": "في الحقول اللاحقة <strong>نهار وليل</strong> و<strong>طقس</strong>: في الليل لا ترى إلا ما حولك وتنمو محاصيل أقل (لكن المعززات تتوهج)، والمطر يسرّع نمو المحاصيل لكنه يبطئك، والرياح تدفعك.",
+        "help.delivery": "فعّل <em>التوصيل إلى الحظيرة</em> للعبة أصعب: تذهب المحاصيل إلى سلتك (8 على الأكثر، والسلة الممتلئة تبطئك) ولا تُحتسب إلا عندما تحملها إلى <strong>الحظيرة</strong>.",
+        "help.accessibility": "يصعب التمييز بين ألوان المحاصيل؟ اختر لوحة ألوان أخرى أو فعّل علامات الشكل في قسم <em>إمكانية الوصول</em>، وفيه أيضًا تقليل الحركة وإعلانات قارئ الشاشة.",
+        "help.shop": "كل نقطة تحرزها تُدفع لك عملةً. أنفق العملات في <strong>المتجر</strong> بين الجولات على ترقيات دائمة.",
+        "help.difficulty": "اللعبة سهلة جدًا أو صعبة جدًا؟ في <em>الإعدادات</em> سهل وعادي وصعب، أو مزيج مخصص من مدة الجولة والهدف وظهور المحاصيل وسرعة المزارع والفزاعات والمعززات. يظهر اختيارك بجانب الهدف ويُحفظ.",
+        "help.language": "اختر <em>اللغة</em> في الأعلى؛ وتتذكرها اللعبة.",
+        "help.keys": "اضغط <kbd>P</kbd> للإيقاف المؤقت أو المتابعة و<kbd>Enter</kbd> للبدء. استخدم <em>ابدأ</em> للبدء و<em>إعادة</em> للرجوع إلى القائمة."
+    }
+};
@@ -0,0 +1,246 @@
+/**
+ * @fileoverview English — the base bundle; every other locale falls back to it key by key
+ *
+ * Keys are grouped by where the text is shown. {name} placeholders are filled
+ * in by t(); an object of plural forms (zero / one / two / few / many / other,
+ * as Intl.PluralRules names them) is picked by the `n` param. "help.*" is
+ * markup for the instructions list, everything else is plain text.
+ */
+
+export default {
+    name: "English",
+    dir: "ltr",
+    messages: {
+        // Page (index.html)
+        "page.title": "Farmer Harvest",
+        "page.canvas": "Farmer Harvest playing field",
+        "page.joystick": "Movement joystick",
+        "ui.start": "Start",
+        "ui.reset": "Reset",
+        "ui.pause": "Pause",
+        "ui.play": "Play",
+        "ui.step": "Step",
+        "ui.players": "Players:",
+        "ui.mode.solo": "1 player",
+        "ui.mode.coop": "2 players — co-op",
+        "ui.mode.versus": "2 players — versus",
+        "ui.delivery": "Barn delivery",
+        "ui.settings": "Settings",
+        "ui.language": "Language:",
+        "ui.exportReplay": "Export replay",
+        "ui.importReplay": "Import replay",
+        "ui.levelsInvalid": "Level data is invalid — see console",
+
+        // HUD labels and status (Hud.js)
+        "hud.level": "Level:",
+        "hud.score": "Score:",
+        "hud.time": "Time:",
+        "hud.seconds": "s",
+        "hud.goal": "Goal:",
+        "hud.goalUnit": { one: "point", other: "points" },
+        "hud.combo": "Combo:",
+        "hud.sky": "Sky:",
+        "hud.basket": "Basket:",
+        "hud.levelOf": "{n}/{total} {name}",
+        "hud.sky.value": "{phase} · {weather}",
+        "hud.basketContents": "{count}/{capacity} — {contents} ({points} pts)",
+        "hud.basketEmpty": "{count}/{capacity}",
+        "hud.basketItem": "{n} {crop}",
+        "hud.powerUpTime": "{name}: {n}s",
+        "hud.stacks": "{name} ×{n}",
+        "hud.playerWins": "Player {n} wins!",
+        "status.menu": "Menu",
+        "status.playing": "Playing…",
+        "status.paused": "Paused",
+        "status.levelComplete": "Level cleared!",
+        "status.gameOver": "Game Over",
+        "status.win": "You Win!",
+        "status.loading": "Loading…",
+        "status.replayDone": "Replay finished",
+        "status.replayPaused": "Replay (paused)",
+        "status.replaySpeed": "Replay {speed}×",
+
+        // Day, weather and announcements (Hud.js banner, Announcer.js)
+        "phase.dawn": "Dawn",
+        "phase.day": "Day",
+        "phase.dusk": "Dusk",
+        "phase.night": "Night",
+        "phase.dawn.announce": "Dawn breaks",
+        "phase.day.announce": "Morning — the sun is up",
+        "phase.dusk.announce": "Dusk — night is coming",
+        "phase.night.announce": "Night falls: fewer crops, but power-ups glow in the dark",
+        "weather.clear": "Clear",
+        "weather.rain": "Rain",
+        "weather.wind": "Wind",
+        "weather.clear.announce": "The skies clear up",
+        "weather.rain.announce": "Rain! Crops sprout faster, but the wet ground slows you down",
+        "weather.wind.announce": "A strong wind is blowing across the field",
+
+        // Crops and power-ups
+        "crop.wheat": "Wheat",
+        "crop.pumpkin": "Pumpkin",
+        "crop.goldenApple": "Golden Apple",
+        "powerUp.speed": "Speed Boost",
+        "powerUp.scythe": "Scythe",
+        "powerUp.magnet": "Crop Magnet",
+        "powerUp.freeze": "Time Freeze",
+        "powerUp.double": "Double Points",
+
+        // Canvas (Game.js)
+        "canvas.loading": "Loading art… {done}/{total}",
+        "canvas.replayFrame": "Replay — frame {frame} / {total}",
+        "canvas.menu": "Press Start to play",
+        "canvas.paused": "Paused (press P to resume)",
+        "canvas.levelCleared": "Level {n} cleared! Press Start for level {next}",
+        "canvas.playerTakesLevel": "Player {player} takes level {n}! Press Start for level {next}",
+        "canvas.versusTimeUp": "Time up — nobody reached the goal! Press Start to replay the level",
+        "canvas.gameOver": "Time up! Press Start to retry the level, or Reset to return to Menu",
+        "canvas.playerWins": "Player {player} wins the final level! Press Start to play again",
+        "canvas.win": "Harvest complete — every level cleared! Press Start to play again",
+        "canvas.sweep": "Sweep +{n}!",
+        "canvas.streak": "Streak +{n}!",
+
+        // Screen reader lines (Announcer.js)
+        "announce.player": "Player {n}: {text}",
+        "announce.delivered": { one: "Delivered {n} crop for {points} points.", other: "Delivered {n} crops for {points} points." },
+        "announce.powerUp": { one: "{name} for {n} second.", other: "{name} for {n} seconds." },
+        "announce.powerUpOver": "{name} wore off.",
+        "announce.secondsLeft": { one: "{n} second left!", other: "{n} seconds left!" },
+        "announce.phase.dawn": "Dawn breaks.",
+        "announce.phase.day": "Morning.",
+        "announce.phase.dusk": "Dusk. Night is coming.",
+        "announce.phase.night": "Night falls. Fewer crops, more power-ups.",
+        "announce.weather": "{text}.",
+        "announce.resumed": "Resumed.",
+        "announce.paused": "Paused.",
+        "announce.roundStart": { one: "Level {level} of {total}, {name}. Goal: {goal} points in {n} second.",
+            other: "Level {level} of {total}, {name}. Goal: {goal} points in {n} seconds." },
+        "announce.levelCleared": "Level cleared with {score} points! Press Start for the next level.",
+        "announce.playerTakesLevel": "Player {player} takes the level with {score} points! Press Start for the next level.",
+        "announce.versusTimeUp": "Time up. Nobody reached the goal.",
+        "announce.timeUp": "Time up. {score} of {goal} points. Press Start to retry the level.",
+        "announce.playerWins": "Player {player} wins the final level!",
+        "announce.win": "Harvest complete, every level cleared, with {score} points!",
+        "announce.milestone.quarter": "{score} points, a quarter of the way to {goal}.",
+        "announce.milestone.half": "{score} points, halfway to {goal}.",
+        "announce.milestone.threeQuarters": "{score} points, three quarters of the way to {goal}.",
+
+        // Settings menu (SettingsView.js)
+        "settings.title": "Settings",
+        "settings.difficulty": "Difficulty",
+        "settings.presets": "Difficulty preset",
+        "settings.custom": "Custom",
+        "settings.customHint": "Changing anything here switches to Custom. Values are a share of each level's own.",
+        "settings.time": "Round time",
+        "settings.goal": "Goal",
+        "settings.cropSpawn": "Crop spawns",
+        "settings.speed": "Farmer speed",
+        "settings.scarecrows": "Scarecrows",
+        "settings.powerUps": "Power-ups",
+        "settings.restartHint": "Changing the difficulty starts over from the menu. Esc closes.",
+        "settings.done": "Done",
+        "settings.percent": "{n}%",
+        "difficulty.easy": "Easy",
+        "difficulty.normal": "Normal",
+        "difficulty.hard": "Hard",
+        "difficulty.custom": "Custom",
+
+        // High scores and last round (LeaderboardView.js)
+        "scores.title": "High Scores",
+        "scores.clear": "Clear saved data",
+        "scores.confirmClear": "Clear all saved high scores?",
+        "scores.empty": "No scores yet — finish a round!",
+        "scores.entry": "{initials} — {score} pts ({details})",
+        "scores.goalIn": "{entry} · goal in {n}s",
+        "scores.newHigh": "New high score! Your initials:",
+        "scores.save": "Save",
+        "mode.coop": "co-op",
+        "mode.versus": "versus",
+        "stats.title": "Last Round",
+        "stats.crops": "Crops harvested",
+        "stats.unripe": "Picked unripe",
+        "stats.crowsAte": "Lost to crows",
+        "stats.crowsScared": "Crows scared off",
+        "stats.bestCombo": "Best combo",
+        "stats.deliveries": "Baskets delivered",
+        "stats.powerUps": "Power-ups used",
+        "stats.none": "none",
+        "stats.distance": "Distance walked",
+        "stats.tiles": { one: "{n} tile", other: "{n} tiles" },
+        "stats.timeToGoal": "Time to goal",
+        "stats.seconds": "{n}s",
+        "stats.count": "{name} ×{n}",
+
+        // Shop (ShopView.js)
+        "shop.title": "Shop",
+        "shop.coins": "Coins:",
+        "shop.hint": "Every point you score is paid out as a coin when the round ends. Upgrades are permanent.",
+        "shop.reset": "Reset progress",
+        "shop.confirmReset": "Reset all coins and upgrades?",
+        "shop.earned": "+{n} from the last round",
+        "shop.item": "{name} ({level}/{max}) — {description}",
+        "shop.buy": { one: "Buy · {n} coin", other: "Buy · {n} coins" },
+        "shop.buyLabel": "Buy {name} level {level}",
+        "shop.maxed": "Maxed",
+        "upgrade.speed": "Sturdy Boots",
+        "upgrade.speed.description": "Walk 6% faster",
+        "upgrade.powerUpTime": "Lasting Charms",
+        "upgrade.powerUpTime.description": "Power-ups last 10% longer",
+        "upgrade.scytheRange": "Long Scythe",
+        "upgrade.scytheRange.description": "Scythe reaches 10 px further",
+        "upgrade.goldenOdds": "Golden Orchard",
+        "upgrade.goldenOdds.description": "Golden apples 25% more likely",
+
+        // Controls (BindingsView.js)
+        "controls.title": "Controls",
+        "controls.hint": "Click a key to change it (Esc cancels). Gamepads work too: left stick or d-pad to move, Start to pause, A to start. The first pad is player 1, the second player 2.",
+        "controls.reset": "Reset to defaults",
+        "controls.pressKey": "Press a key…",
+        "controls.keyLabel": "{action}, key {n}",
+        "action.left": "Player 1 left",
+        "action.right": "Player 1 right",
+        "action.up": "Player 1 up",
+        "action.down": "Player 1 down",
+        "action.p2left": "Player 2 left",
+        "action.p2right": "Player 2 right",
+        "action.p2up": "Player 2 up",
+        "action.p2down": "Player 2 down",
+        "action.pause": "Pause",
+        "action.start": "Start",
+
+        // Sound and accessibility panels
+        "sound.title": "Sound",
+        "sound.hint": "Sound starts the first time you click Start.",
+        "sound.master": "Master",
+        "sound.music": "Music",
+        "sound.effects": "Effects",
+        "sound.mute": "Mute",
+        "access.title": "Accessibility",
+        "access.palette": "Colours",
+        "access.markers": "Crop shape markers",
+        "access.reducedMotion": "Reduced motion",
+        "access.announce": "Screen reader announcements",
+        "palette.standard": "Standard",
+        "palette.redGreen": "Red–green safe",
+        "palette.blueYellow": "Blue–yellow safe",
+        "palette.highContrast": "High contrast",
+
+        // Instructions (markup)
+        "help.title": "How to Play",
+        "help.farmer": "You control the <strong>farmer</strong> (brown square with a yellow hat).",
+        "help.move": "Use <kbd>←</kbd> <kbd>→</kbd> <kbd>↑</kbd> <kbd>↓</kbd> or <kbd>W</kbd> <kbd>A</kbd> <kbd>S</kbd> <kbd>D</kbd> (or a gamepad, or the on-screen joystick on touch screens) to move and collect crops 🌾 that randomly appear.",
+        "help.twoPlayers": "Two players on one keyboard: player 1 (brown) uses <kbd>W</kbd> <kbd>A</kbd> <kbd>S</kbd> <kbd>D</kbd>, player 2 (blue) the arrow keys. In <em>co-op</em> you share one score and a bigger goal; in <em>versus</em> the first to reach the goal takes the level.",
+        "help.powerUps": "Grab <strong>power-ups</strong>: speed boost, scythe (cuts ripe crops around you), crop magnet, time freeze (stops the clock) and double points. Picking up one you already have refreshes, extends or stacks it.",
+        "help.scarecrows": "Avoid <strong>scarecrows</strong> (wooden obstacles) — you can’t pass through them.",
+        "help.terrain": "Some fields have <strong>fences</strong> and <strong>water</strong> you have to walk around, and <strong>mud</strong> that slows you down.",
+        "help.crows": "Watch out for <strong>crows</strong> — they walk to crops and eat them. Get close to scare them off; they won’t go near scarecrows either.",
+        "help.levels": "Each level has its own time limit and goal — the first gives you <strong>60 seconds</strong> to collect <strong>15 crops</strong>. Clear a level and press <em>Start</em> for the next one. The last field is bigger than the screen and scrolls with you.",
+        "help.weather": "Later fields have <strong>day and night</strong> and <strong>weather</strong>: at night you only see what's near you and fewer crops grow (but power-ups glow), rain makes crops sprout faster but slows you down, and wind pushes you around.",
+        "help.delivery": "Tick <em>Barn delivery</em> for a harder game: crops go into your basket (8 at most, and a full one slows you down) and only score once you carry them to the <strong>barn</strong>.",
+        "help.accessibility": "Crop colours hard to tell apart? Pick another palette or turn on shape markers in the <em>Accessibility</em> panel, which also has reduced motion and screen reader announcements.",
+        "help.shop": "Every point you score is paid out as a coin. Spend coins in the <strong>shop</strong> between rounds on permanent upgrades.",
+        "help.difficulty": "Too easy or too hard? <em>Settings</em> has Easy, Normal and Hard, or a Custom mix of round time, goal, crop spawns, farmer speed, scarecrows and power-ups. Your choice is shown next to the goal and remembered.",
+        "help.language": "Pick your <em>Language</em> at the top; the game remembers it.",
+        "help.keys": "Press <kbd>P</kbd> to pause/resume and <kbd>Enter</kbd> to start. Use <em>Start</em> to begin and <em>Reset</em> to go back to the menu."
+    }
+};
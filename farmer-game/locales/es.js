@@ -0,0 +1,241 @@
+/**
+ * @fileoverview Spanish (español)
+ */
+
+export default {
+    name: "Español",
+    dir: "ltr",
+    messages: {
+        // Page (index.html)
+        "page.title": "Cosecha del granjero",
+        "page.canvas": "Campo de juego de Cosecha del granjero",
+        "page.joystick": "Joystick de movimiento",
+        "ui.start": "Empezar",
+        "ui.reset": "Reiniciar",
+        "ui.pause": "Pausa",
+        "ui.play": "Reproducir",
+        "ui.step": "Paso",
+        "ui.players": "Jugadores:",
+        "ui.mode.solo": "1 jugador",
+        "ui.mode.coop": "2 jugadores — cooperativo",
+        "ui.mode.versus": "2 jugadores — enfrentados",
+        "ui.delivery": "Entregas al granero",
+        "ui.settings": "Ajustes",
+        "ui.language": "Idioma:",
+        "ui.exportReplay": "Exportar repetición",
+        "ui.importReplay": "Importar repetición",
+        "ui.levelsInvalid": "Los datos de los niveles no son válidos — mira la consola",
+
+        // HUD labels and status (Hud.js)
+        "hud.level": "Nivel:",
+        "hud.score": "Puntos:",
+        "hud.time": "Tiempo:",
+        "hud.seconds": "s",
+        "hud.goal": "Meta:",
+        "hud.goalUnit": { one: "punto", other: "puntos" },
+        "hud.combo": "Combo:",
+        "hud.sky": "Cielo:",
+        "hud.basket": "Cesta:",
+        "hud.levelOf": "{n}/{total} {name}",
+        "hud.sky.value": "{phase} · {weather}",
+        "hud.basketContents": "{count}/{capacity} — {contents} ({points} pts)",
+        "hud.basketEmpty": "{count}/{capacity}",
+        "hud.basketItem": "{n} {crop}",
+        "hud.powerUpTime": "{name}: {n}s",
+        "hud.stacks": "{name} ×{n}",
+        "hud.playerWins": "¡Gana el jugador {n}!",
+        "status.menu": "Menú",
+        "status.playing": "Jugando…",
+        "status.paused": "En pausa",
+        "status.levelComplete": "¡Nivel superado!",
+        "status.gameOver": "Fin de la partida",
+        "status.win": "¡Has ganado!",
+        "status.loading": "Cargando…",
+        "status.replayDone": "Repetición terminada",
+        "status.replayPaused": "Repetición (en pausa)",
+        "status.replaySpeed": "Repetición {speed}×",
+
+        // Day, weather and announcements (Hud.js banner, Announcer.js)
+        "phase.dawn": "Amanecer",
+        "phase.day": "Día",
+        "phase.dusk": "Atardecer",
+        "phase.night": "Noche",
+        "phase.dawn.announce": "Amanece",
+        "phase.day.announce": "Mañana — ha salido el sol",
+        "phase.dusk.announce": "Atardece — se acerca la noche",
+        "phase.night.announce": "Cae la noche: crecen menos cultivos, pero los potenciadores brillan en la oscuridad",
+        "weather.clear": "Despejado",
+        "weather.rain": "Lluvia",
+        "weather.wind": "Viento",
+        "weather.clear.announce": "El cielo se despeja",
+        "weather.rain.announce": "¡Lluvia! Los cultivos brotan más rápido, pero el suelo mojado te frena",
+        "weather.wind.announce": "Un viento fuerte sopla sobre el campo",
+
+        // Crops and power-ups
+        "crop.wheat": "Trigo",
+        "crop.pumpkin": "Calabaza",
+        "crop.goldenApple": "Manzana dorada",
+        "powerUp.speed": "Turbo",
+        "powerUp.scythe": "Guadaña",
+        "powerUp.magnet": "Imán de cultivos",
+        "powerUp.freeze": "Tiempo congelado",
+        "powerUp.double": "Puntos dobles",
+
+        // Canvas (Game.js)
+        "canvas.loading": "Cargando gráficos… {done}/{total}",
+        "canvas.replayFrame": "Repetición — fotograma {frame} / {total}",
+        "canvas.menu": "Pulsa Empezar para jugar",
+        "canvas.paused": "En pausa (pulsa P para continuar)",
+        "canvas.levelCleared": "¡Nivel {n} superado! Pulsa Empezar para jugar el nivel {next}",
+        "canvas.playerTakesLevel": "¡El jugador {player} se lleva el nivel {n}! Pulsa Empezar para jugar el nivel {next}",
+        "canvas.versusTimeUp": "¡Se acabó el tiempo y nadie alcanzó la meta! Pulsa Empezar para repetir el nivel",
+        "canvas.gameOver": "¡Se acabó el tiempo! Pulsa Empezar para volver a intentar el nivel, o Reiniciar para volver al menú",
+        "canvas.playerWins": "¡El jugador {player} gana el último nivel! Pulsa Empezar para jugar otra vez",
+        "canvas.win": "¡Cosecha completa, has superado todos los niveles! Pulsa Empezar para jugar otra vez",
+        "canvas.sweep": "¡Barrido +{n}!",
+        "canvas.streak": "¡Racha +{n}!",
+
+        // Screen reader lines (Announcer.js)
+        "announce.player": "Jugador {n}: {text}",
+        "announce.delivered": { one: "Entregado {n} cultivo por {points} puntos.", other: "Entregados {n} cultivos por {points} puntos." },
+        "announce.powerUp": { one: "{name} durante {n} segundo.", other: "{name} durante {n} segundos." },
+        "announce.powerUpOver": "Se acabó {name}.",
+        "announce.secondsLeft": { one: "¡Queda {n} segundo!", other: "¡Quedan {n} segundos!" },
+        "announce.phase.dawn": "Amanece.",
+        "announce.phase.day": "Es de día.",
+        "announce.phase.dusk": "Atardece. Se acerca la noche.",
+        "announce.phase.night": "Cae la noche. Menos cultivos, más potenciadores.",
+        "announce.weather": "{text}.",
+        "announce.resumed": "Continúa la partida.",
+        "announce.paused": "En pausa.",
+        "announce.roundStart": { one: "Nivel {level} de {total}, {name}. Meta: {goal} puntos en {n} segundo.",
+            other: "Nivel {level} de {total}, {name}. Meta: {goal} puntos en {n} segundos." },
+        "announce.levelCleared": "¡Nivel superado con {score} puntos! Pulsa Empezar para el siguiente nivel.",
+        "announce.playerTakesLevel": "¡El jugador {player} se lleva el nivel con {score} puntos! Pulsa Empezar para el siguiente nivel.",
+        "announce.versusTimeUp": "Se acabó el tiempo. Nadie alcanzó la meta.",
+        "announce.timeUp": "Se acabó el tiempo. {score} de {goal} puntos. Pulsa Empezar para volver a intentar el nivel.",
+        "announce.playerWins": "¡El jugador {player} gana el último nivel!",
+        "announce.win": "¡Cosecha completa, todos los niveles superados, con {score} puntos!",
+        "announce.milestone.quarter": "{score} puntos, un cuarto del camino hasta {goal}.",
+        "announce.milestone.half": "{score} puntos, a mitad de camino hasta {goal}.",
+        "announce.milestone.threeQuarters": "{score} puntos, tres cuartos del camino hasta {goal}.",
+
+        // Settings menu (SettingsView.js)
+        "settings.title": "Ajustes",
+        "settings.difficulty": "Dificultad",
+        "settings.presets": "Nivel de dificultad",
+        "settings.custom": "Personalizada",
+        "settings.customHint": "Cambiar cualquier valor aquí pasa a Personalizada. Los valores son una proporción de los de cada nivel.",
+        "settings.time": "Duración de la ronda",
+        "settings.goal": "Meta",
+        "settings.cropSpawn": "Aparición de cultivos",
+        "settings.speed": "Velocidad del granjero",
+        "settings.scarecrows": "Espantapájaros",
+        "settings.powerUps": "Potenciadores",
+        "settings.restartHint": "Cambiar la dificultad vuelve a empezar desde el menú. Esc cierra.",
+        "settings.done": "Listo",
+        "settings.percent": "{n} %",
+        "difficulty.easy": "Fácil",
+        "difficulty.normal": "Normal",
+        "difficulty.hard": "Difícil",
+        "difficulty.custom": "Personalizada",
+
+        // High scores and last round (LeaderboardView.js)
+        "scores.title": "Mejores puntuaciones",
+        "scores.clear": "Borrar datos guardados",
+        "scores.confirmClear": "¿Borrar todas las puntuaciones guardadas?",
+        "scores.empty": "Aún no hay puntuaciones — ¡termina una ronda!",
+        "scores.entry": "{initials} — {score} pts ({details})",
+        "scores.goalIn": "{entry} · meta en {n}s",
+        "scores.newHigh": "¡Nueva mejor puntuación! Tus iniciales:",
+        "scores.save": "Guardar",
+        "mode.coop": "cooperativo",
+        "mode.versus": "enfrentados",
+        "stats.title": "Última ronda",
+        "stats.crops": "Cultivos cosechados",
+        "stats.unripe": "Cogidos sin madurar",
+        "stats.crowsAte": "Comidos por cuervos",
+        "stats.crowsScared": "Cuervos espantados",
+        "stats.bestCombo": "Mejor combo",
+        "stats.deliveries": "Cestas entregadas",
+        "stats.powerUps": "Potenciadores usados",
+        "stats.none": "ninguno",
+        "stats.distance": "Distancia recorrida",
+        "stats.tiles": { one: "{n} casilla", other: "{n} casillas" },
+        "stats.timeToGoal": "Tiempo hasta la meta",
+        "stats.seconds": "{n}s",
+        "stats.count": "{name} ×{n}",
+
+        // Shop (ShopView.js)
+        "shop.title": "Tienda",
+        "shop.coins": "Monedas:",
+        "shop.hint": "Cada punto que consigues se paga como una moneda al acabar la ronda. Las mejoras son permanentes.",
+        "shop.reset": "Borrar progreso",
+        "shop.confirmReset": "¿Borrar todas las monedas y mejoras?",
+        "shop.earned": "+{n} de la última ronda",
+        "shop.item": "{name} ({level}/{max}) — {description}",
+        "shop.buy": { one: "Comprar · {n} moneda", other: "Comprar · {n} monedas" },
+        "shop.buyLabel": "Comprar {name} nivel {level}",
+        "shop.maxed": "Al máximo",
+        "upgrade.speed": "Botas resistentes",
+        "upgrade.speed.description": "Caminas un 6 % más rápido",
+        "upgrade.powerUpTime": "Amuletos duraderos",
+        "upgrade.powerUpTime.description": "Los potenciadores duran un 10 % más",
+        "upgrade.scytheRange": "Guadaña larga",
+        "upgrade.scytheRange.description": "La guadaña llega 10 px más lejos",
+        "upgrade.goldenOdds": "Huerto dorado",
+        "upgrade.goldenOdds.description": "Manzanas doradas un 25 % más probables",
+
+        // Controls (BindingsView.js)
+        "controls.title": "Controles",
+        "controls.hint": "Haz clic en una tecla para cambiarla (Esc cancela). También funcionan los mandos: stick izquierdo o cruceta para moverte, Start para pausar, A para empezar. El primer mando es el jugador 1 y el segundo, el jugador 2.",
+        "controls.reset": "Restablecer valores predeterminados",
+        "controls.pressKey": "Pulsa una tecla…",
+        "controls.keyLabel": "{action}, tecla {n}",
+        "action.left": "Jugador 1 izquierda",
+        "action.right": "Jugador 1 derecha",
+        "action.up": "Jugador 1 arriba",
+        "action.down": "Jugador 1 abajo",
+        "action.p2left": "Jugador 2 izquierda",
+        "action.p2right": "Jugador 2 derecha",
+        "action.p2up": "Jugador 2 arriba",
+        "action.p2down": "Jugador 2 abajo",
+        "action.pause": "Pausa",
+        "action.start": "Empezar",
+
+        // Sound and accessibility panels
+        "sound.title": "Sonido",
+        "sound.hint": "El sonido empieza la primera vez que pulsas Empezar.",
+        "sound.master": "General",
+        "sound.music": "Música",
+        "sound.effects": "Efectos",
+        "sound.mute": "Silenciar",
+        "access.title": "Accesibilidad",
+        "access.palette": "Colores",
+        "access.markers": "Marcas de forma en los cultivos",
+        "access.reducedMotion": "Movimiento reducido",
+        "access.announce": "Avisos para lectores de pantalla",
+        "palette.standard": "Estándar",
+        "palette.redGreen": "Apta para rojo–verde",
+        "palette.blueYellow": "Apta para azul–amarillo",
+        "palette.highContrast": "Alto contraste",
+
+        // Instructions (markup)
+        "help.title": "Cómo se juega",
+        "help.farmer": "Controlas al <strong>granjero</strong> (el cuadrado marrón con sombrero amarillo).",
+        "help.move": "Usa <kbd>←</kbd> <kbd>→</kbd> <kbd>↑</kbd> <kbd>↓</kbd> o <kbd>W</kbd> <kbd>A</kbd> <kbd>S</kbd> <kbd>D</kbd> (o un mando, o el joystick en pantallas táctiles) para moverte y recoger los cultivos 🌾 que aparecen al azar.",
+        "help.twoPlayers": "Dos jugadores en un teclado: el jugador 1 (marrón) usa <kbd>W</kbd> <kbd>A</kbd> <kbd>S</kbd> <kbd>D</kbd> y el jugador 2 (azul), las flechas. En <em>cooperativo</em> compartís la puntuación y una meta mayor; en <em>enfrentados</em> el primero en llegar a la meta se lleva el nivel.",
+        "help.powerUps": "Coge <strong>potenciadores</strong>: turbo, guadaña (corta los cultivos maduros a tu alrededor), imán de cultivos, tiempo congelado (para el reloj) y puntos dobles. Si coges uno que ya tienes, se renueva, se alarga o se acumula.",
+        "help.scarecrows": "Esquiva los <strong>espantapájaros</strong> (obstáculos de madera): no puedes atravesarlos.",
+        "help.terrain": "Algunos campos tienen <strong>vallas</strong> y <strong>agua</strong> que hay que rodear, y <strong>barro</strong> que te frena.",
+        "help.crows": "Cuidado con los <strong>cuervos</strong>: van hacia los cultivos y se los comen. Acércate para espantarlos; tampoco se acercan a los espantapájaros.",
+        "help.levels": "Cada nivel tiene su tiempo y su meta: el primero te da <strong>60 segundos</strong> para recoger <strong>15 cultivos</strong>. Supera un nivel y pulsa <em>Empezar</em> para el siguiente. El último campo es más grande que la pantalla y se desplaza contigo.",
+        "help.weather": "Los campos posteriores tienen <strong>día y noche</strong> y <strong>tiempo atmosférico</strong>: de noche solo ves lo que tienes cerca y crecen menos cultivos (pero los potenciadores brillan), la lluvia hace brotar los cultivos más rápido pero te frena, y el viento te empuja.",
+        "help.delivery": "Marca <em>Entregas al granero</em> para una partida más difícil: los cultivos van a tu cesta (8 como mucho, y llena te frena) y solo puntúan cuando los llevas al <strong>granero</strong>.",
+        "help.accessibility": "¿Te cuesta distinguir los colores de los cultivos? Elige otra paleta o activa las marcas de forma en el panel de <em>Accesibilidad</em>, que también tiene movimiento reducido y avisos para lectores de pantalla.",
+        "help.shop": "Cada punto que consigues se paga como una moneda. Gasta las monedas en la <strong>tienda</strong> entre rondas en mejoras permanentes.",
+        "help.difficulty": "¿Demasiado fácil o demasiado difícil? <em>Ajustes</em> tiene Fácil, Normal y Difícil, o una mezcla Personalizada de duración, meta, aparición de cultivos, velocidad, espantapájaros y potenciadores. Tu elección aparece junto a la meta y se recuerda.",
+        "help.language": "Elige tu <em>Idioma</em> arriba; el juego lo recuerda.",
+        "help.keys": "Pulsa <kbd>P</kbd> para pausar o continuar y <kbd>Enter</kbd> para empezar. Usa <em>Empezar</em> para comenzar y <em>Reiniciar</em> para volver al menú."
+    }
+};
@@ -14,9 +14,6 @@
 
 import { Game } from './Game.js';
 
-// Canvas dimensions
-const WIDTH = 900, HEIGHT = 540;
-
 // Start the game once the page has finished loading
 document.addEventListener("DOMContentLoaded", () => {
     const canvas = document.getElementById("game");
@@ -24,8 +21,10 @@ document.addEventListener("DOMContentLoaded", () => {
         console.error("Couldn’t find a canvas element with the ID 'game'.");
         return;
     }
-    canvas.width = WIDTH;
-    canvas.height = HEIGHT;
-    
+    // (Game sizes the canvas itself — see Game.onResize)
     const game = new Game(canvas);
+
+    // Debug: ?timeScale=0.25 plays in slow motion
+    const timeScale = new URLSearchParams(window.location.search).get("timeScale");
+    if (timeScale !== null && game.loop) game.setTimeScale(parseFloat(timeScale));
 });